@@ -0,0 +1,41 @@
+// alerts/email.js
+import nodemailer from "nodemailer";
+import config from "../config/index.js";
+
+/**
+ * Plain-text email over SMTP. Server settings come from SMTP_HOST, SMTP_PORT
+ * (default 587, 465 implies TLS), SMTP_USER, SMTP_PASS and SMTP_FROM.
+ */
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+let transport = null;
+
+function getTransport() {
+  if (transport) return transport;
+  const { host, port, user, pass } = config.smtp;
+  if (!host) throw new Error("SMTP_HOST is not configured");
+
+  transport = nodemailer.createTransport({
+    host,
+    port,
+    secure: port === 465,
+    auth: user ? { user, pass } : undefined,
+  });
+  return transport;
+}
+
+function validateTarget(target) {
+  return EMAIL_RE.test(String(target || "")) ? null : "email target must be an email address";
+}
+
+async function send(target, message) {
+  const info = await getTransport().sendMail({
+    from: config.smtp.from,
+    to: target,
+    subject: message.subject,
+    text: message.text,
+  });
+  return { messageId: info.messageId };
+}
+
+export default { name: "email", validateTarget, send };
@@ -0,0 +1,150 @@
+// alerts/index.js
+import webhook from "./webhook.js";
+import email from "./email.js";
+import webpush from "./webpush.js";
+import memory from "./memory.js";
+import config from "../config/index.js";
+import { METRIC, formatValue } from "../forecast/units.js";
+
+/**
+ * Alert delivery channels. Each exposes:
+ *   name                   the value stored in dbo.SurfAlerts.Channel
+ *   validateTarget(target) -> error message or null
+ *   checkTarget(target)    optional, async checks needing the network
+ *                          (e.g. resolving a webhook host) -> error or null
+ *   send(target, message)  -> resolves on delivery, throws otherwise
+ *
+ * message is { subject, text, alertId, windows: [{ breakName, start, localStart, score }] }
+ */
+const CHANNELS = new Map([webhook, email, webpush].map((c) => [c.name, c]));
+
+export const ALERT_CHANNELS = [...CHANNELS.keys()];
+
+export const ALERT_DEFAULTS = { minScore: 70, leadHours: 48 };
+const MAX_LEAD_HOURS = 168;
+
+export function getChannel(name) {
+  return CHANNELS.get(String(name || "").trim().toLowerCase()) || null;
+}
+
+/**
+ * Send through the alert's channel, or the memory sink when
+ * ALERT_DELIVERY=memory.
+ */
+export async function deliver(channelName, target, message) {
+  const channel = config.alerts.delivery === "memory" ? memory : getChannel(channelName);
+  if (!channel) throw new Error(`Unknown alert channel ${channelName}`);
+  return channel.send(target, message);
+}
+
+function optionalHour(v, label) {
+  if (v == null || v === "") return { value: null };
+  const n = Number(v);
+  if (!Number.isInteger(n) || n < 0 || n > 23) return { error: `${label} must be an hour 0..23` };
+  return { value: n };
+}
+
+/**
+ * Validate an alert body from the API.
+ * { breakId | region, minScore 0..100, leadHours 1..168, quietStart, quietEnd,
+ *   channel, target, enabled }
+ * Returns { alert } or { error }.
+ */
+export function parseAlert(body = {}) {
+  const breakId = body.breakId != null ? parseInt(body.breakId, 10) : null;
+  const region = body.region ? String(body.region).trim() : null;
+  if (!breakId && !region) return { error: "breakId or region is required" };
+  if (breakId && region) return { error: "give either breakId or region, not both" };
+
+  const minScore = Number(body.minScore ?? ALERT_DEFAULTS.minScore);
+  if (!Number.isFinite(minScore) || minScore < 0 || minScore > 100) {
+    return { error: "minScore must be between 0 and 100" };
+  }
+
+  const leadHours = Number(body.leadHours ?? ALERT_DEFAULTS.leadHours);
+  if (!Number.isInteger(leadHours) || leadHours < 1 || leadHours > MAX_LEAD_HOURS) {
+    return { error: `leadHours must be a whole number of hours, 1..${MAX_LEAD_HOURS}` };
+  }
+
+  const quietStart = optionalHour(body.quietStart, "quietStart");
+  if (quietStart.error) return { error: quietStart.error };
+  const quietEnd = optionalHour(body.quietEnd, "quietEnd");
+  if (quietEnd.error) return { error: quietEnd.error };
+  if ((quietStart.value == null) !== (quietEnd.value == null)) {
+    return { error: "quietStart and quietEnd go together" };
+  }
+
+  const channel = getChannel(body.channel);
+  if (!channel) return { error: `channel must be one of ${ALERT_CHANNELS.join(", ")}` };
+  const target = typeof body.target === "object" && body.target !== null
+    ? JSON.stringify(body.target)
+    : String(body.target || "");
+  const targetError = channel.validateTarget(target);
+  if (targetError) return { error: targetError };
+
+  return {
+    alert: {
+      breakId: breakId || null,
+      region,
+      minScore: Math.round(minScore),
+      leadHours,
+      quietStart: quietStart.value,
+      quietEnd: quietEnd.value,
+      channel: channel.name,
+      target,
+      enabled: body.enabled !== false,
+    },
+  };
+}
+
+/**
+ * The channel's network checks for a parsed alert's target, error message
+ * or null. Skipped with ALERT_DELIVERY=memory, where nothing is sent.
+ */
+export async function checkAlertTarget(alert) {
+  if (config.alerts.delivery === "memory") return null;
+  const channel = getChannel(alert.channel);
+  return channel?.checkTarget ? channel.checkTarget(alert.target) : null;
+}
+
+/**
+ * Is a local hour inside quiet hours? start..end wraps midnight when start > end
+ * (22..7 is quiet overnight). Equal start and end means never quiet.
+ */
+export function isQuietHour(hour, start, end) {
+  if (start == null || end == null || start === end) return false;
+  return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+}
+
+/**
+ * Subject and body for a batch of newly qualifying windows, best first,
+ * sizes in the user's units.
+ */
+export function buildAlertMessage(alert, windows, units = METRIC) {
+  const best = windows[0];
+  const where = alert.Region || best.breakName;
+  const subject =
+    windows.length === 1
+      ? `${best.breakName} scores ${best.score} at ${best.localStart}`
+      : `${windows.length} surf windows over ${alert.MinScore} in ${where}`;
+
+  const lines = windows.map((w) => {
+    const surf = w.hourly?.[0]?.surf ?? w.hourly?.[0]?.wave;
+    const size = surf != null ? `, ${formatValue("height", surf, units)}` : "";
+    return `${w.localStart}  ${w.breakName}  score ${w.score}${size}`;
+  });
+
+  return {
+    subject,
+    text: lines.join("\n"),
+    alertId: alert.Id,
+    windows: windows.map((w) => ({
+      breakId: w.breakId,
+      breakName: w.breakName,
+      start: w.start,
+      end: w.end,
+      localStart: w.localStart,
+      score: w.score,
+    })),
+  };
+}
@@ -0,0 +1,22 @@
+// alerts/memory.js
+
+/**
+ * In-process sink. With ALERT_DELIVERY=memory every channel delivers here
+ * instead, so local runs and tests can inspect what would have gone out.
+ */
+const sent = [];
+
+export function sentAlerts() {
+  return sent.slice();
+}
+
+export function clearSentAlerts() {
+  sent.length = 0;
+}
+
+async function send(target, message) {
+  sent.push({ target, message, at: new Date().toISOString() });
+  return { index: sent.length - 1 };
+}
+
+export default { name: "memory", validateTarget: () => null, send };
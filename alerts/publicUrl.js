@@ -0,0 +1,100 @@
+// alerts/publicUrl.js
+import dns from "dns";
+import https from "https";
+import net from "net";
+
+/**
+ * Checks for URLs the server requests on a user's behalf (webhook targets,
+ * push subscription endpoints): https only, to public addresses. The host is
+ * resolved when the alert is saved and again on every send, through
+ * publicAgent, so the address connected to is the one checked.
+ */
+
+// loopback, private, link-local (cloud metadata), CGNAT, multicast and reserved
+const BLOCKED = new net.BlockList();
+for (const [subnet, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  BLOCKED.addSubnet(subnet, prefix, "ipv4");
+}
+// Azure's platform endpoint (wire server / instance metadata proxy)
+BLOCKED.addAddress("168.63.129.16", "ipv4");
+for (const [subnet, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  BLOCKED.addSubnet(subnet, prefix, "ipv6");
+}
+
+// IPv4-mapped IPv6 addresses are checked against the IPv4 rules too
+export function isBlocked(address) {
+  const family = net.isIPv6(address) ? "ipv6" : "ipv4";
+  return BLOCKED.check(address, family);
+}
+
+const blockedHost = (label) => `${label} must be a public address`;
+
+/**
+ * Parse an https URL whose host, when it is a literal IP, is public.
+ * label names the field in errors ("webhook target").
+ * Returns { url, host } or { error }.
+ */
+export function parsePublicUrl(value, label) {
+  let url;
+  try {
+    url = new URL(String(value || ""));
+  } catch {
+    return { error: `${label} must be a URL` };
+  }
+  if (url.protocol !== "https:") return { error: `${label} must be an https URL` };
+  // IPv6 hosts come bracketed
+  const host = url.hostname.replace(/^\[(.*)\]$/, "$1");
+  if (net.isIP(host) && isBlocked(host)) return { error: blockedHost(label) };
+  return { url, host };
+}
+
+/**
+ * parsePublicUrl, then resolve the host and refuse it when any address is
+ * not public. Error message or null.
+ */
+export async function checkPublicUrl(value, label) {
+  const parsed = parsePublicUrl(value, label);
+  if (parsed.error) return parsed.error;
+  if (net.isIP(parsed.host)) return null;
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(parsed.host, { all: true });
+  } catch {
+    return `${label} host could not be resolved`;
+  }
+  return addresses.some((a) => isBlocked(a.address)) ? blockedHost(label) : null;
+}
+
+// resolves like the default lookup, then refuses blocked addresses
+function checkedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!addresses.length || addresses.some((a) => isBlocked(a.address))) {
+      return callback(new Error("refusing to connect to a non-public address"));
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+export const publicAgent = new https.Agent({ lookup: checkedLookup });
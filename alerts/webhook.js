@@ -0,0 +1,65 @@
+// alerts/webhook.js
+import crypto from "crypto";
+import fetch from "node-fetch";
+import config from "../config/index.js";
+import { checkPublicUrl, parsePublicUrl, publicAgent } from "./publicUrl.js";
+
+/**
+ * POSTs the alert as JSON. When ALERT_WEBHOOK_SECRET is set the body is
+ * signed (hex HMAC-SHA256) in X-CoreLord-Signature so receivers can check it.
+ *
+ * Targets are user input and the server makes the request, so only https
+ * to public addresses is allowed (see publicUrl.js), and redirects are not
+ * followed.
+ */
+const LABEL = "webhook target";
+
+function validateTarget(target) {
+  return parsePublicUrl(target, LABEL).error || null;
+}
+
+function checkTarget(target) {
+  return checkPublicUrl(target, LABEL);
+}
+
+async function send(target, message, { timeoutMs = 10000 } = {}) {
+  const parsed = parsePublicUrl(target, LABEL);
+  if (parsed.error) throw new Error(parsed.error);
+
+  const body = JSON.stringify({
+    subject: message.subject,
+    text: message.text,
+    alertId: message.alertId,
+    windows: message.windows,
+  });
+  const headers = { "Content-Type": "application/json", "User-Agent": "CoreLord/1.0" };
+  if (config.alerts.webhookSecret) {
+    headers["X-CoreLord-Signature"] = crypto
+      .createHmac("sha256", config.alerts.webhookSecret)
+      .update(body)
+      .digest("hex");
+  }
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    // a redirect comes back as a 3xx and fails below
+    const res = await fetch(parsed.url, {
+      method: "POST",
+      headers,
+      body,
+      agent: publicAgent,
+      redirect: "manual",
+      signal: controller.signal,
+    });
+    if (!res.ok) {
+      const text = await res.text();
+      throw new Error(`Webhook error ${res.status}: ${text.slice(0, 120)}`);
+    }
+    return { status: res.status };
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+export default { name: "webhook", validateTarget, checkTarget, send };
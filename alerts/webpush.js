@@ -0,0 +1,69 @@
+// alerts/webpush.js
+import webpush from "web-push";
+import config from "../config/index.js";
+import { checkPublicUrl, parsePublicUrl, publicAgent } from "./publicUrl.js";
+
+/**
+ * Browser push. The target is the PushSubscription JSON the client got from
+ * pushManager.subscribe(), using VAPID_PUBLIC_KEY as applicationServerKey.
+ * Keys come from VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY and VAPID_SUBJECT.
+ *
+ * The endpoint comes from the client and the server POSTs to it, so it gets
+ * the same https and public address checks as webhook targets.
+ */
+let configured = false;
+
+function configure() {
+  if (configured) return;
+  const { publicKey, privateKey, subject } = config.vapid;
+  if (!publicKey || !privateKey) {
+    throw new Error("VAPID keys are not configured");
+  }
+  webpush.setVapidDetails(subject, publicKey, privateKey);
+  configured = true;
+}
+
+export function vapidPublicKey() {
+  return config.vapid.publicKey || null;
+}
+
+const LABEL = "push endpoint";
+
+function parseSubscription(target) {
+  const sub = typeof target === "string" ? JSON.parse(target) : target;
+  if (!sub?.endpoint || !sub?.keys?.p256dh || !sub?.keys?.auth) {
+    throw new Error("push target must be a subscription with endpoint and keys");
+  }
+  const endpoint = parsePublicUrl(sub.endpoint, LABEL);
+  if (endpoint.error) throw new Error(endpoint.error);
+  return sub;
+}
+
+function validateTarget(target) {
+  try {
+    parseSubscription(target);
+    return null;
+  } catch (err) {
+    return err instanceof SyntaxError ? "push target must be subscription JSON" : err.message;
+  }
+}
+
+async function checkTarget(target) {
+  return checkPublicUrl(parseSubscription(target).endpoint, LABEL);
+}
+
+async function send(target, message) {
+  configure();
+  const payload = JSON.stringify({
+    title: message.subject,
+    body: message.text,
+    data: { alertId: message.alertId, windows: message.windows },
+  });
+  const res = await webpush.sendNotification(parseSubscription(target), payload, {
+    TTL: 6 * 3600,
+    agent: publicAgent,
+  });
+  return { status: res.statusCode };
+}
+
+export default { name: "push", validateTarget, checkTarget, send };
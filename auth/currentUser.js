@@ -0,0 +1,68 @@
+// auth/currentUser.js
+import config from '../config/index.js';
+import { resolveUser } from '../services/users.js';
+
+/**
+ * The one place a verified token becomes an internal user. Mount after
+ * verifyToken; handlers then read req.userId (dbo.Users.Id) and, for
+ * display only, req.userEmail.
+ */
+
+/**
+ * Email/username from either v1 or v2 AAD tokens.
+ * v2: preferred_username or email
+ * v1: upn or unique_name
+ */
+export function getEmailFromToken(claims = {}) {
+  return (
+    claims.preferred_username ||
+    claims.email ||
+    claims.upn ||
+    claims.unique_name ||
+    null
+  );
+}
+
+/**
+ * Stable identity: oid is the same across v1/v2 tokens and apps in a tenant,
+ * sub is the fallback for issuers without oid. The tenant is the AAD tenant
+ * (tid) for aad issuers, else the configured issuer's name, so one issuer
+ * accepting several iss spellings (Google) still gives one user.
+ * issuer: { name, type } as verifyToken sets them.
+ *
+ * linkEmail says whether the email may claim rows keyed by email from before
+ * dbo.Users: only for the original tenant (AUTH_TENANT_ID), which wrote those
+ * rows, or a token whose issuer vouches for it with email_verified. Anyone
+ * can put a victim's address in an unverified claim.
+ */
+export function identityFromClaims(claims = {}, issuer = {}) {
+  const subject = claims.oid || claims.sub || null;
+  const tenant = issuer.type === 'aad' ? claims.tid : issuer.name;
+  if (!subject || !tenant) return null;
+  const email = getEmailFromToken(claims);
+  const originalTenant = issuer.type === 'aad' && !!config.auth.tenantId && tenant === config.auth.tenantId;
+  return {
+    tenant: String(tenant),
+    subject: String(subject),
+    email: email ? String(email).toLowerCase() : null,
+    linkEmail: originalTenant || claims.email_verified === true
+  };
+}
+
+export default async function currentUser(req, res, next) {
+  const identity = identityFromClaims(req.user, { name: req.issuer, type: req.issuerType });
+  if (!identity) {
+    console.warn('[Users] token without subject or tenant', { tokenKeys: Object.keys(req.user || {}) });
+    return res.status(400).json({ message: 'Subject claim missing in token' });
+  }
+
+  try {
+    const user = await resolveUser(identity);
+    req.userId = user.id;
+    req.userEmail = user.email;
+    next();
+  } catch (err) {
+    console.error('[Users] resolve failed:', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+}
@@ -0,0 +1,240 @@
+// auth/issuers.js
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import jwksClient from 'jwks-rsa';
+import config, { ConfigError } from '../config/index.js';
+
+/**
+ * Token issuers we accept. AUTH_ISSUERS is a JSON list; each entry has a
+ * type and its own audience and scope rule:
+ *
+ *   { "type": "aad", "tenantId": "...", "audience": ["api://<app id>", "<app id>"], "scope": "user_impersonation" }
+ *   { "type": "b2c", "issuer": "https://<tenant>.b2clogin.com/<tenant id>/v2.0/",
+ *     "jwksUri": "https://<tenant>.b2clogin.com/<tenant>.onmicrosoft.com/<policy>/discovery/v2.0/keys",
+ *     "audience": "<client id>", "scope": "surf.read" }
+ *   { "type": "google", "audience": "<oauth client id>" }
+ *   { "type": "apple", "audience": "<services id>" }
+ *   { "type": "oidc", "issuer": "...", "jwksUri": "...", "audience": "..." }
+ *   { "type": "local" }    HS256 with AUTH_LOCAL_SECRET, never in prod
+ *
+ * scope is checked against scp (delegated) or roles (v1 AAD); null or
+ * missing means the issuer's tokens need no scope. Without AUTH_ISSUERS
+ * the single tenant from AUTH_TENANT_ID / AUTH_API_APP_ID is used.
+ *
+ * An issuer's name is entry.name, else aad:<tenantId> for aad and the type
+ * for the others. AUTH_ADMIN_ISSUERS lists the names of the aad issuers whose
+ * admin role (AUTH_ADMIN_ROLE) is honoured; every other issuer's roles are
+ * administered elsewhere or, for local, by whoever holds the secret.
+ *
+ * Each built issuer exposes:
+ *   name, type
+ *   issuers        iss values it accepts
+ *   verifyOptions  for jwt.verify (algorithms, audience, issuer)
+ *   getKey         jwt.verify key callback
+ *   hasScope(claims)
+ */
+
+const LOCAL_ISSUER = 'corelord-local';
+const LOCAL_AUDIENCE = 'corelord-api';
+
+const jwksClients = new Map();
+
+function jwksKeyGetter(jwksUri) {
+  if (!jwksClients.has(jwksUri)) {
+    jwksClients.set(
+      jwksUri,
+      jwksClient({ jwksUri, cache: true, cacheMaxEntries: 5, cacheMaxAge: 10 * 60 * 1000 })
+    );
+  }
+  const client = jwksClients.get(jwksUri);
+  return (header, callback) => {
+    client.getSigningKey(header.kid, (err, key) => {
+      if (err) return callback(err);
+      callback(null, key.getPublicKey());
+    });
+  };
+}
+
+const asList = (v) => (v == null ? [] : Array.isArray(v) ? v : [v]).map(String).filter(Boolean);
+
+function scopeRule(scope) {
+  if (!scope) return () => true;
+  return (claims) => {
+    const scp = claims.scp || '';
+    const roles = claims.roles || [];
+    return (
+      (typeof scp === 'string' && scp.split(' ').includes(scope)) ||
+      (Array.isArray(roles) && roles.includes(scope))
+    );
+  };
+}
+
+function remoteIssuer(entry, { issuers, jwksUri }) {
+  const audience = asList(entry.audience);
+  if (!audience.length) throw new Error('audience is required');
+  return {
+    name: entry.name || entry.type,
+    type: entry.type,
+    issuers,
+    verifyOptions: { algorithms: ['RS256'], audience, issuer: issuers },
+    getKey: jwksKeyGetter(jwksUri),
+    hasScope: scopeRule(entry.scope)
+  };
+}
+
+const BUILDERS = {
+  aad(entry) {
+    if (!entry.tenantId) throw new Error('tenantId is required');
+    const audience = entry.audience ?? (entry.apiAppId ? [`api://${entry.apiAppId}`, entry.apiAppId] : null);
+    if (!audience) throw new Error('apiAppId or audience is required');
+    // v2 and v1 issuers share the tenant's key set
+    return remoteIssuer(
+      { ...entry, audience, name: entry.name || `aad:${entry.tenantId}` },
+      {
+        issuers: [
+          `https://login.microsoftonline.com/${entry.tenantId}/v2.0`,
+          `https://sts.windows.net/${entry.tenantId}/`
+        ],
+        jwksUri: `https://login.microsoftonline.com/${entry.tenantId}/discovery/v2.0/keys`
+      }
+    );
+  },
+  oidc(entry) {
+    if (!entry.issuer || !entry.jwksUri) throw new Error('issuer and jwksUri are required');
+    return remoteIssuer(entry, { issuers: asList(entry.issuer), jwksUri: entry.jwksUri });
+  },
+  b2c(entry) {
+    return BUILDERS.oidc(entry);
+  },
+  google(entry) {
+    return remoteIssuer(entry, {
+      issuers: ['https://accounts.google.com', 'accounts.google.com'],
+      jwksUri: 'https://www.googleapis.com/oauth2/v3/certs'
+    });
+  },
+  apple(entry) {
+    return remoteIssuer(entry, {
+      issuers: ['https://appleid.apple.com'],
+      jwksUri: 'https://appleid.apple.com/auth/keys'
+    });
+  },
+  local(entry) {
+    const secret = entry.secret || config.auth.localSecret || generatedSecret();
+    return {
+      name: entry.name || 'local',
+      type: 'local',
+      issuers: [LOCAL_ISSUER],
+      verifyOptions: { algorithms: ['HS256'], audience: asList(entry.audience ?? LOCAL_AUDIENCE), issuer: [LOCAL_ISSUER] },
+      getKey: (_header, callback) => callback(null, secret),
+      hasScope: scopeRule(entry.scope),
+      secret
+    };
+  }
+};
+
+// test profile without AUTH_LOCAL_SECRET: a per-process key, so tests mint in-process
+let randomSecret = null;
+function generatedSecret() {
+  if (config.profile !== 'test') throw new Error('AUTH_LOCAL_SECRET is required for the local issuer');
+  randomSecret ??= crypto.randomBytes(32).toString('hex');
+  return randomSecret;
+}
+
+function configuredEntries() {
+  if (config.auth.issuers) return config.auth.issuers;
+  if (config.auth.tenantId && config.auth.apiAppId) {
+    return [{ type: 'aad', tenantId: config.auth.tenantId, apiAppId: config.auth.apiAppId, scope: config.auth.requiredScope }];
+  }
+  return [];
+}
+
+/**
+ * Build issuers from config entries. Throws ConfigError naming every bad entry.
+ */
+export function buildIssuers(entries) {
+  const problems = [];
+  const built = [];
+  if (!Array.isArray(entries)) {
+    throw new ConfigError(config.profile, ['AUTH_ISSUERS must be a JSON list']);
+  }
+  entries.forEach((entry, i) => {
+    const builder = BUILDERS[entry?.type];
+    if (!builder) {
+      problems.push(`AUTH_ISSUERS[${i}].type must be one of ${Object.keys(BUILDERS).join(', ')}`);
+      return;
+    }
+    try {
+      built.push(builder(entry));
+    } catch (err) {
+      problems.push(`AUTH_ISSUERS[${i}] (${entry.type}): ${err.message}`);
+    }
+  });
+  if (problems.length) throw new ConfigError(config.profile, problems);
+  return built;
+}
+
+const ISSUERS = buildIssuers(configuredEntries());
+
+/**
+ * Names in AUTH_ADMIN_ISSUERS, checked against the built issuers. Throws
+ * ConfigError for a name that isn't a configured aad issuer.
+ */
+function adminIssuerNames(names) {
+  const problems = [];
+  for (const name of names) {
+    const issuer = ISSUERS.find((i) => i.name === name);
+    if (!issuer) problems.push(`AUTH_ADMIN_ISSUERS names ${name}, which is not a configured issuer`);
+    else if (issuer.type !== 'aad') problems.push(`AUTH_ADMIN_ISSUERS may only name aad issuers (${name} is ${issuer.type})`);
+  }
+  if (problems.length) throw new ConfigError(config.profile, problems);
+  return new Set(names);
+}
+
+const ADMIN_ISSUERS = adminIssuerNames(config.auth.adminIssuers);
+
+/**
+ * Is an issuer trusted to grant the admin role?
+ */
+export function isAdminIssuer(issuer) {
+  return ADMIN_ISSUERS.has(issuer?.name);
+}
+
+export function listIssuers() {
+  return ISSUERS.map(({ name, type, issuers }) => ({ name, type, issuers }));
+}
+
+/**
+ * Verify a bearer token against whichever configured issuer minted it.
+ * Resolves { claims, issuer }; rejects when the issuer is unknown or the
+ * signature, audience or expiry don't check out. Scope is left to the caller.
+ */
+export function authenticate(token) {
+  const unverified = jwt.decode(token);
+  const iss = unverified?.iss;
+  const issuer = iss && ISSUERS.find((i) => i.issuers.includes(iss));
+  if (!issuer) return Promise.reject(new Error(`untrusted issuer ${iss || '(none)'}`));
+
+  return new Promise((resolve, reject) => {
+    jwt.verify(
+      token,
+      issuer.getKey,
+      { ...issuer.verifyOptions, clockTolerance: 5 }, // seconds
+      (err, claims) => (err ? reject(err) : resolve({ claims, issuer }))
+    );
+  });
+}
+
+/**
+ * Sign a token for the local issuer, for development and tests.
+ * claims should carry at least sub; oid, email and scp are passed through.
+ */
+export function mintLocalToken(claims, { expiresIn = '1h', name = 'local' } = {}) {
+  const issuer = ISSUERS.find((i) => i.type === 'local' && i.name === name);
+  if (!issuer) throw new Error('the local issuer is not configured');
+  return jwt.sign(claims, issuer.secret, {
+    algorithm: 'HS256',
+    issuer: LOCAL_ISSUER,
+    audience: issuer.verifyOptions.audience[0],
+    expiresIn
+  });
+}
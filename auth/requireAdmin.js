@@ -0,0 +1,114 @@
+// auth/requireAdmin.js
+import crypto from 'crypto';
+import config from '../config/index.js';
+import { authenticate, isAdminIssuer } from './issuers.js';
+import { bearerToken } from './verifyToken.js';
+import { recordAudit } from '../services/audit.js';
+
+/**
+ * Admin and refresh routes accept either
+ *   - a bearer token carrying the admin app role (AUTH_ADMIN_ROLE, default
+ *     CoreLord.Admin), from a signed-in user or a client-credentials app,
+ *     issued by one of the AAD issuers in AUTH_ADMIN_ISSUERS, or
+ *   - an X-Api-Key header matching ADMIN_API_KEYS, for the scheduler.
+ *     Entries are name=key so the audit log can say which key was used;
+ *     a bare key is logged as "machine".
+ *
+ * Sets req.actor = { type: user | app | apikey, id, name }.
+ */
+
+const sha256 = (s) => crypto.createHash('sha256').update(String(s)).digest();
+
+function apiKeys() {
+  return config.auth.adminApiKeys.map((entry) => {
+    const i = entry.indexOf('=');
+    return i > 0
+      ? { name: entry.slice(0, i).trim(), digest: sha256(entry.slice(i + 1).trim()) }
+      : { name: 'machine', digest: sha256(entry) };
+  });
+}
+
+// compare digests so neither length nor content leaks through timing
+function matchApiKey(given) {
+  const digest = sha256(given);
+  return apiKeys().find((k) => crypto.timingSafeEqual(k.digest, digest)) || null;
+}
+
+function actorFromClaims(claims) {
+  // delegated (user) tokens always carry scp; client-credentials tokens never do
+  if (claims.idtyp === 'app' || !claims.scp) {
+    return { type: 'app', id: claims.appid || claims.azp || claims.oid || claims.sub, name: claims.app_displayname || null };
+  }
+  return {
+    type: 'user',
+    id: claims.oid || claims.sub,
+    name: claims.preferred_username || claims.upn || claims.email || claims.name || null
+  };
+}
+
+export default async function requireAdmin(req, res, next) {
+  const key = req.get('x-api-key');
+  if (key) {
+    const match = matchApiKey(key);
+    if (!match) {
+      console.warn(`[Admin] rejected API key for ${req.method} ${req.originalUrl}`);
+      return res.status(403).json({ message: 'Invalid API key' });
+    }
+    req.actor = { type: 'apikey', id: match.name, name: null };
+    return next();
+  }
+
+  const token = bearerToken(req);
+  if (!token) return res.status(401).json({ message: 'Admin token or API key required' });
+
+  let claims;
+  let issuer;
+  try {
+    ({ claims, issuer } = await authenticate(token));
+  } catch (err) {
+    console.error('Token verification failed:', err.message);
+    return res.status(403).json({ message: 'Token verification failed' });
+  }
+
+  const roles = Array.isArray(claims.roles) ? claims.roles : [];
+  const actor = actorFromClaims(claims);
+  // roles from any other issuer are not ours to trust
+  if (!isAdminIssuer(issuer) || !roles.includes(config.auth.adminRole)) {
+    console.warn(`[Admin] ${actor.type} ${actor.id} (${issuer.name}) lacks a trusted ${config.auth.adminRole} for ${req.method} ${req.originalUrl}`);
+    return res.status(403).json({ message: `${config.auth.adminRole} role required` });
+  }
+
+  req.user = claims;
+  req.actor = actor;
+  next();
+}
+
+function auditTarget(req) {
+  const breakId = req.query?.breakId ?? req.body?.breakId;
+  if (breakId != null) return `break:${breakId}`;
+  if (req.query?.stationId != null) return `station:${req.query.stationId}`;
+  return null;
+}
+
+/**
+ * Write one dbo.AuditLog row per admin call once the response is sent.
+ * A failed audit write is logged, it never fails the call itself.
+ */
+export function auditAdmin(req, res, next) {
+  const startedAt = Date.now();
+  res.on('finish', () => {
+    if (!req.actor) return;
+    recordAudit({
+      actor: req.actor,
+      action: `${req.method} ${req.baseUrl}${req.path}`,
+      target: auditTarget(req),
+      status: res.statusCode,
+      detail: {
+        query: req.query,
+        body: req.method === 'GET' ? undefined : req.body,
+        ms: Date.now() - startedAt
+      }
+    }).catch((err) => console.error('[Admin] audit write failed:', err.message));
+  });
+  next();
+}
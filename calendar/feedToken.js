@@ -0,0 +1,45 @@
+// calendar/feedToken.js
+import crypto from "crypto";
+import config from "../config/index.js";
+
+/**
+ * Calendar clients can't send a bearer token, so the feed URL carries a
+ * signed token instead: <feed key>.base64url(HMAC-SHA256). The feed key is a
+ * random per-user value in dbo.Users.CalendarFeedKey, so the URL says
+ * nothing about the user and rotating the key revokes that user's URLs.
+ * Rotating CALENDAR_FEED_SECRET invalidates every issued feed URL.
+ */
+function secret() {
+  return config.calendar.feedSecret || null;
+}
+
+export function calendarFeedsEnabled() {
+  return !!secret();
+}
+
+function sign(text) {
+  return crypto.createHmac("sha256", secret()).update(text).digest("base64url");
+}
+
+const signKey = (feedKey) => sign(`calendar-key:${feedKey}`);
+
+function matches(sig, expected) {
+  const given = Buffer.from(sig);
+  const want = Buffer.from(expected);
+  return given.length === want.length && crypto.timingSafeEqual(given, want);
+}
+
+export function createFeedToken(feedKey) {
+  if (!secret()) throw new Error("CALENDAR_FEED_SECRET is not configured");
+  return `${feedKey}.${signKey(feedKey)}`;
+}
+
+/**
+ * { feedKey } for a token that verifies, else null.
+ */
+export function verifyFeedToken(token) {
+  if (!secret()) return null;
+  const [feedKey, sig] = String(token || "").split(".");
+  if (!feedKey || !sig) return null;
+  return matches(sig, signKey(feedKey)) ? { feedKey } : null;
+}
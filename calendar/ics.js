@@ -0,0 +1,135 @@
+// calendar/ics.js
+import { localIso } from "../forecast/time.js";
+import { METRIC, formatValue } from "../forecast/units.js";
+
+/**
+ * iCalendar (RFC 5545) output for session windows. Times are written in UTC
+ * so calendar clients place them correctly whatever zone they are in; the
+ * description carries the break's local wall clock.
+ */
+
+const PRODID = "-//CoreLord//Surf Sessions//EN";
+const UID_DOMAIN = "corelord.app";
+const COMPASS = ["N", "NE", "E", "SE", "S", "SW", "W", "NW"];
+
+function escapeText(s) {
+  return String(s ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// content lines longer than 75 octets continue on lines starting with a space
+function fold(line) {
+  const bytes = Buffer.from(line, "utf8");
+  if (bytes.length <= 75) return line;
+
+  const out = [];
+  let start = 0;
+  let limit = 75;
+  while (start < bytes.length) {
+    let end = Math.min(start + limit, bytes.length);
+    // don't split a multi-byte character
+    while (end < bytes.length && (bytes[end] & 0xc0) === 0x80) end--;
+    out.push(bytes.subarray(start, end).toString("utf8"));
+    start = end;
+    limit = 74;
+  }
+  return out.join("\r\n ");
+}
+
+function icsDate(ms) {
+  return new Date(ms).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function compass(deg) {
+  if (deg == null) return null;
+  return COMPASS[Math.round((((deg % 360) + 360) % 360) / 45) % 8];
+}
+
+/**
+ * One-line wave and wind summaries from the window's best hour, in units.
+ */
+function conditionLines(w, units) {
+  const hour = w.hourly.find((h) => h.ts === w.bestHour) || w.hourly[0];
+  if (!hour) return [];
+  const lines = [];
+
+  const size = hour.surf ?? hour.wave;
+  if (size != null) {
+    const parts = [formatValue("height", size, units)];
+    if (hour.per != null) parts.push(`${Math.round(hour.per)}s`);
+    if (hour.swellDir != null) parts.push(`from ${compass(hour.swellDir)}`);
+    lines.push(`Surf ${parts.join(" ")}`);
+  }
+  if (hour.windKt != null) {
+    const rel = hour.windRelation || (hour.windDir != null ? compass(hour.windDir) : null);
+    lines.push(`Wind ${formatValue("wind", hour.windKt, units)}${rel ? ` ${rel}` : ""}`);
+  }
+  if (hour.tide != null) {
+    const phase = hour.tidePhase ? ` ${hour.tidePhase.stage}-${hour.tidePhase.state}` : "";
+    lines.push(`Tide ${formatValue("height", hour.tide, units)}${phase}`);
+  }
+  return lines;
+}
+
+/**
+ * VEVENT lines for a scored window. The UID is stable per break and start so
+ * a refreshed feed updates events in place rather than duplicating them.
+ */
+export function windowToEvent(w, { brk = null, tz = "UTC", units = METRIC, now = Date.now() } = {}) {
+  const start = Date.parse(w.start);
+  const end = Date.parse(w.end) + 3600000;
+  const best = Date.parse(w.bestHour);
+
+  const description = [
+    `Score ${w.score}/100`,
+    `Best hour ${localIso(best, tz).slice(11, 16)} (${tz})`,
+    ...conditionLines(w, units),
+    ...(w.why?.dawnPatrol ? ["Dawn patrol"] : []),
+  ].join("\n");
+
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${w.breakId}-${icsDate(start)}@${UID_DOMAIN}`,
+    `DTSTAMP:${icsDate(now)}`,
+    `DTSTART:${icsDate(start)}`,
+    `DTEND:${icsDate(end)}`,
+    `SUMMARY:${escapeText(`${w.breakName} · ${w.score}`)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `LOCATION:${escapeText([w.breakName, w.region].filter(Boolean).join(", "))}`,
+  ];
+  if (brk?.Latitude != null && brk?.Longitude != null) {
+    lines.push(`GEO:${brk.Latitude};${brk.Longitude}`);
+  }
+  lines.push(`X-CORELORD-BEST-HOUR:${icsDate(best)}`);
+  lines.push("TRANSP:TRANSPARENT", "END:VEVENT");
+  return lines;
+}
+
+/**
+ * Full VCALENDAR text. breaks is an optional Map(breakId -> break row) for
+ * GEO, tz the zone descriptions are written in and units their sizes.
+ */
+export function buildCalendar(
+  windows,
+  { name = "CoreLord sessions", breaks = null, tz = "UTC", units = METRIC, refreshMinutes = 60 } = {}
+) {
+  const now = Date.now();
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`,
+    `X-PUBLISHED-TTL:PT${refreshMinutes}M`,
+  ];
+  for (const w of windows) {
+    lines.push(...windowToEvent(w, { brk: breaks?.get(w.breakId) || null, tz, units, now }));
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
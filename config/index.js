@@ -0,0 +1,228 @@
+// config/index.js
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+/**
+ * Every setting the backend reads, in one place. Values come from, in order:
+ *   1. environment variables
+ *   2. an optional local JSON file keyed by the same variable names
+ *      (CONFIG_FILE, default config.local.json next to package.json)
+ *   3. the profile default below
+ *
+ * The profile is APP_ENV (local | test | prod), defaulting to prod when
+ * NODE_ENV=production, test when NODE_ENV=test, else local. Settings marked
+ * required for the active profile are checked when this module loads and a
+ * ConfigError lists everything missing or malformed at once.
+ *
+ * Secrets have no defaults. Keep them in the environment (App Service
+ * settings) or in the git-ignored local file, never in code.
+ */
+
+export const PROFILES = ["local", "test", "prod"];
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const RUNNING = ["local", "prod"];
+
+const SWA_ORIGIN = "https://calm-coast-025fe8203.2.azurestaticapps.net";
+const LOCAL_ORIGINS = ["http://localhost:3000", "http://127.0.0.1:3000"];
+
+// { key, env, type, default (value or per-profile map), required (profiles), secret }
+const SETTINGS = [
+  { key: "port", env: "PORT", type: "int", default: 3000 },
+  { key: "buildId", env: "WEBSITE_BUILD_ID", fallbackEnv: "SCM_BUILD" },
+  {
+    key: "cors.origins",
+    env: "CORS_ORIGINS",
+    type: "list",
+    default: { local: [SWA_ORIGIN, ...LOCAL_ORIGINS], test: LOCAL_ORIGINS, prod: [SWA_ORIGIN] },
+  },
+
+  { key: "sql.server", env: "SQL_SERVER", required: RUNNING },
+  { key: "sql.database", env: "SQL_DATABASE", required: RUNNING },
+  { key: "sql.user", env: "SQL_USER", required: RUNNING },
+  { key: "sql.password", env: "SQL_PASSWORD", required: RUNNING, secret: true },
+  { key: "sql.encrypt", env: "SQL_ENCRYPT", type: "bool", default: true },
+  { key: "sql.trustServerCertificate", env: "SQL_TRUST_SERVER_CERTIFICATE", type: "bool", default: false },
+
+  // AUTH_ISSUERS is a JSON list, see auth/issuers.js; without it the single
+  // AAD tenant below is used
+  { key: "auth.issuers", env: "AUTH_ISSUERS", type: "json", default: { test: [{ type: "local" }] } },
+  { key: "auth.tenantId", env: "AUTH_TENANT_ID" },
+  { key: "auth.apiAppId", env: "AUTH_API_APP_ID" },
+  { key: "auth.requiredScope", env: "AUTH_REQUIRED_SCOPE", default: "user_impersonation" },
+  { key: "auth.localSecret", env: "AUTH_LOCAL_SECRET", secret: true },
+  { key: "auth.adminRole", env: "AUTH_ADMIN_ROLE", default: "CoreLord.Admin" },
+  // names of the aad issuers whose admin role is honoured, see auth/issuers.js
+  { key: "auth.adminIssuers", env: "AUTH_ADMIN_ISSUERS", type: "list", default: [] },
+  { key: "auth.adminApiKeys", env: "ADMIN_API_KEYS", type: "list", default: [], secret: true },
+
+  { key: "forecast.providers", env: "FORECAST_PROVIDERS", type: "list", default: { test: ["fixture"] } },
+  { key: "forecast.fixtureDir", env: "FORECAST_FIXTURE_DIR" },
+  { key: "forecast.stormglassApiKey", env: "STORMGLASS_API_KEY", secret: true },
+  { key: "retention.keepLatest", env: "FORECAST_RETENTION_KEEP_LATEST", type: "int", default: 3 },
+  { key: "retention.dailyDays", env: "FORECAST_RETENTION_DAILY_DAYS", type: "int", default: 90 },
+
+  { key: "alerts.delivery", env: "ALERT_DELIVERY", default: { test: "memory" } },
+  { key: "alerts.webhookSecret", env: "ALERT_WEBHOOK_SECRET", secret: true },
+  { key: "smtp.host", env: "SMTP_HOST" },
+  { key: "smtp.port", env: "SMTP_PORT", type: "int", default: 587 },
+  { key: "smtp.user", env: "SMTP_USER" },
+  { key: "smtp.pass", env: "SMTP_PASS", secret: true },
+  { key: "smtp.from", env: "SMTP_FROM", default: "CoreLord <alerts@corelord.app>" },
+  { key: "vapid.publicKey", env: "VAPID_PUBLIC_KEY" },
+  { key: "vapid.privateKey", env: "VAPID_PRIVATE_KEY", secret: true },
+  { key: "vapid.subject", env: "VAPID_SUBJECT", default: "mailto:ops@corelord.app" },
+
+  { key: "calendar.feedSecret", env: "CALENDAR_FEED_SECRET", secret: true },
+  { key: "openapi.validateResponses", env: "OPENAPI_VALIDATE_RESPONSES", type: "bool", default: { local: false, test: true, prod: false } },
+];
+
+// rules that span settings: (config) -> problem or null
+const CHECKS = [
+  (c) =>
+    RUNNING.includes(c.profile) && !c.auth.issuers && !(c.auth.tenantId && c.auth.apiAppId)
+      ? "AUTH_ISSUERS, or AUTH_TENANT_ID and AUTH_API_APP_ID, is required"
+      : null,
+  (c) =>
+    c.profile === "prod" && (c.auth.issuers || []).some((i) => i?.type === "local")
+      ? "AUTH_ISSUERS must not include the local issuer in prod"
+      : null,
+];
+
+export class ConfigError extends Error {
+  constructor(profile, problems) {
+    super(`Invalid configuration for profile "${profile}":\n${problems.map((p) => `  - ${p}`).join("\n")}`);
+    this.name = "ConfigError";
+    this.profile = profile;
+    this.problems = problems;
+  }
+}
+
+const PARSERS = {
+  string: (raw) => ({ value: String(raw) }),
+  int: (raw) => {
+    const s = String(raw).trim();
+    return /^-?\d+$/.test(s) ? { value: Number(s) } : { error: "must be a whole number" };
+  },
+  bool: (raw) => {
+    if (typeof raw === "boolean") return { value: raw };
+    const s = String(raw).trim().toLowerCase();
+    if (["1", "true", "yes", "on"].includes(s)) return { value: true };
+    if (["0", "false", "no", "off"].includes(s)) return { value: false };
+    return { error: "must be true or false" };
+  },
+  json: (raw) => {
+    if (typeof raw === "object") return { value: raw };
+    try {
+      return { value: JSON.parse(String(raw)) };
+    } catch {
+      return { error: "must be valid JSON" };
+    }
+  },
+  list: (raw) => ({
+    value: (Array.isArray(raw) ? raw : String(raw).split(","))
+      .map((s) => String(s).trim())
+      .filter(Boolean),
+  }),
+};
+
+function readLocalFile(file) {
+  if (!fs.existsSync(file)) return { values: {} };
+  try {
+    const values = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (!values || typeof values !== "object" || Array.isArray(values)) {
+      return { values: {}, error: `${file} must hold a JSON object` };
+    }
+    return { values };
+  } catch (err) {
+    return { values: {}, error: `${file} is not valid JSON: ${err.message}` };
+  }
+}
+
+function profileFrom(env, file) {
+  const explicit = env.APP_ENV ?? file.APP_ENV;
+  if (explicit) return String(explicit).trim().toLowerCase();
+  if (env.NODE_ENV === "production") return "prod";
+  if (env.NODE_ENV === "test") return "test";
+  return "local";
+}
+
+function setPath(obj, key, value) {
+  const parts = key.split(".");
+  let node = obj;
+  for (const p of parts.slice(0, -1)) node = node[p] ??= {};
+  node[parts.at(-1)] = value;
+}
+
+const present = (v) => v !== undefined && v !== null && v !== "";
+
+/**
+ * Resolve every setting. Pure apart from reading the local file, so scripts
+ * can check another profile's environment. Returns { profile, config, problems }.
+ */
+export function loadConfig(env = process.env) {
+  const problems = [];
+  const local = readLocalFile(path.resolve(ROOT, env.CONFIG_FILE || "config.local.json"));
+  if (local.error) problems.push(local.error);
+
+  let profile = profileFrom(env, local.values);
+  if (!PROFILES.includes(profile)) {
+    problems.push(`APP_ENV must be one of ${PROFILES.join(", ")} (got "${profile}")`);
+    profile = "local";
+  }
+
+  const config = { profile };
+  for (const s of SETTINGS) {
+    const names = [s.env, s.fallbackEnv].filter(Boolean);
+    let raw;
+    for (const source of [env, local.values]) {
+      const name = names.find((n) => present(source[n]));
+      if (name) {
+        raw = source[name];
+        break;
+      }
+    }
+
+    let value;
+    if (present(raw)) {
+      const parsed = PARSERS[s.type || "string"](raw);
+      if (parsed.error) problems.push(`${s.env} ${parsed.error} (got "${s.secret ? "***" : raw}")`);
+      value = parsed.value;
+    } else {
+      const d = s.default;
+      value = d && typeof d === "object" && !Array.isArray(d) ? d[profile] : d;
+      if ((s.required || []).includes(profile)) problems.push(`${s.env} is required`);
+    }
+    setPath(config, s.key, value ?? null);
+  }
+
+  for (const check of CHECKS) {
+    const problem = check(config);
+    if (problem) problems.push(problem);
+  }
+
+  return { profile, config, problems };
+}
+
+/**
+ * The resolved config with secrets masked, safe to log or return from a
+ * diagnostics route.
+ */
+export function redactConfig(cfg) {
+  const out = JSON.parse(JSON.stringify(cfg));
+  for (const s of SETTINGS) {
+    if (!s.secret) continue;
+    const parts = s.key.split(".");
+    const parent = parts.slice(0, -1).reduce((node, p) => node?.[p], out);
+    const value = parent?.[parts.at(-1)];
+    if (present(value) && !(Array.isArray(value) && !value.length)) parent[parts.at(-1)] = "***";
+  }
+  return out;
+}
+
+const loaded = loadConfig();
+if (loaded.problems.length) throw new ConfigError(loaded.profile, loaded.problems);
+
+export const config = loaded.config;
+export default config;
@@ -1,28 +1,50 @@
 // db.js
 import sql from 'mssql';
+import config from './config/index.js';
 
-// Azure SQL config for your server & DB
-const config = {
-  user: 'sqladmin',
-  password: '6dHAy!g#qa^tSuBR',
-  server: 'corelord-sqlserver.database.windows.net',
-  database: 'CoreLordDB',
+// Azure SQL settings come from SQL_SERVER, SQL_DATABASE, SQL_USER and SQL_PASSWORD
+const sqlConfig = {
+  user: config.sql.user,
+  password: config.sql.password,
+  server: config.sql.server,
+  database: config.sql.database,
   options: {
-    encrypt: true,
-    trustServerCertificate: false,
+    encrypt: config.sql.encrypt,
+    trustServerCertificate: config.sql.trustServerCertificate,
   },
 };
 
-// Create and share one connection pool across the app
-const poolPromise = new sql.ConnectionPool(config)
-  .connect()
-  .then((pool) => {
-    console.log('Connected to SQL database');
-    return pool;
-  })
-  .catch((err) => {
-    console.error('SQL connection error:', err);
-    throw err;
-  });
+let connecting = null;
+
+/**
+ * The shared connection pool, connected on first use rather than on import,
+ * so the test profile (where SQL_* are optional) starts without a database.
+ * Without SQL settings, or after a failed connect, the query fails instead;
+ * the next call tries again.
+ */
+function getPool() {
+  if (!config.sql.server) {
+    return Promise.reject(new Error('SQL is not configured (SQL_SERVER and friends are unset)'));
+  }
+  connecting ??= new sql.ConnectionPool(sqlConfig)
+    .connect()
+    .then((pool) => {
+      console.log('Connected to SQL database');
+      return pool;
+    })
+    .catch((err) => {
+      console.error('SQL connection error:', err);
+      connecting = null;
+      throw err;
+    });
+  return connecting;
+}
+
+// awaited everywhere as `await poolPromise`; connecting starts on the first await
+const poolPromise = {
+  then(resolve, reject) {
+    return getPool().then(resolve, reject);
+  },
+};
 
 export { sql, poolPromise };
@@ -0,0 +1,22 @@
+// forecast/angles.js
+
+/**
+ * Compass bearings in degrees, shared by the forecast modules.
+ */
+
+/**
+ * Normalize degrees to 0..360
+ */
+export function normDeg(d) {
+  let x = Number(d) % 360;
+  if (x < 0) x += 360;
+  return x;
+}
+
+/**
+ * Smallest angle between two bearings, 0..180
+ */
+export function angleDelta(a, b) {
+  const d = Math.abs(normDeg(a) - normDeg(b));
+  return Math.min(d, 360 - d);
+}
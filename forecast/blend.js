@@ -0,0 +1,82 @@
+// forecast/blend.js
+import { angleDelta } from "./angles.js";
+
+/**
+ * Source selection and blending for per-source forecast params.
+ * A param looks like { noaa: 1.2, sg: 1.3, icon: null, ... }.
+ */
+
+// order we fall back through when the caller does not ask for anything
+export const DEFAULT_SOURCE_ORDER = ["noaa", "sg", "icon", "meteo", "dwd", "ecmwf", "openmeteo", "fixture"];
+
+export const BLEND_MODES = ["mean", "median"];
+
+function available(param, sources) {
+  if (!param || typeof param !== "object") return [];
+  const keys = sources && sources.length ? sources : Object.keys(param);
+  return keys
+    .filter((k) => typeof param[k] === "number" && Number.isFinite(param[k]))
+    .map((k) => ({ source: k, value: param[k] }));
+}
+
+function mean(values, circular) {
+  if (!circular) return values.reduce((a, b) => a + b, 0) / values.length;
+  // vector mean so 350° and 10° average to 0°, not 180°
+  let x = 0;
+  let y = 0;
+  for (const v of values) {
+    x += Math.cos((v * Math.PI) / 180);
+    y += Math.sin((v * Math.PI) / 180);
+  }
+  const deg = (Math.atan2(y, x) * 180) / Math.PI;
+  return (deg + 360) % 360;
+}
+
+function median(values, circular) {
+  if (!circular) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+  // circular medoid: the sample closest to all the others
+  let best = values[0];
+  let bestCost = Infinity;
+  for (const c of values) {
+    const cost = values.reduce((acc, v) => acc + angleDelta(c, v), 0);
+    if (cost < bestCost) {
+      best = c;
+      bestCost = cost;
+    }
+  }
+  return best;
+}
+
+/**
+ * Resolve one param to a single value.
+ * - no blend: first source in preference order that has a value; unless
+ *   strict, any other source present is used before giving up
+ * - blend: mean/median across every listed source (or all) that has a value
+ * Returns { value, sources } where sources lists what actually contributed.
+ */
+export function resolveParam(param, { sources, strict = false, blend = null, circular = false } = {}) {
+  if (blend) {
+    const hits = available(param, sources);
+    if (!hits.length) return { value: null, sources: [] };
+    const values = hits.map((h) => h.value);
+    return {
+      value: blend === "median" ? median(values, circular) : mean(values, circular),
+      sources: hits.map((h) => h.source),
+    };
+  }
+
+  const order = sources && sources.length ? sources : DEFAULT_SOURCE_ORDER;
+  for (const source of order) {
+    const v = param?.[source];
+    if (typeof v === "number" && Number.isFinite(v)) return { value: v, sources: [source] };
+  }
+  if (!strict) {
+    const [first] = available(param, null);
+    if (first) return { value: first.value, sources: [first.source] };
+  }
+  return { value: null, sources: [] };
+}
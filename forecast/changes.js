@@ -0,0 +1,141 @@
+// forecast/changes.js
+import { toForecastItems } from "./items.js";
+import { WIND_RELATIONS } from "./wind.js";
+
+/**
+ * Day-by-day comparison of two forecast snapshots for the same break.
+ * Days are local to the break and only daylight hours count when the break
+ * has coordinates, so a 3am spike doesn't "upgrade" a day.
+ */
+
+const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+// smallest changes worth telling anyone about
+const HEIGHT_MIN_DELTA_M = 0.2;
+const HEIGHT_MIN_DELTA_RATIO = 0.15;
+const WIND_MIN_DELTA_KT = 5;
+
+function round(x, dp = 1) {
+  if (x == null) return null;
+  const f = 10 ** dp;
+  return Math.round(x * f) / f;
+}
+
+function dayKey(item) {
+  if (item.localTime) return item.localTime.slice(0, 10);
+  return new Date(item.ts * 1000).toISOString().slice(0, 10);
+}
+
+function summarizeDay(items) {
+  const usable = items.filter((it) => it.daylight !== false);
+  if (!usable.length) return null;
+
+  const heights = usable
+    .map((it) => it.breakingHeightM ?? it.waveHeightM)
+    .filter((v) => v != null);
+  const winds = usable.map((it) => it.windSpeedKt).filter((v) => v != null);
+
+  const counts = {};
+  for (const it of usable) {
+    if (it.windRelation) counts[it.windRelation] = (counts[it.windRelation] || 0) + 1;
+  }
+  const relation = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0] || null;
+
+  return {
+    peakHeightM: heights.length ? Math.max(...heights) : null,
+    meanWindKt: winds.length ? winds.reduce((a, b) => a + b, 0) / winds.length : null,
+    windRelation: relation,
+  };
+}
+
+function byDay(items) {
+  const days = new Map();
+  for (const it of items) {
+    const key = dayKey(it);
+    if (!days.has(key)) days.set(key, []);
+    days.get(key).push(it);
+  }
+  const out = new Map();
+  for (const [key, list] of days) {
+    const summary = summarizeDay(list);
+    if (summary) out.set(key, summary);
+  }
+  return out;
+}
+
+// lower is better: offshore 0 .. onshore 4
+const relationRank = (r) => (r ? WIND_RELATIONS.indexOf(r) : null);
+
+function compareDay(date, before, after) {
+  const phrases = [];
+  let better = 0;
+  let worse = 0;
+
+  const h0 = before.peakHeightM;
+  const h1 = after.peakHeightM;
+  if (h0 != null && h1 != null) {
+    const delta = h1 - h0;
+    const threshold = Math.max(HEIGHT_MIN_DELTA_M, HEIGHT_MIN_DELTA_RATIO * h0);
+    if (Math.abs(delta) >= threshold) {
+      phrases.push(`${delta > 0 ? "upgraded" : "downgraded"} from ${round(h0)}m to ${round(h1)}m`);
+      if (delta > 0) better += 1;
+      else worse += 1;
+    }
+  }
+
+  const w0 = before.meanWindKt;
+  const w1 = after.meanWindKt;
+  if (w0 != null && w1 != null && Math.abs(w1 - w0) >= WIND_MIN_DELTA_KT) {
+    phrases.push(`wind ${w1 > w0 ? "up" : "down"} from ${round(w0, 0)}kt to ${round(w1, 0)}kt`);
+    if (w1 > w0) worse += 1;
+    else better += 1;
+  }
+
+  const r0 = relationRank(before.windRelation);
+  const r1 = relationRank(after.windRelation);
+  if (r0 != null && r1 != null && r0 !== r1) {
+    phrases.push(`wind swung ${after.windRelation}`);
+    if (r1 < r0) better += 1;
+    else worse += 1;
+  }
+
+  let verdict = "unchanged";
+  if (better && worse) verdict = "mixed";
+  else if (better) verdict = "upgraded";
+  else if (worse) verdict = "downgraded";
+
+  const [y, m, d] = date.split("-").map(Number);
+  const weekday = WEEKDAYS[new Date(Date.UTC(y, m - 1, d)).getUTCDay()];
+
+  return {
+    date,
+    weekday,
+    verdict,
+    before: { ...before, peakHeightM: round(before.peakHeightM, 2), meanWindKt: round(before.meanWindKt) },
+    after: { ...after, peakHeightM: round(after.peakHeightM, 2), meanWindKt: round(after.meanWindKt) },
+    summary: phrases.length ? `${weekday} ${phrases.join(", ")}` : null,
+  };
+}
+
+/**
+ * Compare the previous and the new payload. Only days both cover are
+ * compared. Returns { days: [...], changed, headline }.
+ */
+export function diffForecasts(previousJson, nextJson, brk = null) {
+  const before = byDay(toForecastItems(previousJson, { brk }));
+  const after = byDay(toForecastItems(nextJson, { brk }));
+
+  const days = [];
+  for (const [date, a] of after) {
+    const b = before.get(date);
+    if (b) days.push(compareDay(date, b, a));
+  }
+  days.sort((x, y) => x.date.localeCompare(y.date));
+
+  const changed = days.filter((d) => d.verdict !== "unchanged");
+  return {
+    days,
+    changed: changed.length,
+    headline: changed.length ? changed.map((d) => d.summary).join("; ") : "No significant changes",
+  };
+}
@@ -0,0 +1,107 @@
+// forecast/exposure.js
+import { normDeg, angleDelta } from "./angles.js";
+
+/**
+ * Per-break swell exposure and breaking height estimate.
+ *
+ * Columns expected:
+ * ALTER TABLE dbo.SurfBreaks ADD
+ *   CoastFacingDeg    FLOAT NULL,  -- bearing the beach faces, out to sea
+ *   SwellWindowMinDeg FLOAT NULL,  -- optimal swell window, clockwise from min
+ *   SwellWindowMaxDeg FLOAT NULL,  --   to max (may wrap through north)
+ *   SwellShadowFactor FLOAT NULL;  -- 0..1 height kept when fully outside window
+ *
+ * A break with only CoastFacingDeg gets a window of facing ±DEFAULT_HALF_WINDOW.
+ * A break with neither has no estimate: its partitions keep exposure 1 and
+ * no breaking height.
+ */
+
+const DEFAULT_HALF_WINDOW = 75;
+const DEFAULT_SHADOW_FACTOR = 0.15;
+// degrees past the window edge over which exposure tapers to the shadow factor
+const TAPER_DEG = 30;
+const G = 9.81;
+
+/**
+ * Swell window for a break row, or null when the break has no exposure data.
+ */
+export function swellWindowFor(brk) {
+  if (!brk) return null;
+  const shadow =
+    typeof brk.SwellShadowFactor === "number"
+      ? Math.max(0, Math.min(1, brk.SwellShadowFactor))
+      : DEFAULT_SHADOW_FACTOR;
+
+  if (typeof brk.SwellWindowMinDeg === "number" && typeof brk.SwellWindowMaxDeg === "number") {
+    return { min: normDeg(brk.SwellWindowMinDeg), max: normDeg(brk.SwellWindowMaxDeg), shadow };
+  }
+  if (typeof brk.CoastFacingDeg === "number") {
+    return {
+      min: normDeg(brk.CoastFacingDeg - DEFAULT_HALF_WINDOW),
+      max: normDeg(brk.CoastFacingDeg + DEFAULT_HALF_WINDOW),
+      shadow,
+    };
+  }
+  return null;
+}
+
+function insideWindow(dir, { min, max }) {
+  const d = normDeg(dir);
+  return min <= max ? d >= min && d <= max : d >= min || d <= max;
+}
+
+/**
+ * Fraction of offshore swell height (0..1) that reaches the break for a swell
+ * arriving from `dir`. 1.0 inside the window, cosine taper to the shadow
+ * factor over TAPER_DEG past either edge.
+ */
+export function exposureFor(dir, window) {
+  if (!window || dir == null) return 1.0;
+  if (insideWindow(dir, window)) return 1.0;
+
+  const outside = Math.min(angleDelta(dir, window.min), angleDelta(dir, window.max));
+  if (outside >= TAPER_DEG) return window.shadow;
+  const t = outside / TAPER_DEG;
+  const s = 0.5 * (1 + Math.cos(Math.PI * t)); // 1..0
+  return window.shadow + (1 - window.shadow) * s;
+}
+
+/**
+ * Komar & Gaughan breaker height from deep water height and period:
+ *   Hb = 0.39 g^(1/5) (T H0^2)^(2/5)
+ * Without a period we fall back to the offshore height itself.
+ */
+export function breakerHeight(heightM, periodS) {
+  if (heightM == null) return null;
+  if (!(periodS > 0)) return heightM;
+  return 0.39 * Math.pow(G, 0.2) * Math.pow(periodS * heightM * heightM, 0.4);
+}
+
+/**
+ * Annotate swell partitions with exposure and breaking height, and return the
+ * combined breaking height (energy sum of the partitions) for the hour.
+ * Null throughout for a break without exposure data.
+ */
+export function applyExposure(swells, brk) {
+  const window = swellWindowFor(brk);
+  if (!window) {
+    for (const s of swells) {
+      s.exposure = 1.0;
+      s.breakingHeightM = null;
+    }
+    return null;
+  }
+
+  let energy = 0;
+  let any = false;
+  for (const s of swells) {
+    s.exposure = exposureFor(s.dir, window);
+    const hb = breakerHeight(s.heightM != null ? s.heightM * s.exposure : null, s.periodS);
+    s.breakingHeightM = hb;
+    if (hb != null) {
+      energy += hb * hb;
+      any = true;
+    }
+  }
+  return any ? Math.sqrt(energy) : null;
+}
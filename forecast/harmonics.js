@@ -0,0 +1,156 @@
+// forecast/harmonics.js
+
+/**
+ * Offline harmonic tide prediction.
+ *
+ *   h(t) = Z0 + sum_i f_i A_i cos(V_i(t) + u_i - g_i)
+ *
+ * A (m) and g (Greenwich phase lag, degrees, UTC) come per break from
+ * dbo.TideConstituents. V is the equilibrium argument from Doodson numbers
+ * and the mean astronomical longitudes; f/u are the Schureman nodal
+ * corrections. Good to a few centimetres with the main constituents, which
+ * is plenty for picking low/mid/high.
+ *
+ * Table expected:
+ * CREATE TABLE dbo.TideConstituents (
+ *   BreakId     INT NOT NULL,
+ *   Constituent NVARCHAR(8) NOT NULL,   -- M2, S2, K1 ... or Z0 for mean level
+ *   AmplitudeM  FLOAT NOT NULL,
+ *   PhaseDeg    FLOAT NOT NULL,         -- ignored for Z0
+ *   CONSTRAINT PK_TideConstituents PRIMARY KEY (BreakId, Constituent)
+ * );
+ */
+
+const RAD = Math.PI / 180;
+
+// Doodson numbers [tau, s, h, p, N', p1] and phase offset in degrees
+const CONSTITUENTS = {
+  M2: { d: [2, 0, 0, 0, 0, 0], off: 0, node: "M2" },
+  S2: { d: [2, 2, -2, 0, 0, 0], off: 0, node: null },
+  N2: { d: [2, -1, 0, 1, 0, 0], off: 0, node: "M2" },
+  K2: { d: [2, 2, 0, 0, 0, 0], off: 0, node: "K2" },
+  K1: { d: [1, 1, 0, 0, 0, 0], off: 90, node: "K1" },
+  O1: { d: [1, -1, 0, 0, 0, 0], off: -90, node: "O1" },
+  P1: { d: [1, 1, -2, 0, 0, 0], off: -90, node: null },
+  Q1: { d: [1, -2, 0, 1, 0, 0], off: -90, node: "O1" },
+  M4: { d: [4, 0, 0, 0, 0, 0], off: 0, node: "M4" },
+  MS4: { d: [4, 2, -2, 0, 0, 0], off: 0, node: "M2" },
+  MF: { d: [0, 2, 0, 0, 0, 0], off: 0, node: "MF" },
+  MM: { d: [0, 1, 0, -1, 0, 0], off: 0, node: "MM" },
+  SA: { d: [0, 0, 1, 0, 0, 0], off: 0, node: null },
+  SSA: { d: [0, 0, 2, 0, 0, 0], off: 0, node: null },
+};
+
+export const SUPPORTED_CONSTITUENTS = Object.keys(CONSTITUENTS);
+
+/**
+ * Mean longitudes (degrees) at a UTC instant, Julian centuries from J2000.
+ */
+function astro(tsMs) {
+  const T = (tsMs / 86400000 + 2440587.5 - 2451545.0) / 36525;
+  const s = 218.3164 + 481267.8812 * T; // moon
+  const h = 280.4661 + 36000.7698 * T; // sun
+  const p = 83.3535 + 4069.0137 * T; // lunar perigee
+  const N = 125.0445 - 1934.1363 * T; // lunar ascending node
+  const p1 = 282.9384 + 1.7195 * T; // solar perigee
+
+  const utHours = ((tsMs % 86400000) + 86400000) % 86400000 / 3600000;
+  // mean lunar time: hour angle of the mean sun plus (h - s)
+  const tau = 15 * utHours + 180 + h - s;
+  return { tau, s, h, p, N, p1 };
+}
+
+/**
+ * Nodal amplitude factor f and phase correction u (degrees).
+ */
+function nodal(kind, N) {
+  const n = N * RAD;
+  const c1 = Math.cos(n);
+  const c2 = Math.cos(2 * n);
+  const c3 = Math.cos(3 * n);
+  const s1 = Math.sin(n);
+  const s2 = Math.sin(2 * n);
+  const s3 = Math.sin(3 * n);
+
+  switch (kind) {
+    case "M2":
+      return { f: 1.0004 - 0.0373 * c1 + 0.0002 * c2, u: -2.14 * s1 };
+    case "M4": {
+      const m2 = nodal("M2", N);
+      return { f: m2.f * m2.f, u: 2 * m2.u };
+    }
+    case "K2":
+      return {
+        f: 1.0241 + 0.2863 * c1 + 0.0083 * c2 - 0.0015 * c3,
+        u: -17.74 * s1 + 0.68 * s2 - 0.04 * s3,
+      };
+    case "K1":
+      return {
+        f: 1.006 + 0.115 * c1 - 0.0088 * c2 + 0.0006 * c3,
+        u: -8.86 * s1 + 0.68 * s2 - 0.07 * s3,
+      };
+    case "O1":
+      return {
+        f: 1.0089 + 0.1871 * c1 - 0.0147 * c2 + 0.0014 * c3,
+        u: 10.8 * s1 - 1.34 * s2 + 0.19 * s3,
+      };
+    case "MF":
+      return { f: 1.043 + 0.414 * c1, u: -23.7 * s1 + 2.7 * s2 - 0.4 * s3 };
+    case "MM":
+      return { f: 1.0 - 0.13 * c1, u: 0 };
+    default:
+      return { f: 1, u: 0 };
+  }
+}
+
+/**
+ * Normalize DB rows ({ Constituent, AmplitudeM, PhaseDeg }) into
+ * { z0, terms: [{ name, amplitude, phase }] }. Unknown names are skipped.
+ */
+export function toHarmonicModel(rows = []) {
+  let z0 = 0;
+  const terms = [];
+  for (const r of rows) {
+    const name = String(r.Constituent || "").trim().toUpperCase();
+    if (name === "Z0") {
+      z0 = Number(r.AmplitudeM) || 0;
+      continue;
+    }
+    if (!CONSTITUENTS[name]) {
+      console.warn(`[Harmonics] Unsupported constituent ${name} ignored`);
+      continue;
+    }
+    terms.push({ name, amplitude: Number(r.AmplitudeM), phase: Number(r.PhaseDeg) });
+  }
+  return terms.length ? { z0, terms } : null;
+}
+
+/**
+ * Predicted sea level (m) at a UTC instant.
+ */
+export function predictTide(model, tsMs) {
+  const a = astro(tsMs);
+  const args = [a.tau, a.s, a.h, a.p, -a.N, a.p1];
+
+  let height = model.z0;
+  for (const term of model.terms) {
+    const c = CONSTITUENTS[term.name];
+    let V = c.off;
+    for (let i = 0; i < 6; i++) V += c.d[i] * args[i];
+    const { f, u } = nodal(c.node, a.N);
+    height += f * term.amplitude * Math.cos((V + u - term.phase) * RAD);
+  }
+  return height;
+}
+
+/**
+ * Hourly prediction as the same Map(hourEpoch -> metres) the providers return.
+ */
+export function predictTideHours(model, firstHourEpoch, hours) {
+  const result = new Map();
+  for (let i = 0; i < hours; i++) {
+    const h = firstHourEpoch + i;
+    result.set(h, Math.round(predictTide(model, h * 3600000) * 1000) / 1000);
+  }
+  return result;
+}
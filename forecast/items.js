@@ -0,0 +1,138 @@
+// forecast/items.js
+import { BLEND_MODES, DEFAULT_SOURCE_ORDER, resolveParam } from "./blend.js";
+import { applyExposure } from "./exposure.js";
+import { classifyWind } from "./wind.js";
+import { extremesFor, tidePhaseAt } from "./tides.js";
+import { isSurfableLight, sunCalculator } from "./sun.js";
+import { localIso, timeZoneForBreak } from "./time.js";
+import { MS_TO_KT } from "./units.js";
+
+// item field -> cached param
+export const ITEM_FIELDS = [
+  { field: "waveHeightM", param: "waveHeight" },
+  { field: "windSpeedKt", param: "windSpeed", scale: MS_TO_KT },
+  { field: "windDir", param: "windDirection", circular: true },
+  { field: "swellHeightM", param: "swellHeight" },
+  { field: "swellDir", param: "swellDirection", circular: true },
+  { field: "swellPeriodS", param: "swellPeriod" },
+  { field: "waterTempC", param: "waterTemperature" },
+];
+
+// display block name -> [quantity, item field], see forecast/units.js
+export const ITEM_DISPLAY_FIELDS = {
+  waveHeight: ["height", "waveHeightM"],
+  breakingHeight: ["height", "breakingHeightM"],
+  swellHeight: ["height", "swellHeightM"],
+  windSpeed: ["wind", "windSpeedKt"],
+  waterTemperature: ["temperature", "waterTempC"],
+  tideHeight: ["height", "tideM"],
+};
+
+// swell partitions exposed as item.swells[]
+const PARTITIONS = [
+  { kind: "primary", height: "swellHeight", period: "swellPeriod", dir: "swellDirection" },
+  { kind: "secondary", height: "secondarySwellHeight", period: "secondarySwellPeriod", dir: "secondarySwellDirection" },
+  { kind: "windWave", height: "windWaveHeight", period: "windWavePeriod", dir: "windWaveDirection" },
+];
+
+/**
+ * Read ?source=sg,noaa,icon and ?blend=mean|median.
+ * Returns { sources, blend } or { error } for a 400.
+ */
+export function parseSourceQuery(query = {}) {
+  const sources = String(query.source || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+
+  const blend = query.blend ? String(query.blend).toLowerCase() : null;
+  if (blend && !BLEND_MODES.includes(blend)) {
+    return { error: `blend must be one of ${BLEND_MODES.join(", ")}` };
+  }
+  return { sources, blend };
+}
+
+/**
+ * Map a cached forecast payload to API items. With no explicit source list
+ * the provider's own source is preferred, then the usual Stormglass order.
+ * Passing the break row adds exposure, breaking height, wind relation, sun
+ * times for the break's coordinates and local time in the break's zone.
+ */
+export function toForecastItems(json, { sources = [], blend = null, brk = null } = {}) {
+  const order = sources.length
+    ? sources
+    : [...new Set([json._provider?.source, ...DEFAULT_SOURCE_ORDER].filter(Boolean))];
+  // without an explicit list, blending uses every source present
+  const pick = {
+    sources: blend ? (sources.length ? sources : null) : order,
+    strict: sources.length > 0,
+    blend,
+  };
+
+  const extremes = extremesFor(json);
+  const sunAt =
+    brk && brk.Latitude != null && brk.Longitude != null
+      ? sunCalculator(brk.Latitude, brk.Longitude)
+      : null;
+  const iso = (ms) => (ms == null ? null : new Date(ms).toISOString());
+  const tz = brk ? timeZoneForBreak(brk) : null;
+
+  return json.hours.map((entry) => {
+    const item = { ts: new Date(entry.time).getTime() / 1000 };
+    if (tz) item.localTime = localIso(item.ts * 1000, tz);
+    const used = {};
+
+    for (const f of ITEM_FIELDS) {
+      const { value, sources: from } = resolveParam(entry[f.param], {
+        ...pick,
+        circular: !!f.circular,
+      });
+      item[f.field] = value != null && f.scale ? value * f.scale : value;
+      used[f.field] = from;
+    }
+
+    // partitions without a height are left out entirely
+    item.swells = [];
+    for (const p of PARTITIONS) {
+      const heightM = resolveParam(entry[p.height], pick).value;
+      if (heightM == null) continue;
+      item.swells.push({
+        heightM,
+        periodS: resolveParam(entry[p.period], pick).value,
+        dir: resolveParam(entry[p.dir], { ...pick, circular: true }).value,
+        kind: p.kind,
+      });
+    }
+
+    // offshore / cross / onshore against the break's coast bearing
+    const wind = classifyWind(item.windDir, brk?.CoastFacingDeg);
+    item.windRelation = wind?.relation ?? null;
+    item.windRelationAngle = wind?.angle ?? null;
+
+    // estimated height at the beach after swell window and shoaling
+    item.breakingHeightM = applyExposure(item.swells, brk);
+
+    // tide from cache writer
+    item.tideM = typeof entry.tideHeight === "number" ? entry.tideHeight : null;
+    // "model" (provider tide model) or "harmonic" (local predictor)
+    item.tideSource = item.tideM != null ? entry.tideSource || "model" : null;
+    item.tidePhase = tidePhaseAt(item.ts * 1000, extremes);
+    // first light / last light are civil twilight
+    if (sunAt) {
+      const sun = sunAt(item.ts * 1000);
+      item.sun = {
+        firstLight: iso(sun.firstLight),
+        sunrise: iso(sun.sunrise),
+        sunset: iso(sun.sunset),
+        lastLight: iso(sun.lastLight),
+      };
+      item.daylight = isSurfableLight(item.ts * 1000, sun);
+    } else {
+      item.sun = null;
+      item.daylight = null;
+    }
+
+    item.sources = used;
+    return item;
+  });
+}
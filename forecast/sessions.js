@@ -0,0 +1,376 @@
+// forecast/sessions.js
+import { angleDelta } from "./angles.js";
+import { WIND_RELATION_BANDS } from "./wind.js";
+import { tidePhaseMatches } from "./tides.js";
+import { dowHourInTZ, localIso } from "./time.js";
+
+/**
+ * Session window scoring against a user's break prefs. Shared by the
+ * sessions planner route and the alert job so both agree on a score.
+ */
+
+/**
+ * Build sector centers for 8-way compass
+ */
+const SECTOR_CENTERS = {
+  N: 0, NE: 45, E: 90, SE: 135, S: 180, SW: 225, W: 270, NW: 315
+};
+
+/**
+ * Direction score: if no allowed list => neutral 1.0
+ * Else compute cosine falloff from nearest allowed sector center.
+ * Full score inside ±22.5°, then soft to 0 by ±45°.
+ */
+function dirScore(deg, allowedCsv) {
+  if (deg == null) return 0.5; // unknown -> neutral-ish
+  if (!allowedCsv) return 1.0;
+
+  const allowed = String(allowedCsv)
+    .split(",")
+    .map(s => s.trim().toUpperCase())
+    .filter(Boolean);
+
+  if (!allowed.length) return 1.0;
+
+  let best = 0;
+
+  for (const a of allowed) {
+    const center = SECTOR_CENTERS[a];
+    if (center == null) continue;
+    const delta = angleDelta(deg, center);
+
+    // inside 22.5° => 1.0; at 45° => 0.0; cosine between
+    if (delta <= 22.5) {
+      best = Math.max(best, 1.0);
+    } else if (delta <= 45) {
+      const t = (delta - 22.5) / 22.5; // 0..1
+      // cosine smoothstep 1..0
+      const s = 0.5 * (1 + Math.cos(Math.PI * t));
+      best = Math.max(best, s);
+    } else {
+      // no contribution
+    }
+  }
+  return best;
+}
+
+/**
+ * Wind relation score against the break's coast bearing.
+ * angle is 0 (dead offshore) .. 180 (dead onshore). Full score inside any
+ * allowed relation band, then the same cosine falloff as dirScore over 22.5°,
+ * so a cross wind is penalised less than a full onshore for an offshore pref.
+ */
+function relationScore(angle, allowedCsv) {
+  if (angle == null) return 0.5;
+
+  const allowed = String(allowedCsv)
+    .split(",")
+    .map(s => s.trim().toLowerCase())
+    .filter(r => WIND_RELATION_BANDS[r]);
+
+  if (!allowed.length) return 1.0;
+
+  let best = 0;
+  for (const r of allowed) {
+    const { min, max } = WIND_RELATION_BANDS[r];
+    const delta = angle < min ? min - angle : angle > max ? angle - max : 0;
+    if (delta === 0) return 1.0;
+    if (delta <= 22.5) {
+      const t = delta / 22.5;
+      best = Math.max(best, 0.5 * (1 + Math.cos(Math.PI * t)));
+    }
+  }
+  return best;
+}
+
+/**
+ * Band score (min/max). If both present: 1.0 in-band, linear falloff to 0 at ±25%.
+ * If only min: ramp 0..1 up to min, then 1.
+ * If only max: 1..0 down to max, then 0.
+ * If neither: neutral 1.0.
+ */
+function bandScore(val, min, max) {
+  if (val == null) return 0.5;
+  const hasMin = typeof min === "number";
+  const hasMax = typeof max === "number";
+
+  if (!hasMin && !hasMax) return 1.0;
+
+  const v = Number(val);
+
+  if (hasMin && hasMax) {
+    if (v >= min && v <= max) return 1.0;
+    const span = (max - min) || 0.0001;
+    const pad = 0.25 * span; // 25% falloff
+    if (v < min) {
+      const t = Math.max(0, Math.min(1, (min - v) / pad));
+      return 1 - t;
+    } else {
+      const t = Math.max(0, Math.min(1, (v - max) / pad));
+      return 1 - t;
+    }
+  }
+
+  if (hasMin && !hasMax) {
+    if (v >= min) return 1.0;
+    const t = Math.max(0, Math.min(1, (min - v) / (min || 1)));
+    return 1 - t;
+  }
+
+  // !hasMin && hasMax
+  if (v <= max) return 1.0;
+  const t = Math.max(0, Math.min(1, (v - max) / (max || 1)));
+  return 1 - t;
+}
+
+/**
+ * Wind speed score: 1.0 at <= max, fall to 0 at +50% over max.
+ * If no max defined -> neutral 1.0
+ */
+function windSpeedScore(kt, maxWind) {
+  if (kt == null) return 0.5;
+  if (typeof maxWind !== "number") return 1.0;
+  if (kt <= maxWind) return 1.0;
+  const over = kt - maxWind;
+  const fall = maxWind * 0.5 || 1;
+  const t = Math.max(0, Math.min(1, over / fall));
+  return 1 - t;
+}
+
+/**
+ * Tide score: band if user gave min/max; else neutral 0.75 (tide optional).
+ * A tide phase pref (e.g. "mid-rising") scores 1.0 when the hour matches any
+ * allowed phase, 0.4 when it doesn't, 0.75 when the phase is unknown, and is
+ * multiplied into the band score when both are set.
+ */
+function tideScore(tide, minTide, maxTide, phase, phasesCsv) {
+  const hasMin = typeof minTide === "number";
+  const hasMax = typeof maxTide === "number";
+  const phases = String(phasesCsv || "").split(",").map(s => s.trim()).filter(Boolean);
+
+  if (!phases.length) {
+    if (!hasMin && !hasMax) return 0.75;
+    return bandScore(tide, minTide, maxTide);
+  }
+
+  const phaseScore = !phase ? 0.75 : phases.some(p => tidePhaseMatches(phase, p)) ? 1.0 : 0.4;
+  if (!hasMin && !hasMax) return phaseScore;
+  return bandScore(tide, minTide, maxTide) * phaseScore;
+}
+
+/**
+ * Swell score against the best-matching partition (primary, secondary,
+ * wind waves). MinHeightM/MaxHeightM are swell heights, so height is scored
+ * on the swell that reaches the break (offshore height times its exposure),
+ * not on the estimated breaking height; sheltered breaks stop scoring on raw
+ * offshore size and breaks without exposure data score as before.
+ * Items without partitions fall back to the aggregate fields.
+ */
+function swellScore(item, prefs, weights) {
+  const partitions =
+    Array.isArray(item.swells) && item.swells.length
+      ? item.swells
+      : [{
+          heightM: item.waveHeightM,
+          periodS: item.swellPeriodS,
+          dir: item.swellDir,
+          kind: "aggregate"
+        }];
+
+  let best = null;
+  for (const p of partitions) {
+    const reaching = p.heightM != null ? p.heightM * (p.exposure ?? 1) : null;
+    const height = bandScore(reaching, prefs.MinHeightM, prefs.MaxHeightM);
+    const period = bandScore(p.periodS, prefs.MinPeriodS, prefs.MaxPeriodS);
+    const swellDir = dirScore(p.dir, prefs.AllowedSwellDirs);
+    const total = weights.h * height + weights.p * period + weights.sd * swellDir;
+    if (!best || total > best.total) {
+      best = { total, height, period, swellDir, partition: p.kind };
+    }
+  }
+  return best;
+}
+
+/**
+ * Hourly score given item + prefs: the weighted mean of the sub-scores, 0..1,
+ * so only an hour that matches every pref reaches 1.
+ */
+export function hourlyScore(item, prefs, weights) {
+  const { height, period, swellDir, partition } = swellScore(item, prefs, weights);
+  const wSpeed = windSpeedScore(item.windSpeedKt, prefs.MaxWindKt);
+  // relation prefs need a classified hour; otherwise fall back to sectors
+  const wDir =
+    prefs.AllowedWindRelations && item.windRelationAngle != null
+      ? relationScore(item.windRelationAngle, prefs.AllowedWindRelations)
+      : dirScore(item.windDir, prefs.AllowedWindDirs);
+  const tide = tideScore(
+    item.tideM, prefs.MinTideM, prefs.MaxTideM, item.tidePhase, prefs.AllowedTidePhases
+  );
+
+  const s =
+    weights.h * height +
+    weights.p * period +
+    weights.sd * swellDir +
+    weights.ws * wSpeed +
+    weights.wd * wDir +
+    weights.t * tide;
+
+  const total = weights.h + weights.p + weights.sd + weights.ws + weights.wd + weights.t;
+
+  return {
+    score: Math.max(0, Math.min(1, s / total)),
+    subs: { height, period, swellDir, windSpeed: wSpeed, windDir: wDir, tide, partition }
+  };
+}
+
+/**
+ * Dawn patrol: does the hour start within the first two hours after first light?
+ */
+function isDawnPatrol(item) {
+  const firstLight = item?.sun?.firstLight ? Date.parse(item.sun.firstLight) : null;
+  if (firstLight == null) return false;
+  const tsMs = item.ts * 1000;
+  return tsMs >= firstLight && tsMs < firstLight + 2 * 3600000;
+}
+
+export const DAWN_PATROL_BOOST = 1.15;
+
+/**
+ * Availability keys ("dow@hour") an hour satisfies in tz. Normally just its
+ * own local hour; on a spring-forward day the first hour after the gap also
+ * answers for the local hours that never happened, so a 02:00 slot still
+ * maps to a real hour.
+ */
+export function availabilityKeys(tsMs, tz) {
+  const { dow, hour } = dowHourInTZ(new Date(tsMs), tz);
+  const keys = [`${dow}@${hour}`];
+
+  const prev = dowHourInTZ(new Date(tsMs - 3600000), tz);
+  if (prev.dow === dow) {
+    for (let h = prev.hour + 1; h < hour; h++) keys.push(`${dow}@${h}`);
+  }
+  return keys;
+}
+
+// score weights (tweak later)
+export const SCORE_WEIGHTS = { h: 1.0, p: 0.8, sd: 0.7, wd: 1.0, ws: 1.0, t: 0.5 };
+
+function hourlyEntry(it, score) {
+  return {
+    ts: new Date(it.ts * 1000).toISOString(),
+    score,
+    wave: it.waveHeightM ?? null,
+    surf: it.breakingHeightM ?? null,
+    per: it.swellPeriodS ?? null,
+    swellDir: it.swellDir ?? null,
+    windKt: it.windSpeedKt ?? null,
+    windDir: it.windDir ?? null,
+    windRelation: it.windRelation ?? null,
+    tide: it.tideM ?? null,
+    tidePhase: it.tidePhase ?? null,
+    swells: it.swells ?? []
+  };
+}
+
+/**
+ * Candidate windows for one break.
+ * items: forecast items for the break
+ * pref: a UserBreakPrefs row (BreakId, BreakName, Region and the score columns)
+ * opts: { tz, availability: [{ Dow, StartHour }], days, daylightOnly, brk, weights }
+ */
+export function scoreWindows(items, pref, opts = {}) {
+  const tz = opts.tz || "UTC";
+  const daylightOnly = opts.daylightOnly !== false;
+  const W = opts.weights || SCORE_WEIGHTS;
+  const brk = opts.brk || {};
+  // availability items look like: { Dow, StartHour }
+  const availSet = new Set((opts.availability || []).map(a => `${a.Dow}@${a.StartHour}`));
+
+  // Look at next N days only
+  const cutoff = Date.now() + (opts.days || 7) * 86400000;
+  const windows = [];
+
+  // Iterate hours, decide which ones fall into user's availability 2-hour slots.
+  for (let i = 0; i < items.length; i++) {
+    const it = items[i];
+    const tsMs = it.ts * 1000;
+    if (tsMs > cutoff) break;
+
+    if (!availabilityKeys(tsMs, tz).some(k => availSet.has(k))) continue;
+    // daylight is null when the break has no coordinates, keep those hours
+    if (daylightOnly && it.daylight === false) continue;
+
+    // Candidate window = [hour, hour+1]. Pair on real elapsed time rather
+    // than local labels so DST changes neither split nor stretch a window.
+    const itNext = items[i + 1];
+    let okNext = !!itNext && itNext.ts === it.ts + 3600;
+    if (daylightOnly && okNext && itNext.daylight === false) okNext = false;
+
+    // Score hour 0
+    const s0 = hourlyScore(it, pref, W);
+    let s1 = null;
+    if (okNext) s1 = hourlyScore(itNext, pref, W);
+
+    // Window score = mean of available hours (prefer both)
+    const nums = [s0.score].concat(s1 ? [s1.score] : []);
+    let windowScore = nums.reduce((a, b) => a + b, 0) / nums.length;
+
+    const dawnPatrol = !!pref.DawnPatrol && isDawnPatrol(it);
+    if (dawnPatrol) windowScore = Math.min(1, windowScore * DAWN_PATROL_BOOST);
+
+    const bestHour = (!s1 || s0.score >= s1.score) ? it.ts : itNext.ts;
+
+    windows.push({
+      breakId: pref.BreakId,
+      breakName: pref.BreakName || brk.Name || `#${pref.BreakId}`,
+      region: pref.Region || brk.Region || "",
+      start: new Date(it.ts * 1000).toISOString(),
+      end: new Date((okNext ? itNext.ts : it.ts) * 1000).toISOString(),
+      localStart: localIso(it.ts * 1000, tz),
+      breakLocalStart: it.localTime ?? null,
+      score: Math.round(windowScore * 100),
+      why: {
+        height: s0.subs.height,
+        period: s0.subs.period,
+        swellDir: s0.subs.swellDir,
+        windDir: s0.subs.windDir,
+        windSpeed: s0.subs.windSpeed,
+        tide: s0.subs.tide,
+        partition: s0.subs.partition,
+        dawnPatrol
+      },
+      bestHour: new Date(bestHour * 1000).toISOString(),
+      hourly: [
+        hourlyEntry(it, s0.score),
+        ...(s1 ? [hourlyEntry(itNext, s1.score)] : [])
+      ]
+    });
+  }
+
+  return windows;
+}
+
+/**
+ * Sort by score desc, then soonest start
+ */
+export function sortWindows(windows) {
+  return windows.sort((x, y) => (y.score - x.score) || (new Date(x.start) - new Date(y.start)));
+}
+
+/**
+ * Best windows that don't overlap another pick at the same break, since
+ * neighbouring hours score almost the same. Input must already be sorted.
+ */
+export function pickTopWindows(windows, limit) {
+  const picked = [];
+  for (const w of windows) {
+    if (picked.length >= limit) break;
+    const start = Date.parse(w.start);
+    const end = Date.parse(w.end) + 3600000;
+    const clash = picked.some(
+      (p) => p.breakId === w.breakId && start < Date.parse(p.end) + 3600000 && end > Date.parse(p.start)
+    );
+    if (!clash) picked.push(w);
+  }
+  return picked;
+}
@@ -0,0 +1,86 @@
+// forecast/sun.js
+
+/**
+ * Sun times from break coordinates, computed locally with the standard
+ * sunrise equation (good to a minute or two, which is all a surf plan needs).
+ *
+ * firstLight / lastLight are civil twilight (sun 6° below the horizon),
+ * sunrise / sunset use the usual -0.833° for refraction and the solar disc.
+ */
+
+const RAD = Math.PI / 180;
+const DAY_MS = 86400000;
+const J2000 = 2451545.0;
+const UNIX_EPOCH_JD = 2440587.5;
+
+const SUNRISE_ALT = -0.833;
+const CIVIL_ALT = -6;
+
+function jdToMs(jd) {
+  return Math.round((jd - UNIX_EPOCH_JD) * DAY_MS);
+}
+
+/**
+ * Sun times for the local mean solar day with index `solarDay`
+ * (days since 1970-01-01, shifted by longitude). Values are epoch ms, or null
+ * for the event during polar day/night.
+ */
+function sunTimesForDay(solarDay, lat, lng) {
+  // local mean solar noon as days since J2000
+  const jStar = solarDay + 0.5 - lng / 360 + UNIX_EPOCH_JD - J2000 + 0.0008;
+
+  const M = (357.5291 + 0.98560028 * jStar) % 360;
+  const C =
+    1.9148 * Math.sin(M * RAD) + 0.02 * Math.sin(2 * M * RAD) + 0.0003 * Math.sin(3 * M * RAD);
+  const lambda = (M + C + 180 + 102.9372) % 360;
+  const transit = J2000 + jStar + 0.0053 * Math.sin(M * RAD) - 0.0069 * Math.sin(2 * lambda * RAD);
+  const sinDec = Math.sin(lambda * RAD) * Math.sin(23.4397 * RAD);
+  const cosDec = Math.cos(Math.asin(sinDec));
+
+  const at = (alt) => {
+    const cosW =
+      (Math.sin(alt * RAD) - Math.sin(lat * RAD) * sinDec) / (Math.cos(lat * RAD) * cosDec);
+    if (cosW < -1 || cosW > 1) return [null, null];
+    const w = Math.acos(cosW) / RAD;
+    return [jdToMs(transit - w / 360), jdToMs(transit + w / 360)];
+  };
+
+  const [sunrise, sunset] = at(SUNRISE_ALT);
+  const [firstLight, lastLight] = at(CIVIL_ALT);
+
+  // with no twilight crossing the sun's noon altitude says which polar case it is
+  const noonAlt = 90 - Math.abs(lat - Math.asin(sinDec) / RAD);
+  const polar = firstLight == null ? (noonAlt > CIVIL_ALT ? "day" : "night") : null;
+
+  return { firstLight, sunrise, solarNoon: jdToMs(transit), sunset, lastLight, polar };
+}
+
+/**
+ * Sun times for the solar day containing tsMs at (lat, lng).
+ */
+export function sunTimesAt(tsMs, lat, lng) {
+  const solarDay = Math.floor(tsMs / DAY_MS + lng / 360);
+  return sunTimesForDay(solarDay, lat, lng);
+}
+
+/**
+ * Memoized per solar day, for mapping a week of hourly items.
+ */
+export function sunCalculator(lat, lng) {
+  const cache = new Map();
+  return (tsMs) => {
+    const solarDay = Math.floor(tsMs / DAY_MS + lng / 360);
+    if (!cache.has(solarDay)) cache.set(solarDay, sunTimesForDay(solarDay, lat, lng));
+    return cache.get(solarDay);
+  };
+}
+
+/**
+ * Is most of the hour starting at tsMs between first and last light?
+ */
+export function isSurfableLight(tsMs, sun) {
+  if (!sun) return true;
+  if (sun.polar) return sun.polar === "day";
+  const mid = tsMs + 30 * 60000;
+  return mid >= sun.firstLight && mid <= sun.lastLight;
+}
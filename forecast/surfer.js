@@ -0,0 +1,186 @@
+// forecast/surfer.js
+import { displayFields, fromCanonical, toCanonical } from "./units.js";
+
+/**
+ * The surfer behind a profile: ability, stance and board quiver. Skill picks
+ * starting prefs for a break the user hasn't tuned yet, and the quiver gives
+ * each planner window a board suggestion.
+ */
+
+export const SKILL_LEVELS = ["beginner", "intermediate", "advanced", "expert"];
+export const STANCES = ["regular", "goofy"];
+
+/**
+ * Breaking surf height (m) each board type is made for. A board scores 1.0
+ * inside its range and falls off linearly over half the range's width.
+ */
+export const BOARD_TYPES = {
+  foamie: { minM: 0, maxM: 1.0 },
+  longboard: { minM: 0.3, maxM: 1.2 },
+  midlength: { minM: 0.5, maxM: 1.5 },
+  fish: { minM: 0.5, maxM: 1.5 },
+  hybrid: { minM: 0.6, maxM: 1.8 },
+  shortboard: { minM: 0.9, maxM: 2.5 },
+  "step-up": { minM: 1.8, maxM: 3.5 },
+  gun: { minM: 3.0, maxM: 10 },
+};
+
+// most boards kept in a quiver
+export const MAX_QUIVER = 12;
+
+/**
+ * Starting UserBreakPrefs per skill level, in the POST /api/planner/prefs
+ * body shape (metres, seconds, knots). Fields left out stay neutral.
+ */
+const SKILL_PREFS = {
+  beginner: { minHeight: 0.3, maxHeight: 1.0, maxWind: 12, windRelation: ["offshore", "cross-offshore", "cross"] },
+  intermediate: { minHeight: 0.6, maxHeight: 1.8, minPeriod: 7, maxWind: 15, windRelation: ["offshore", "cross-offshore"] },
+  advanced: { minHeight: 1.0, maxHeight: 3.0, minPeriod: 9, maxWind: 18, windRelation: ["offshore", "cross-offshore"] },
+  expert: { minHeight: 1.5, maxHeight: 6.0, minPeriod: 11, maxWind: 20, windRelation: ["offshore", "cross-offshore"] },
+};
+
+// users who haven't said
+const DEFAULT_SKILL = "intermediate";
+
+// profile fields that take one value from a list; empty means unset
+function oneOf(values, label) {
+  return (input) => {
+    if (input == null || input === "") return { value: null };
+    const value = String(input).trim().toLowerCase();
+    if (!values.includes(value)) return { error: `${label} must be one of ${values.join(", ")}` };
+    return { value };
+  };
+}
+
+export const parseSkillLevel = oneOf(SKILL_LEVELS, "skillLevel");
+export const parseStance = oneOf(STANCES, "stance");
+
+/**
+ * Starting prefs for a break, for the skill level (or intermediate).
+ */
+export function defaultPrefs(skillLevel) {
+  const prefs = SKILL_PREFS[skillLevel] || SKILL_PREFS[DEFAULT_SKILL];
+  return { ...prefs, windRelation: [...prefs.windRelation] };
+}
+
+// prefs body fields that carry units -> [quantity, UserBreakPrefs column]
+export const PREF_UNIT_FIELDS = {
+  minHeight: ["height", "MinHeightM"],
+  maxHeight: ["height", "MaxHeightM"],
+  maxWind: ["wind", "MaxWindKt"],
+  minTide: ["height", "MinTideM"],
+  maxTide: ["height", "MaxTideM"],
+};
+
+/**
+ * A saved UserBreakPrefs row's heights, tides and maxWind in units, under
+ * the body's field names.
+ */
+export function prefsDisplay(row, units) {
+  return displayFields(row, PREF_UNIT_FIELDS, units);
+}
+
+/**
+ * Body-shaped prefs (metres and knots) in units. maxWind stays a whole
+ * number so they can be posted back as is.
+ */
+export function prefsInUnits(prefs, units) {
+  const out = { ...prefs };
+  for (const [field, [kind]] of Object.entries(PREF_UNIT_FIELDS)) {
+    if (out[field] == null) continue;
+    const v = fromCanonical(kind, out[field], units);
+    out[field] = kind === "wind" ? Math.round(v) : v;
+  }
+  return out;
+}
+
+/**
+ * A prefs body in units back to metres and knots. Heights and tides are
+ * kept to the centimetre and maxWind to the knot (MaxWindKt is an INT), so
+ * values read from prefsDisplay save as the row they came from.
+ */
+export function prefsFromUnits(body, units) {
+  const out = { ...body };
+  for (const [field, [kind]] of Object.entries(PREF_UNIT_FIELDS)) {
+    if (out[field] == null || out[field] === "") continue;
+    const v = toCanonical(kind, out[field], units);
+    out[field] = kind === "wind" ? Math.round(v) : Math.round(v * 100) / 100;
+  }
+  return out;
+}
+
+function optionalPositive(v, label) {
+  if (v == null || v === "") return { value: null };
+  const n = Number(v);
+  if (!Number.isFinite(n) || n <= 0) return { error: `${label} must be a positive number` };
+  return { value: n };
+}
+
+/**
+ * Validate a quiver from the API: [{ type, length (cm), volume (litres), name }].
+ * Returns { boards } or { error } naming the first bad board.
+ */
+export function parseBoards(input) {
+  if (!Array.isArray(input)) return { error: "boards must be a list" };
+  if (input.length > MAX_QUIVER) return { error: `at most ${MAX_QUIVER} boards` };
+
+  const boards = [];
+  for (const [i, b] of input.entries()) {
+    const type = String(b?.type || "").trim().toLowerCase();
+    if (!BOARD_TYPES[type]) {
+      return { error: `boards[${i}].type must be one of ${Object.keys(BOARD_TYPES).join(", ")}` };
+    }
+    const length = optionalPositive(b.length, `boards[${i}].length`);
+    if (length.error) return { error: length.error };
+    const volume = optionalPositive(b.volume, `boards[${i}].volume`);
+    if (volume.error) return { error: volume.error };
+    const name = b.name ? String(b.name).trim().slice(0, 64) : null;
+    boards.push({ type, length: length.value, volume: volume.value, name });
+  }
+  return { boards };
+}
+
+function heightFit(heightM, { minM, maxM }) {
+  if (heightM >= minM && heightM <= maxM) return 1;
+  const pad = (maxM - minM) / 2;
+  const off = heightM < minM ? minM - heightM : heightM - maxM;
+  return Math.max(0, 1 - off / pad);
+}
+
+/**
+ * Board from the quiver for a scored window, judged on the breaking height
+ * of its first hour (raw wave height when the forecast has none). Ties on
+ * fit go to the floatier board for beginners and intermediates and the
+ * smaller one for everyone else, and to the earlier board in the quiver.
+ * boards: [{ Id, BoardType, LengthCm, VolumeL, Name }] rows.
+ * Returns { id, type, name, fit } or null.
+ */
+export function suggestBoard(boards, window, skillLevel) {
+  const first = window.hourly?.[0];
+  const heightM = first?.surf ?? first?.wave;
+  if (!boards?.length || heightM == null) return null;
+
+  const floaty = skillLevel === "beginner" || skillLevel === "intermediate" || !skillLevel;
+  let best = null;
+  for (const b of boards) {
+    const range = BOARD_TYPES[b.BoardType];
+    if (!range) continue;
+    const fit = heightFit(heightM, range);
+    const volume = b.VolumeL ?? null;
+    const better =
+      !best ||
+      fit > best.fit ||
+      (fit === best.fit &&
+        volume != null &&
+        (best.volume == null || (floaty ? volume > best.volume : volume < best.volume)));
+    if (better) best = { board: b, fit, volume };
+  }
+  if (!best || best.fit === 0) return null;
+
+  return {
+    id: best.board.Id,
+    type: best.board.BoardType,
+    name: best.board.Name ?? null,
+    fit: Math.round(best.fit * 100) / 100,
+  };
+}
@@ -0,0 +1,151 @@
+// forecast/tides.js
+
+/**
+ * Tide extremes and tide phase.
+ *
+ * An extreme is { time: ISO, heightM, type: "high" | "low" }. They come from
+ * the provider when it has an extremes endpoint, otherwise they are derived
+ * from the hourly sea-level curve.
+ */
+
+export const TIDE_STATES = ["rising", "falling"];
+export const TIDE_STAGES = ["low", "mid", "high"];
+
+// semidiurnal half cycle, used to extend phase past the first/last extreme
+const HALF_CYCLE_MS = 6.21 * 3600000;
+const OPPOSITE = { high: "low", low: "high" };
+
+/**
+ * Local maxima/minima of an hourly curve (Map hourEpoch -> metres), refined
+ * with a parabola through the neighbouring hours so the time is not snapped
+ * to the hour.
+ */
+export function deriveExtremes(tideMap) {
+  const hoursSorted = [...tideMap.keys()].sort((a, b) => a - b);
+  const extremes = [];
+
+  for (let i = 1; i < hoursSorted.length - 1; i++) {
+    const h = hoursSorted[i];
+    // only consecutive hours, gaps would invent turning points
+    if (hoursSorted[i - 1] !== h - 1 || hoursSorted[i + 1] !== h + 1) continue;
+
+    const y0 = tideMap.get(h - 1);
+    const y1 = tideMap.get(h);
+    const y2 = tideMap.get(h + 1);
+
+    let type = null;
+    if (y1 >= y0 && y1 > y2) type = "high";
+    else if (y1 <= y0 && y1 < y2) type = "low";
+    if (!type) continue;
+
+    const denom = y0 - 2 * y1 + y2;
+    const offset = denom !== 0 ? (0.5 * (y0 - y2)) / denom : 0; // -0.5..0.5 hours
+    const heightM = y1 - 0.25 * (y0 - y2) * offset;
+
+    extremes.push({
+      time: new Date((h + offset) * 3600000).toISOString(),
+      heightM: Math.round(heightM * 1000) / 1000,
+      type,
+    });
+  }
+  return extremes;
+}
+
+/**
+ * Hourly tide curve from a cached payload's hours[].tideHeight.
+ */
+export function tideMapFromHours(hours = []) {
+  const map = new Map();
+  for (const h of hours) {
+    if (typeof h.tideHeight !== "number") continue;
+    const ts = +new Date(h.time);
+    if (!Number.isNaN(ts)) map.set(Math.floor(ts / 3600000), h.tideHeight);
+  }
+  return map;
+}
+
+/**
+ * Extremes stored with the payload, or derived from its tide curve for
+ * snapshots written before extremes were cached.
+ */
+export function extremesFor(json) {
+  if (Array.isArray(json?.tideExtremes)) return json.tideExtremes;
+  return deriveExtremes(tideMapFromHours(json?.hours));
+}
+
+/**
+ * Tide phase at tsMs given sorted extremes:
+ *   { state: rising|falling, stage: low|mid|high,
+ *     hoursToNextHigh, hoursToNextLow }
+ * Stage splits the run between the bracketing extremes into thirds. Hours
+ * before the first or after the last extreme assume a regular half cycle.
+ * Returns null without at least one extreme.
+ */
+export function tidePhaseAt(tsMs, extremes) {
+  if (!Array.isArray(extremes) || extremes.length === 0) return null;
+
+  let prev = null;
+  let next = null;
+  for (const e of extremes) {
+    const t = +new Date(e.time);
+    if (t <= tsMs) prev = { ...e, t };
+    else {
+      next = { ...e, t };
+      break;
+    }
+  }
+  if (!prev) prev = { type: OPPOSITE[next.type], t: next.t - HALF_CYCLE_MS };
+  if (!next) next = { type: OPPOSITE[prev.type], t: prev.t + HALF_CYCLE_MS };
+
+  const state = next.type === "high" ? "rising" : "falling";
+  const f = (tsMs - prev.t) / Math.max(1, next.t - prev.t); // 0..1
+  let stage = "mid";
+  if (f < 1 / 3) stage = prev.type;
+  else if (f > 2 / 3) stage = next.type;
+
+  const hoursTo = (type) => {
+    const e = extremes.find((x) => x.type === type && +new Date(x.time) > tsMs);
+    return e ? Math.round(((+new Date(e.time) - tsMs) / 3600000) * 10) / 10 : null;
+  };
+
+  return {
+    state,
+    stage,
+    hoursToNextHigh: hoursTo("high"),
+    hoursToNextLow: hoursTo("low"),
+  };
+}
+
+/**
+ * Does a phase match a pref token? Tokens are a state ("rising"), a stage
+ * ("mid") or both joined by a dash ("mid-rising").
+ */
+export function tidePhaseMatches(phase, token) {
+  if (!phase) return false;
+  return String(token)
+    .toLowerCase()
+    .split("-")
+    .filter(Boolean)
+    .every((part) => part === phase.state || part === phase.stage);
+}
+
+/**
+ * Normalize tide phase pref tokens. Returns { phases } or { error }.
+ */
+export function parseTidePhases(input) {
+  if (input == null || input === "") return { phases: [] };
+  const list = (Array.isArray(input) ? input : String(input).split(","))
+    .map((s) => String(s).trim().toLowerCase())
+    .filter(Boolean);
+
+  for (const token of list) {
+    const parts = token.split("-");
+    const ok =
+      parts.length <= 2 &&
+      parts.every((p) => TIDE_STATES.includes(p) || TIDE_STAGES.includes(p)) &&
+      parts.filter((p) => TIDE_STATES.includes(p)).length <= 1 &&
+      parts.filter((p) => TIDE_STAGES.includes(p)).length <= 1;
+    if (!ok) return { error: `unknown tide phase ${token}` };
+  }
+  return { phases: [...new Set(list)] };
+}
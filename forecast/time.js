@@ -0,0 +1,108 @@
+// forecast/time.js
+
+/**
+ * IANA timezone helpers on top of Intl, no tz database of our own.
+ *
+ * Columns expected:
+ * ALTER TABLE dbo.SurfBreaks ADD TimeZone NVARCHAR(64) NULL;
+ * ALTER TABLE dbo.UserProfiles ADD TimeZone NVARCHAR(64) NULL;
+ */
+
+const DOW = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// used when a break row has no TimeZone yet
+const REGION_ZONES = [
+  ["ericeira", "Europe/Lisbon"],
+  ["torquay", "Australia/Melbourne"],
+];
+
+const formatters = new Map();
+
+function formatterFor(tz) {
+  if (!formatters.has(tz)) {
+    formatters.set(
+      tz,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone: tz,
+        weekday: "short",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+        hour12: false,
+        timeZoneName: "longOffset",
+      })
+    );
+  }
+  return formatters.get(tz);
+}
+
+export function isValidTimeZone(tz) {
+  if (!tz || typeof tz !== "string") return false;
+  try {
+    formatterFor(tz);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Best zone for a break: its own column, else a region default, else UTC.
+ */
+export function timeZoneForBreak(brk) {
+  if (isValidTimeZone(brk?.TimeZone)) return brk.TimeZone;
+  const r = String(brk?.Region || "").toLowerCase();
+  const hit = REGION_ZONES.find(([key]) => r.includes(key));
+  return hit ? hit[1] : "UTC";
+}
+
+/**
+ * Wall clock parts of a UTC instant in tz:
+ * { year, month, day, dow (Sun=0), hour, minute, second, offsetMinutes }
+ */
+export function zonedParts(date, tz) {
+  const parts = {};
+  for (const p of formatterFor(tz).formatToParts(date)) parts[p.type] = p.value;
+
+  // "GMT", "GMT+11:00", "GMT-03:30"
+  const m = /GMT([+-])(\d{2}):(\d{2})/.exec(parts.timeZoneName || "");
+  const offsetMinutes = m ? (m[1] === "-" ? -1 : 1) * (Number(m[2]) * 60 + Number(m[3])) : 0;
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    dow: DOW[parts.weekday] ?? 0,
+    // some engines render midnight as "24"
+    hour: Number(parts.hour) % 24,
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    offsetMinutes,
+  };
+}
+
+/**
+ * Map a Date (UTC) to local DOW/hour for a given IANA tz.
+ * Returns { dow:0..6 (Sun=0), hour:0..23 }
+ */
+export function dowHourInTZ(dateUtc, tz) {
+  const { dow, hour } = zonedParts(dateUtc, tz);
+  return { dow, hour };
+}
+
+/**
+ * ISO 8601 local time with offset, e.g. "2025-01-04T06:00:00+11:00".
+ */
+export function localIso(tsMs, tz) {
+  const p = zonedParts(new Date(tsMs), tz);
+  const pad = (n, w = 2) => String(Math.abs(n)).padStart(w, "0");
+  const sign = p.offsetMinutes < 0 ? "-" : "+";
+  const off = Math.abs(p.offsetMinutes);
+  return (
+    `${pad(p.year, 4)}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}` +
+    `${sign}${pad(Math.floor(off / 60))}:${pad(off % 60)}`
+  );
+}
@@ -0,0 +1,212 @@
+// forecast/units.js
+
+/**
+ * Unit conversions between what we store and compute in (metres, knots,
+ * °C) and what a user asked to see. Everything internal stays in the
+ * canonical units; responses add converted values next to the canonical
+ * fields and say which units they're in, requests are normalized on the way
+ * in.
+ *
+ * A units choice is { system, height, wind, temperature }:
+ *   metric    m, kt, c
+ *   imperial  ft, mph, f
+ *   custom    any mix, starting from metric
+ */
+
+export const MS_TO_KT = 1.94384;
+
+// per canonical unit (m, kt); temperature is affine and handled on its own
+const SCALES = {
+  height: { m: 1, ft: 3.28084 },
+  wind: { kt: 1, mph: 1.150779, kmh: 1.852, ms: 1 / MS_TO_KT },
+};
+const TEMPERATURES = ["c", "f"];
+
+export const UNIT_CHOICES = {
+  height: Object.keys(SCALES.height),
+  wind: Object.keys(SCALES.wind),
+  temperature: TEMPERATURES,
+};
+
+const PRESETS = {
+  metric: { height: "m", wind: "kt", temperature: "c" },
+  imperial: { height: "ft", wind: "mph", temperature: "f" },
+};
+
+export const UNIT_SYSTEMS = [...Object.keys(PRESETS), "custom"];
+
+export const METRIC = { system: "metric", ...PRESETS.metric };
+
+const LABELS = { m: "m", ft: "ft", kt: "kt", mph: "mph", kmh: "km/h", ms: "m/s", c: "°C", f: "°F" };
+
+// query string names for a custom choice
+const QUERY_PARAMS = { height: "heightUnit", wind: "windUnit", temperature: "tempUnit" };
+
+// decimals kept in converted values
+const DECIMALS = { height: 2, wind: 1, temperature: 1 };
+
+function preset(system) {
+  return { system, ...PRESETS[system] };
+}
+
+/**
+ * Custom units from { height, wind, temperature }, missing ones metric.
+ * Returns { units } or { error } naming the first unknown unit.
+ */
+function custom(choice, labelFor = (kind) => kind) {
+  const units = { system: "custom", ...PRESETS.metric };
+  for (const kind of Object.keys(UNIT_CHOICES)) {
+    const value = choice[kind];
+    if (value == null || value === "") continue;
+    const unit = String(value).trim().toLowerCase();
+    if (!UNIT_CHOICES[kind].includes(unit)) {
+      return { error: `${labelFor(kind)} must be one of ${UNIT_CHOICES[kind].join(", ")}` };
+    }
+    units[kind] = unit;
+  }
+  return { units };
+}
+
+/**
+ * Units for a request: ?units=metric|imperial, or ?units=custom with
+ * heightUnit, windUnit and tempUnit. Without ?units the fallback applies
+ * (the user's default, else metric). Returns { units } or { error }.
+ */
+export function unitsFromQuery(query = {}, fallback = METRIC) {
+  const system = query.units ? String(query.units).trim().toLowerCase() : null;
+  const overrides = Object.values(QUERY_PARAMS).filter((p) => query[p] != null && query[p] !== "");
+
+  if (!system) {
+    if (overrides.length) return { error: `${overrides[0]} needs units=custom` };
+    return { units: fallback };
+  }
+  if (!UNIT_SYSTEMS.includes(system)) return { error: `units must be one of ${UNIT_SYSTEMS.join(", ")}` };
+  if (system !== "custom") {
+    if (overrides.length) return { error: `${overrides[0]} needs units=custom` };
+    return { units: preset(system) };
+  }
+
+  const choice = Object.fromEntries(Object.entries(QUERY_PARAMS).map(([kind, p]) => [kind, query[p]]));
+  return custom(choice, (kind) => QUERY_PARAMS[kind]);
+}
+
+/**
+ * A profile's default from the API: "metric", "imperial" or
+ * { height, wind, temperature }. Returns { value } (null when unset) or { error }.
+ */
+export function parseUnitsSetting(input) {
+  if (input == null || input === "") return { value: null };
+  if (typeof input === "object" && !Array.isArray(input)) {
+    const parsed = custom(input, (kind) => `units.${kind}`);
+    return parsed.error ? parsed : { value: parsed.units };
+  }
+  const system = String(input).trim().toLowerCase();
+  if (!PRESETS[system]) {
+    return { error: `units must be ${Object.keys(PRESETS).join(" or ")}, or { height, wind, temperature }` };
+  }
+  return { value: preset(system) };
+}
+
+/**
+ * Column form of a units choice: "metric", "imperial" or "custom:ft,kmh,c".
+ */
+export function storeUnits(units) {
+  if (!units) return null;
+  if (units.system !== "custom") return units.system;
+  return `custom:${units.height},${units.wind},${units.temperature}`;
+}
+
+/**
+ * Inverse of storeUnits; null for empty or unreadable values.
+ */
+export function loadUnits(stored) {
+  if (!stored) return null;
+  const [system, rest] = String(stored).split(":");
+  if (PRESETS[system]) return preset(system);
+  if (system !== "custom" || !rest) return null;
+  const [height, wind, temperature] = rest.split(",");
+  const parsed = custom({ height, wind, temperature });
+  return parsed.error ? null : parsed.units;
+}
+
+/**
+ * Canonical value (m, kt, °C) in the chosen unit, rounded for display.
+ */
+export function fromCanonical(kind, value, units = METRIC) {
+  if (value == null || !Number.isFinite(Number(value))) return null;
+  const v = Number(value);
+  const out =
+    kind === "temperature"
+      ? units.temperature === "f" ? v * 9 / 5 + 32 : v
+      : v * SCALES[kind][units[kind]];
+  const f = 10 ** DECIMALS[kind];
+  return Math.round(out * f) / f;
+}
+
+/**
+ * Value in the chosen unit back to the canonical one. Unrounded; callers
+ * round when the column needs it.
+ */
+export function toCanonical(kind, value, units = METRIC) {
+  if (value == null || value === "" || !Number.isFinite(Number(value))) return value;
+  const v = Number(value);
+  if (kind === "temperature") return units.temperature === "f" ? (v - 32) * 5 / 9 : v;
+  return v / SCALES[kind][units[kind]];
+}
+
+/**
+ * Converted copies of a record's canonical fields, for a display block.
+ * fields: { outName: [kind, sourceField] }
+ */
+export function displayFields(source, fields, units = METRIC) {
+  return Object.fromEntries(
+    Object.entries(fields).map(([name, [kind, field]]) => [name, fromCanonical(kind, source?.[field], units)])
+  );
+}
+
+/**
+ * "1.2m", "4ft", "14kt", "22km/h", "17°C"
+ */
+export function formatValue(kind, value, units = METRIC) {
+  const v = fromCanonical(kind, value, units);
+  if (v == null) return null;
+  const shown = kind === "height" ? Math.round(v * 10) / 10 : Math.round(v);
+  return `${shown}${LABELS[units[kind]]}`;
+}
+
+/**
+ * The units block responses carry, with display labels.
+ */
+export function describeUnits(units = METRIC) {
+  return {
+    system: units.system,
+    height: units.height,
+    wind: units.wind,
+    temperature: units.temperature,
+    labels: {
+      height: LABELS[units.height],
+      wind: LABELS[units.wind],
+      temperature: LABELS[units.temperature],
+    },
+  };
+}
+
+/**
+ * Express middleware setting req.units from the query string, falling back
+ * to loadDefault(req) (a stored units string) and then metric. 400 on an
+ * unknown unit.
+ */
+export function resolveUnits(loadDefault = null) {
+  return async (req, res, next) => {
+    try {
+      const fallback = loadDefault && !req.query.units ? loadUnits(await loadDefault(req)) : null;
+      const parsed = unitsFromQuery(req.query, fallback || METRIC);
+      if (parsed.error) return res.status(400).json({ message: parsed.error });
+      req.units = parsed.units;
+      next();
+    } catch (err) {
+      console.error("[Units] default lookup failed:", err);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+  };
+}
@@ -0,0 +1,283 @@
+// forecast/v2.js
+import { swellWindowFor } from "./exposure.js";
+import { ITEM_DISPLAY_FIELDS } from "./items.js";
+import { timeZoneForBreak } from "./time.js";
+import { METRIC, UNIT_CHOICES, describeUnits, displayFields } from "./units.js";
+
+/**
+ * /api/v2/forecast response shape. Unlike v1 every field is always present
+ * (null when unknown), units are part of the field name and every instant is
+ * given as both an ISO string and epoch seconds. FORECAST_V2_SCHEMA is the
+ * contract; change it together with toV2Forecast.
+ *
+ * 2.1 adds the units block and each item's display block: the headline
+ * values in the units the request asked for (?units=, metric by default).
+ */
+
+export const SCHEMA_VERSION = "2.1";
+export const MAX_HOURS = 168;
+
+const nullable = (type, extra = {}) => ({ type: [type, "null"], ...extra });
+const isoTime = { type: "string", format: "date-time" };
+const nullableIso = { type: ["string", "null"], format: "date-time" };
+const degrees = nullable("number", { minimum: 0, maximum: 360 });
+
+const swellSchema = {
+  type: "object",
+  additionalProperties: false,
+  required: ["kind", "heightM", "periodS", "directionDeg", "exposure", "breakingHeightM"],
+  properties: {
+    kind: { enum: ["primary", "secondary", "windWave"] },
+    heightM: { type: "number" },
+    periodS: nullable("number"),
+    directionDeg: degrees,
+    exposure: nullable("number", { minimum: 0, maximum: 1 }),
+    breakingHeightM: nullable("number"),
+  },
+};
+
+const unitsSchema = {
+  type: "object",
+  additionalProperties: false,
+  required: ["system", "height", "wind", "temperature", "labels"],
+  properties: {
+    system: { enum: ["metric", "imperial", "custom"] },
+    height: { enum: UNIT_CHOICES.height },
+    wind: { enum: UNIT_CHOICES.wind },
+    temperature: { enum: UNIT_CHOICES.temperature },
+    labels: {
+      type: "object",
+      additionalProperties: false,
+      required: ["height", "wind", "temperature"],
+      properties: { height: { type: "string" }, wind: { type: "string" }, temperature: { type: "string" } },
+    },
+  },
+};
+
+const itemSchema = {
+  type: "object",
+  additionalProperties: false,
+  required: [
+    "time", "epoch", "localTime", "waveHeightM", "breakingHeightM", "swellHeightM",
+    "swellPeriodS", "swellDirectionDeg", "windSpeedKt", "windDirectionDeg",
+    "windRelation", "windRelationAngleDeg", "waterTemperatureC", "tideHeightM",
+    "tideSource", "tidePhase", "swells", "sun", "daylight", "sources", "display",
+  ],
+  properties: {
+    time: isoTime,
+    epoch: { type: "integer", description: "seconds since 1970-01-01T00:00:00Z" },
+    localTime: { type: "string", description: "ISO 8601 with offset, in the break's timezone" },
+    waveHeightM: nullable("number"),
+    breakingHeightM: nullable("number", { description: "estimated height at the beach" }),
+    swellHeightM: nullable("number"),
+    swellPeriodS: nullable("number"),
+    swellDirectionDeg: degrees,
+    windSpeedKt: nullable("number"),
+    windDirectionDeg: degrees,
+    windRelation: nullable("string", {
+      enum: ["offshore", "cross-offshore", "cross", "cross-onshore", "onshore", null],
+    }),
+    windRelationAngleDeg: nullable("number", { minimum: 0, maximum: 180 }),
+    waterTemperatureC: nullable("number"),
+    tideHeightM: nullable("number"),
+    tideSource: nullable("string", { enum: ["model", "harmonic", null] }),
+    tidePhase: {
+      type: ["object", "null"],
+      additionalProperties: false,
+      required: ["state", "stage", "hoursToNextHigh", "hoursToNextLow"],
+      properties: {
+        state: { enum: ["rising", "falling"] },
+        stage: { enum: ["low", "mid", "high"] },
+        hoursToNextHigh: nullable("number"),
+        hoursToNextLow: nullable("number"),
+      },
+    },
+    swells: { type: "array", items: swellSchema },
+    sun: {
+      type: ["object", "null"],
+      additionalProperties: false,
+      required: ["firstLight", "sunrise", "sunset", "lastLight"],
+      properties: {
+        firstLight: nullableIso,
+        sunrise: nullableIso,
+        sunset: nullableIso,
+        lastLight: nullableIso,
+      },
+    },
+    daylight: nullable("boolean"),
+    sources: {
+      type: "object",
+      description: "field -> sources its value came from",
+      additionalProperties: { type: "array", items: { type: "string" } },
+    },
+    display: {
+      type: "object",
+      description: "the same values in the document's units",
+      additionalProperties: false,
+      required: Object.keys(ITEM_DISPLAY_FIELDS),
+      properties: Object.fromEntries(Object.keys(ITEM_DISPLAY_FIELDS).map((k) => [k, nullable("number")])),
+    },
+  },
+};
+
+export const FORECAST_V2_SCHEMA = {
+  $schema: "https://json-schema.org/draft/2020-12/schema",
+  $id: "https://corelord.app/schemas/forecast-v2.json",
+  title: "CoreLord forecast v2",
+  type: "object",
+  additionalProperties: false,
+  required: ["schemaVersion", "break", "fetchedAt", "fetchedAtEpoch", "provider", "selection", "units", "hours", "items"],
+  properties: {
+    schemaVersion: { const: SCHEMA_VERSION },
+    break: {
+      type: "object",
+      additionalProperties: false,
+      required: ["id", "name", "region", "timezone", "latitude", "longitude", "coastFacingDeg", "swellWindow"],
+      properties: {
+        id: { type: "integer" },
+        name: { type: "string" },
+        region: nullable("string"),
+        timezone: { type: "string", description: "IANA zone" },
+        latitude: nullable("number"),
+        longitude: nullable("number"),
+        coastFacingDeg: degrees,
+        swellWindow: {
+          type: ["object", "null"],
+          additionalProperties: false,
+          required: ["minDeg", "maxDeg", "shadowFactor"],
+          properties: {
+            minDeg: { type: "number" },
+            maxDeg: { type: "number" },
+            shadowFactor: { type: "number", minimum: 0, maximum: 1 },
+          },
+        },
+      },
+    },
+    fetchedAt: nullableIso,
+    fetchedAtEpoch: nullable("integer"),
+    provider: {
+      type: "object",
+      additionalProperties: false,
+      required: ["name", "source", "fallbackFrom"],
+      properties: {
+        name: { type: "string" },
+        source: nullable("string"),
+        fallbackFrom: { type: ["array", "null"], items: { type: "string" } },
+      },
+    },
+    selection: {
+      type: "object",
+      additionalProperties: false,
+      required: ["sources", "blend"],
+      properties: {
+        sources: { type: "array", items: { type: "string" } },
+        blend: nullable("string"),
+      },
+    },
+    units: unitsSchema,
+    hours: { type: "integer", minimum: 0, maximum: MAX_HOURS },
+    items: { type: "array", items: itemSchema },
+  },
+};
+
+/**
+ * ?hours= for v2: a whole number 1..168, default 168.
+ * Returns { hours } or { error }.
+ */
+export function parseHours(raw) {
+  if (raw == null || raw === "") return { hours: MAX_HOURS };
+  const s = String(raw).trim();
+  if (!/^\d+$/.test(s)) return { error: "hours must be a whole number" };
+  const hours = Number(s);
+  if (hours < 1 || hours > MAX_HOURS) return { error: `hours must be between 1 and ${MAX_HOURS}` };
+  return { hours };
+}
+
+const orNull = (v) => (v === undefined ? null : v);
+
+export function toV2Break(brk) {
+  const win = swellWindowFor(brk);
+  return {
+    id: brk.Id,
+    name: brk.Name,
+    region: orNull(brk.Region),
+    timezone: timeZoneForBreak(brk),
+    latitude: orNull(brk.Latitude),
+    longitude: orNull(brk.Longitude),
+    coastFacingDeg: orNull(brk.CoastFacingDeg),
+    swellWindow: win ? { minDeg: win.min, maxDeg: win.max, shadowFactor: win.shadow } : null,
+  };
+}
+
+function toV2Item(it, units) {
+  return {
+    time: new Date(it.ts * 1000).toISOString(),
+    epoch: Math.round(it.ts),
+    localTime: it.localTime,
+    waveHeightM: orNull(it.waveHeightM),
+    breakingHeightM: orNull(it.breakingHeightM),
+    swellHeightM: orNull(it.swellHeightM),
+    swellPeriodS: orNull(it.swellPeriodS),
+    swellDirectionDeg: orNull(it.swellDir),
+    windSpeedKt: orNull(it.windSpeedKt),
+    windDirectionDeg: orNull(it.windDir),
+    windRelation: orNull(it.windRelation),
+    windRelationAngleDeg: orNull(it.windRelationAngle),
+    waterTemperatureC: orNull(it.waterTempC),
+    tideHeightM: orNull(it.tideM),
+    tideSource: orNull(it.tideSource),
+    tidePhase: it.tidePhase
+      ? {
+          state: it.tidePhase.state,
+          stage: it.tidePhase.stage,
+          hoursToNextHigh: orNull(it.tidePhase.hoursToNextHigh),
+          hoursToNextLow: orNull(it.tidePhase.hoursToNextLow),
+        }
+      : null,
+    swells: (it.swells || []).map((s) => ({
+      kind: s.kind,
+      heightM: s.heightM,
+      periodS: orNull(s.periodS),
+      directionDeg: orNull(s.dir),
+      exposure: orNull(s.exposure),
+      breakingHeightM: orNull(s.breakingHeightM),
+    })),
+    sun: it.sun
+      ? {
+          firstLight: orNull(it.sun.firstLight),
+          sunrise: orNull(it.sun.sunrise),
+          sunset: orNull(it.sun.sunset),
+          lastLight: orNull(it.sun.lastLight),
+        }
+      : null,
+    daylight: orNull(it.daylight),
+    sources: it.sources || {},
+    display: displayFields(it, ITEM_DISPLAY_FIELDS, units),
+  };
+}
+
+/**
+ * v2 document from a forecast read ({ brk, json, fetchedAt, items }).
+ * Items start at the current hour and run for `hours`.
+ */
+export function toV2Forecast(read, { hours = MAX_HOURS, selection = {}, units = METRIC, now = Date.now() } = {}) {
+  const fromTs = Math.floor(now / 3600000) * 3600;
+  const items = read.items.filter((it) => it.ts >= fromTs).slice(0, hours);
+  const provider = read.json._provider || {};
+
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    break: toV2Break(read.brk),
+    fetchedAt: read.fetchedAt != null ? new Date(read.fetchedAt).toISOString() : null,
+    fetchedAtEpoch: read.fetchedAt != null ? Math.floor(read.fetchedAt / 1000) : null,
+    provider: {
+      name: provider.name || "stormglass",
+      source: orNull(provider.source),
+      fallbackFrom: orNull(provider.fallbackFrom),
+    },
+    selection: { sources: selection.sources || [], blend: selection.blend || null },
+    units: describeUnits(units),
+    hours: items.length,
+    items: items.map((it) => toV2Item(it, units)),
+  };
+}
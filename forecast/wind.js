@@ -0,0 +1,50 @@
+// forecast/wind.js
+import { angleDelta } from "./angles.js";
+
+/**
+ * Wind relation to the coast. Wind direction is where the wind blows FROM,
+ * CoastFacingDeg is the bearing the beach faces out to sea, so a wind from
+ * the facing bearing blows straight onshore and one from the opposite
+ * bearing blows straight offshore.
+ */
+
+// angle range (degrees off dead offshore) covered by each label
+export const WIND_RELATION_BANDS = {
+  offshore: { min: 0, max: 30 },
+  "cross-offshore": { min: 30, max: 67.5 },
+  cross: { min: 67.5, max: 112.5 },
+  "cross-onshore": { min: 112.5, max: 150 },
+  onshore: { min: 150, max: 180 },
+};
+
+export const WIND_RELATIONS = Object.keys(WIND_RELATION_BANDS);
+
+/**
+ * Classify a wind direction for a coast. Returns
+ * { relation, angle } where angle is 0 (dead offshore) .. 180 (dead onshore),
+ * or null when either bearing is unknown.
+ */
+export function classifyWind(windDir, coastFacingDeg) {
+  if (windDir == null || typeof coastFacingDeg !== "number") return null;
+
+  // offshore wind blows from the bearing opposite the facing
+  const angle = angleDelta(windDir, coastFacingDeg + 180);
+
+  const relation = WIND_RELATIONS.find((r) => angle <= WIND_RELATION_BANDS[r].max);
+  return { relation, angle: Math.round(angle) };
+}
+
+/**
+ * Normalize a relation list from a body or CSV column.
+ * Returns { relations } or { error } naming the first unknown label.
+ */
+export function parseWindRelations(input) {
+  if (input == null || input === "") return { relations: [] };
+  const list = (Array.isArray(input) ? input : String(input).split(","))
+    .map((s) => String(s).trim().toLowerCase())
+    .filter(Boolean);
+
+  const bad = list.find((r) => !WIND_RELATIONS.includes(r));
+  if (bad) return { error: `unknown wind relation ${bad}` };
+  return { relations: [...new Set(list)] };
+}
@@ -2,24 +2,26 @@
 import express from "express";
 import cors from "cors";
 
+// first, so a bad configuration fails before anything connects
+import config from "./config/index.js";
+
 import profileRouter from "./routes/profile.js";
 import plannerRouter from "./routes/planner.js";
 import forecastRouter from "./routes/forecast.js";
+import forecastV2Router from "./routes/forecastV2.js";
 import cacheRouter from "./routes/cache.js";
 import sessionsRouter from "./routes/sessions.js";
+import { openapiDocument } from "./openapi/document.js";
 
 const app = express();
-const PORT = process.env.PORT || 3000;
+const PORT = config.port;
 
 // trust proxy for correct client IPs when behind Azure
 app.set("trust proxy", true);
 
 // build id header for traceability
 app.use((req, res, next) => {
-  const buildId =
-    process.env.WEBSITE_BUILD_ID ||
-    process.env.SCM_BUILD ||
-    new Date().toISOString();
+  const buildId = config.buildId || new Date().toISOString();
   res.set("x-corelord-build", String(buildId));
   next();
 });
@@ -27,11 +29,7 @@ app.use((req, res, next) => {
 // CORS for SWA and local dev
 app.use(
   cors({
-    origin: [
-      "https://calm-coast-025fe8203.2.azurestaticapps.net",
-      "http://localhost:3000",
-      "http://127.0.0.1:3000",
-    ],
+    origin: config.cors.origins,
     credentials: false,
   })
 );
@@ -49,10 +47,16 @@ app.get("/health", (req, res) => {
   });
 });
 
+// OpenAPI description of every route below; the routers validate against it
+app.get("/api/openapi.json", (req, res) => {
+  res.json(openapiDocument);
+});
+
 // API routes
 app.use("/api/profile", profileRouter);
 app.use("/api/planner", plannerRouter);
 app.use("/api/forecast", forecastRouter);
+app.use("/api/v2/forecast", forecastV2Router);
 app.use("/api/cache", cacheRouter);
 app.use("/api/sessions", sessionsRouter);
 
@@ -74,9 +78,9 @@ app.use((err, req, res, next) => {
   });
 });
 
-// start server
-app.listen(PORT, () => {
-  console.log(`CoreLord backend listening on ${PORT}`);
+// start server; exported so tests can close it (PORT=0 picks a free port)
+export const server = app.listen(PORT, () => {
+  console.log(`CoreLord backend listening on ${PORT} (${config.profile})`);
 });
 
 export default app;
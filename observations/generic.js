@@ -0,0 +1,64 @@
+// observations/generic.js
+
+/**
+ * Generic observation feeds. Field names follow the normalized record
+ * (observedAt, waveHeightM, swellPeriodS, avgPeriodS, swellDir, windSpeedKt,
+ * gustKt, windDir, waterTempC, tideM); "time" is accepted for observedAt.
+ *
+ * JSON: an array of records, or { observations: [...] }.
+ * CSV: a header row with those names, comma separated, no quoting.
+ */
+
+export const OBSERVATION_FIELDS = [
+  "waveHeightM",
+  "swellPeriodS",
+  "avgPeriodS",
+  "swellDir",
+  "windSpeedKt",
+  "gustKt",
+  "windDir",
+  "waterTempC",
+  "tideM",
+];
+
+function toRecord(raw) {
+  const time = raw.observedAt ?? raw.time;
+  const ts = +new Date(time);
+  if (time == null || Number.isNaN(ts)) return null;
+
+  const rec = { observedAt: new Date(ts).toISOString() };
+  for (const key of OBSERVATION_FIELDS) {
+    const v = raw[key];
+    const n = v === "" || v == null ? null : Number(v);
+    rec[key] = Number.isFinite(n) ? n : null;
+  }
+  return rec;
+}
+
+export function parseJsonObservations(text) {
+  const json = typeof text === "string" ? JSON.parse(text) : text;
+  const list = Array.isArray(json) ? json : json?.observations;
+  if (!Array.isArray(list)) throw new Error("JSON feed must be an array or { observations: [] }");
+  return list.map(toRecord).filter(Boolean);
+}
+
+export function parseCsvObservations(text) {
+  const lines = String(text || "")
+    .split(/\r?\n/)
+    .map((l) => l.trim())
+    .filter(Boolean);
+  if (lines.length === 0) return [];
+
+  const cols = lines[0].split(",").map((c) => c.trim());
+  return lines
+    .slice(1)
+    .map((line) => {
+      const cells = line.split(",");
+      const raw = {};
+      cols.forEach((c, i) => {
+        raw[c] = cells[i]?.trim();
+      });
+      return toRecord(raw);
+    })
+    .filter(Boolean);
+}
@@ -0,0 +1,111 @@
+// observations/index.js
+import fs from "fs-extra";
+import path from "path";
+import fetch from "node-fetch";
+import { fixtureDir } from "../providers/fixture.js";
+import { parseNdbc } from "./ndbc.js";
+import { parseCsvObservations, parseJsonObservations } from "./generic.js";
+
+/**
+ * Observation feed adapters. Each turns feed text into normalized records:
+ *   { observedAt: ISO, waveHeightM, swellPeriodS, avgPeriodS, swellDir,
+ *     windSpeedKt, gustKt, windDir, waterTempC, tideM }
+ * Units match forecast items so the two can be compared directly.
+ */
+const PARSERS = {
+  ndbc: parseNdbc,
+  csv: parseCsvObservations,
+  json: parseJsonObservations,
+};
+
+export const OBSERVATION_FORMATS = Object.keys(PARSERS);
+
+const isHttp = (location) => /^https?:\/\//i.test(location);
+const BAD_LOCATION = "feedUrl must be an http(s) URL or a file in the fixture directory";
+
+function insideDir(dir, file) {
+  return file.startsWith(dir.endsWith(path.sep) ? dir : dir + path.sep);
+}
+
+/**
+ * A feed location is an http(s) URL or a file inside the fixture directory
+ * (relative to it, for offline runs). Anything else on disk is refused so a
+ * station can't be pointed at the server's own files.
+ * Returns { value } or { error }.
+ */
+export function checkFeedLocation(location) {
+  const s = String(location || "").trim();
+  if (isHttp(s)) return { value: s };
+  const dir = path.resolve(fixtureDir());
+  if (!s || !insideDir(dir, path.resolve(dir, s))) {
+    return { error: BAD_LOCATION };
+  }
+  return { value: s };
+}
+
+/**
+ * Read a feed from an http(s) URL or a fixture file (see checkFeedLocation).
+ */
+export async function readFeed(location, { timeoutMs = 15000 } = {}) {
+  if (!isHttp(location)) {
+    const checked = checkFeedLocation(location);
+    if (checked.error) throw new Error(checked.error);
+    // resolve links too, so a link inside the directory can't lead out of it
+    const dir = await fs.realpath(path.resolve(fixtureDir()));
+    const file = await fs.realpath(path.resolve(dir, checked.value));
+    if (!insideDir(dir, file)) throw new Error(BAD_LOCATION);
+    return fs.readFile(file, "utf8");
+  }
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const res = await fetch(location, {
+      headers: { "User-Agent": "CoreLord/1.0 (ops@corelord.app)" },
+      signal: controller.signal,
+    });
+    const text = await res.text();
+    if (!res.ok) throw new Error(`Feed error ${res.status}: ${text.slice(0, 120)}`);
+    return text;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+export function parseFeed(format, text) {
+  const parser = PARSERS[String(format || "").toLowerCase()];
+  if (!parser) throw new Error(`Unknown observation format ${format}`);
+  return parser(text);
+}
+
+/**
+ * Fetch and parse a station's feed, newest first, one record per observedAt.
+ * Feeds repeat a time now and then (NDBC realtime files at their edges and
+ * after a restart); the first one in the feed is kept.
+ */
+export async function loadStationFeed(station) {
+  const text = await readFeed(station.FeedUrl);
+  const seen = new Set();
+  const records = parseFeed(station.Format, text).filter((r) => {
+    const ts = new Date(r.observedAt).getTime();
+    if (seen.has(ts)) return false;
+    seen.add(ts);
+    return true;
+  });
+  records.sort((a, b) => new Date(b.observedAt) - new Date(a.observedAt));
+  return records;
+}
+
+/**
+ * Great-circle distance in km, for linking stations to nearby breaks.
+ */
+export function distanceKm(lat1, lng1, lat2, lng2) {
+  const R = 6371;
+  const rad = Math.PI / 180;
+  const dLat = (lat2 - lat1) * rad;
+  const dLng = (lng2 - lng1) * rad;
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(dLng / 2) ** 2;
+  return 2 * R * Math.asin(Math.sqrt(a));
+}
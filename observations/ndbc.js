@@ -0,0 +1,64 @@
+// observations/ndbc.js
+import { MS_TO_KT } from "../forecast/units.js";
+
+/**
+ * NDBC realtime standard meteorological text feed (realtime2/<station>.txt):
+ *
+ *   #YY  MM DD hh mm WDIR WSPD GST  WVHT   DPD   APD MWD   PRES  ATMP  WTMP  DEWP  VIS PTDY  TIDE
+ *   #yr  mo dy hr mn degT m/s  m/s     m   sec   sec degT   hPa  degC  degC  degC  nmi  hPa    ft
+ *   2025 01 01 00 00 270  5.0  7.0   1.5  12.0   8.0 260 1015.0  15.0  16.0  10.0   MM   MM    MM
+ *
+ * "MM" marks a missing value. Columns are located by header name so feeds
+ * with fewer columns (e.g. wave-only stations) parse too.
+ */
+
+const FT_TO_M = 0.3048;
+
+function num(v) {
+  if (v == null || v === "MM") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+export function parseNdbc(text) {
+  const lines = String(text || "").split(/\r?\n/);
+  const header = lines.find((l) => l.startsWith("#"));
+  if (!header) throw new Error("NDBC feed has no header line");
+
+  const cols = header.replace(/^#/, "").trim().split(/\s+/);
+  const idx = (name) => cols.indexOf(name);
+  const yearCol = idx("YY") >= 0 ? idx("YY") : idx("YYYY");
+
+  const out = [];
+  for (const line of lines) {
+    if (!line.trim() || line.startsWith("#")) continue;
+    const f = line.trim().split(/\s+/);
+    const get = (name) => (idx(name) >= 0 ? num(f[idx(name)]) : null);
+
+    let year = num(f[yearCol]);
+    if (year != null && year < 100) year += 2000;
+    const month = get("MM");
+    const day = get("DD");
+    const hour = get("hh");
+    const minute = get("mm") ?? 0;
+    if ([year, month, day, hour].some((v) => v == null)) continue;
+
+    const wspd = get("WSPD");
+    const gst = get("GST");
+    const tide = get("TIDE");
+
+    out.push({
+      observedAt: new Date(Date.UTC(year, month - 1, day, hour, minute)).toISOString(),
+      waveHeightM: get("WVHT"),
+      swellPeriodS: get("DPD"),
+      avgPeriodS: get("APD"),
+      swellDir: get("MWD"),
+      windSpeedKt: wspd != null ? wspd * MS_TO_KT : null,
+      gustKt: gst != null ? gst * MS_TO_KT : null,
+      windDir: get("WDIR"),
+      waterTempC: get("WTMP"),
+      tideM: tide != null ? tide * FT_TO_M : null,
+    });
+  }
+  return out;
+}
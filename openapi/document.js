@@ -0,0 +1,903 @@
+// openapi/document.js
+import { BLEND_MODES } from "../forecast/blend.js";
+import { WIND_RELATIONS } from "../forecast/wind.js";
+import { BOARD_TYPES, MAX_QUIVER, SKILL_LEVELS, STANCES } from "../forecast/surfer.js";
+import { UNIT_CHOICES, UNIT_SYSTEMS } from "../forecast/units.js";
+import { FORECAST_V2_SCHEMA, MAX_HOURS } from "../forecast/v2.js";
+import { ALERT_CHANNELS } from "../alerts/index.js";
+import { OBSERVATION_FORMATS } from "../observations/index.js";
+import { listProviders } from "../providers/index.js";
+
+/**
+ * OpenAPI 3.1 description of every route, served at /api/openapi.json and
+ * used by openapi/validate.js to check params, query strings and bodies.
+ * A route that is added without an entry here is simply not validated, so
+ * add the entry in the same change.
+ */
+
+/* ---------- building blocks ---------- */
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const int = (extra = {}) => ({ type: "integer", ...extra });
+const num = (extra = {}) => ({ type: "number", ...extra });
+const str = (extra = {}) => ({ type: "string", ...extra });
+const nullable = (schema) => ({ ...schema, type: [schema.type, "null"] });
+const csvOrList = (items, description) => ({
+  description,
+  type: ["array", "string", "null"],
+  items,
+});
+
+function param(where, name, schema, { required = false, description } = {}) {
+  return { name, in: where, required: where === "path" ? true : required, schema, description };
+}
+const query = (name, schema, opts) => param("query", name, schema, opts);
+const path = (name, schema = int({ minimum: 1 })) => param("path", name, schema);
+
+const json = (schema) => ({ content: { "application/json": { schema } } });
+const ok = (description, schema = { type: "object" }) => ({ description, ...json(schema) });
+const body = (schema) => ({ required: true, ...json(schema) });
+
+const errors = (...codes) =>
+  Object.fromEntries(
+    codes.map((c) => [
+      String(c),
+      c === 400
+        ? { description: "Invalid request", ...json(ref("ValidationError")) }
+        : { description: ERROR_TEXT[c] || "Error", ...json(ref("Error")) },
+    ])
+  );
+
+const ERROR_TEXT = {
+  401: "Missing or invalid token",
+  403: "Token rejected",
+  404: "Not found",
+  500: "Server error",
+  503: "Not available yet",
+};
+
+const user = [{ bearerAuth: [] }];
+// bearer token with the admin app role, or the scheduler's X-Api-Key
+const admin = [{ bearerAuth: [] }, { adminApiKey: [] }];
+
+const breakIdQuery = (required = false) =>
+  query("breakId", int({ minimum: 1 }), { required, description: "dbo.SurfBreaks.Id" });
+const sourceQuery = [
+  query("source", str(), { description: "comma list of data sources, in preference order" }),
+  query("blend", str(), { description: `combine sources instead of picking one: ${BLEND_MODES.join(" or ")}` }),
+];
+const flag = str({ enum: ["0", "1"] });
+const v1HoursQuery = query("hours", int({ minimum: 1, maximum: MAX_HOURS }), {
+  description: "first hours of the cached snapshot, default all of it",
+});
+// forecast/units.js; signed-in routes default to the profile's units, others to metric
+const unitsQuery = [
+  query("units", str({ enum: UNIT_SYSTEMS })),
+  query("heightUnit", str({ enum: UNIT_CHOICES.height }), { description: "with units=custom" }),
+  query("windUnit", str({ enum: UNIT_CHOICES.wind }), { description: "with units=custom" }),
+  query("tempUnit", str({ enum: UNIT_CHOICES.temperature }), { description: "with units=custom" }),
+];
+
+/* ---------- schemas ---------- */
+
+const schemas = {
+  Error: {
+    type: "object",
+    required: ["message"],
+    properties: { message: str(), detail: str() },
+  },
+  ValidationError: {
+    type: "object",
+    required: ["message", "errors"],
+    properties: {
+      message: str(),
+      errors: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["location", "field", "message"],
+          properties: {
+            location: str({ enum: ["path", "query", "body"] }),
+            field: str({ description: "dotted path, empty for the whole value" }),
+            message: str(),
+          },
+        },
+      },
+    },
+  },
+  Break: {
+    type: "object",
+    required: ["id", "name", "region"],
+    properties: {
+      id: int(),
+      name: str(),
+      region: nullable(str()),
+      latitude: nullable(num()),
+      longitude: nullable(num()),
+      timezone: str(),
+      coastFacingDeg: nullable(num()),
+      swellWindow: { type: ["object", "null"] },
+    },
+  },
+  ForecastV1: {
+    type: "object",
+    required: ["break", "hours", "fromCache", "provider", "items"],
+    properties: {
+      break: ref("Break"),
+      hours: int(),
+      fromCache: { type: "boolean" },
+      provider: str(),
+      selection: { type: "object" },
+      items: {
+        type: "array",
+        items: { type: "object", required: ["ts"], properties: { ts: num(), localTime: str() } },
+      },
+    },
+  },
+  ForecastV2: FORECAST_V2_SCHEMA,
+  PrefsInput: {
+    type: "object",
+    description: "heights, tides and maxWind in ?units= or the profile's units, saved in metres and knots",
+    required: ["breakId"],
+    properties: {
+      breakId: int({ minimum: 1 }),
+      minHeight: nullable(num({ minimum: 0 })),
+      maxHeight: nullable(num({ minimum: 0 })),
+      minPeriod: nullable(num({ minimum: 0 })),
+      maxPeriod: nullable(num({ minimum: 0 })),
+      swellDirs: csvOrList(str(), "compass sectors, e.g. [\"W\", \"NW\"]"),
+      maxWind: nullable(int({ minimum: 0 })),
+      windDirs: csvOrList(str(), "compass sectors the wind may blow from"),
+      windRelation: csvOrList(str(), `relations to the coast: ${WIND_RELATIONS.join(", ")}`),
+      minTide: nullable(num()),
+      maxTide: nullable(num()),
+      tidePhase: csvOrList(str(), "state, stage or stage-state, e.g. mid-rising"),
+      dawnPatrol: { type: "boolean" },
+    },
+  },
+  Prefs: {
+    type: "object",
+    properties: {
+      BreakId: int(),
+      BreakName: str(),
+      Region: str(),
+      MinHeightM: nullable(num()),
+      MaxHeightM: nullable(num()),
+      MinPeriodS: nullable(num()),
+      MaxPeriodS: nullable(num()),
+      AllowedSwellDirs: nullable(str()),
+      MaxWindKt: nullable(num()),
+      AllowedWindDirs: nullable(str()),
+      AllowedWindRelations: nullable(str()),
+      MinTideM: nullable(num()),
+      MaxTideM: nullable(num()),
+      AllowedTidePhases: nullable(str()),
+      DawnPatrol: { type: "boolean" },
+      units: ref("Units"),
+      display: {
+        type: "object",
+        description: "minHeight, maxHeight, maxWind, minTide and maxTide in units",
+        additionalProperties: nullable(num()),
+      },
+    },
+  },
+  Units: {
+    type: "object",
+    required: ["system", "height", "wind", "temperature"],
+    properties: {
+      system: str({ enum: UNIT_SYSTEMS }),
+      height: str({ enum: UNIT_CHOICES.height }),
+      wind: str({ enum: UNIT_CHOICES.wind }),
+      temperature: str({ enum: UNIT_CHOICES.temperature }),
+      labels: { type: "object", additionalProperties: str() },
+    },
+  },
+  AvailabilityInput: {
+    type: "array",
+    items: {
+      type: "object",
+      required: ["dow", "startHour"],
+      properties: {
+        dow: int({ minimum: 0, maximum: 6, description: "0 = Sunday" }),
+        startHour: int({ minimum: 0, maximum: 23, description: "local hour, profile timezone" }),
+      },
+    },
+  },
+  AlertInput: {
+    type: "object",
+    required: ["channel", "target"],
+    properties: {
+      breakId: nullable(int({ minimum: 1 })),
+      region: nullable(str({ minLength: 1 })),
+      minScore: num({ minimum: 0, maximum: 100 }),
+      leadHours: int({ minimum: 1, maximum: MAX_HOURS }),
+      quietStart: nullable(int({ minimum: 0, maximum: 23 })),
+      quietEnd: nullable(int({ minimum: 0, maximum: 23 })),
+      channel: str({ description: `one of ${ALERT_CHANNELS.join(", ")}` }),
+      target: {
+        description: "public https webhook URL, email address or push subscription with a public https endpoint",
+        type: ["string", "object"],
+        minLength: 1,
+      },
+      enabled: { type: "boolean" },
+    },
+  },
+  Alert: {
+    type: "object",
+    required: ["id", "minScore", "leadHours", "channel", "enabled"],
+    properties: {
+      id: int(),
+      breakId: nullable(int()),
+      region: nullable(str()),
+      minScore: int(),
+      leadHours: int(),
+      quietStart: nullable(int()),
+      quietEnd: nullable(int()),
+      channel: str(),
+      target: str(),
+      enabled: { type: "boolean" },
+    },
+  },
+  ProfileInput: {
+    type: "object",
+    required: ["name", "country"],
+    properties: {
+      name: str({ minLength: 1 }),
+      country: str({ minLength: 1 }),
+      phone: nullable(str()),
+      timeZone: nullable(str({ description: "IANA zone, e.g. Europe/Lisbon" })),
+      skillLevel: nullable(str({ description: SKILL_LEVELS.join(" | ") })),
+      stance: nullable(str({ description: STANCES.join(" | ") })),
+      homeRegion: nullable(str({ maxLength: 64 })),
+      units: {
+        type: ["string", "object", "null"],
+        description: "metric, imperial, or custom as { height, wind, temperature }",
+        properties: {
+          height: str({ enum: UNIT_CHOICES.height }),
+          wind: str({ enum: UNIT_CHOICES.wind }),
+          temperature: str({ enum: UNIT_CHOICES.temperature }),
+        },
+      },
+      boards: {
+        type: ["array", "null"],
+        maxItems: MAX_QUIVER,
+        description: "the whole quiver; leave out to keep the saved one",
+        items: ref("BoardInput"),
+      },
+    },
+  },
+  Profile: {
+    type: "object",
+    properties: {
+      name: nullable(str()),
+      email: nullable(str()),
+      country: nullable(str()),
+      phone: nullable(str()),
+      timeZone: nullable(str()),
+      skillLevel: nullable(str()),
+      stance: nullable(str()),
+      homeRegion: nullable(str()),
+      units: { anyOf: [ref("Units"), { type: "null" }] },
+      boards: { type: "array", items: ref("Board") },
+    },
+  },
+  BoardInput: {
+    type: "object",
+    required: ["type"],
+    properties: {
+      type: str({ description: Object.keys(BOARD_TYPES).join(" | ") }),
+      length: nullable(num({ exclusiveMinimum: 0, description: "cm" })),
+      volume: nullable(num({ exclusiveMinimum: 0, description: "litres" })),
+      name: nullable(str({ maxLength: 64 })),
+    },
+  },
+  Board: {
+    type: "object",
+    properties: {
+      id: int(),
+      type: str(),
+      length: nullable(num({ description: "cm" })),
+      volume: nullable(num({ description: "litres" })),
+      name: nullable(str()),
+    },
+  },
+  BoardSuggestion: {
+    type: "object",
+    required: ["id", "type", "fit"],
+    properties: {
+      id: int(),
+      type: str(),
+      name: nullable(str()),
+      fit: num({ minimum: 0, maximum: 1, description: "how well the board suits the window's surf height" }),
+    },
+  },
+  AccountDeleteInput: {
+    type: "object",
+    required: ["confirm"],
+    properties: { confirm: { const: "delete my account" } },
+  },
+  AccountExport: {
+    type: "object",
+    required: ["exportedAt", "account", "data", "adminActions"],
+    properties: {
+      exportedAt: str({ format: "date-time" }),
+      account: {
+        type: "object",
+        properties: {
+          id: int(),
+          tenant: str(),
+          subject: str(),
+          email: nullable(str()),
+          createdAt: str({ format: "date-time" }),
+          lastSeenAt: str({ format: "date-time" }),
+        },
+      },
+      data: {
+        type: "object",
+        description: "rows per table, columns as stored",
+        properties: {
+          profile: { type: "array", items: { type: "object" } },
+          boards: { type: "array", items: { type: "object" } },
+          breakPrefs: { type: "array", items: { type: "object" } },
+          availability: { type: "array", items: { type: "object" } },
+          alerts: { type: "array", items: { type: "object" } },
+          alertDeliveries: { type: "array", items: { type: "object" } },
+        },
+      },
+      adminActions: { type: "array", items: { type: "object" } },
+    },
+  },
+  SessionWindow: {
+    type: "object",
+    required: ["breakId", "start", "end", "score"],
+    properties: {
+      breakId: int(),
+      breakName: str(),
+      region: str(),
+      start: str({ format: "date-time" }),
+      end: str({ format: "date-time" }),
+      localStart: str(),
+      breakLocalStart: nullable(str()),
+      score: int({ minimum: 0, maximum: 100 }),
+      why: { type: "object" },
+      bestHour: str({ format: "date-time" }),
+      hourly: { type: "array", items: { type: "object" } },
+      board: { anyOf: [ref("BoardSuggestion"), { type: "null" }], description: "null without a quiver" },
+    },
+  },
+  TideConstituentsInput: {
+    type: "object",
+    required: ["breakId", "constituents"],
+    properties: {
+      breakId: int({ minimum: 1 }),
+      datumM: num(),
+      constituents: {
+        type: "array",
+        minItems: 1,
+        items: {
+          type: "object",
+          required: ["name", "amplitudeM", "phaseDeg"],
+          properties: { name: str(), amplitudeM: num(), phaseDeg: num() },
+        },
+      },
+    },
+  },
+  StationInput: {
+    type: "object",
+    required: ["breakId", "code", "format", "feedUrl"],
+    properties: {
+      breakId: int({ minimum: 1 }),
+      code: str({ minLength: 1, maxLength: 32 }),
+      name: nullable(str({ maxLength: 128 })),
+      format: str({ description: `one of ${OBSERVATION_FORMATS.join(", ")}, any case` }),
+      feedUrl: str({
+        minLength: 1,
+        maxLength: 512,
+        description: "http(s) URL, or a file path relative to the fixture directory",
+      }),
+      latitude: num({ minimum: -90, maximum: 90 }),
+      longitude: num({ minimum: -180, maximum: 180 }),
+    },
+  },
+};
+
+/* ---------- paths ---------- */
+
+const forecastPaths = {
+  "/api/forecast": {
+    get: { tags: ["forecast"], summary: "Route list", responses: { 200: ok("Routes") } },
+  },
+  "/api/forecast/breaks": {
+    get: {
+      tags: ["forecast"],
+      summary: "All breaks",
+      responses: { 200: ok("Breaks", { type: "array", items: ref("Break") }), ...errors(500) },
+    },
+  },
+  "/api/forecast/timeseries": {
+    get: {
+      tags: ["forecast"],
+      summary: "Cached forecast for a break (v1)",
+      parameters: [breakIdQuery(true), v1HoursQuery, ...sourceQuery, ...unitsQuery],
+      responses: { 200: ok("Forecast", ref("ForecastV1")), ...errors(400, 404, 500, 503) },
+    },
+  },
+  "/api/forecast/{breakId}": {
+    get: {
+      tags: ["forecast"],
+      summary: "Cached forecast for a break (v1)",
+      parameters: [path("breakId"), v1HoursQuery, ...sourceQuery, ...unitsQuery],
+      responses: { 200: ok("Forecast", ref("ForecastV1")), ...errors(400, 404, 500, 503) },
+    },
+  },
+  "/api/forecast/{breakId}/tides": {
+    get: {
+      tags: ["forecast"],
+      summary: "High and low tide events",
+      parameters: [path("breakId"), v1HoursQuery, ...unitsQuery],
+      responses: { 200: ok("Tide extremes"), ...errors(400, 404, 500, 503) },
+    },
+  },
+  "/api/forecast/{breakId}/accuracy": {
+    get: {
+      tags: ["forecast"],
+      summary: "Forecast error by lead time",
+      parameters: [
+        path("breakId"),
+        query("days", int({ minimum: 1 })),
+        query("variable", str()),
+        query("source", str()),
+        query("truth", str()),
+      ],
+      responses: { 200: ok("Error statistics"), ...errors(400, 404, 500) },
+    },
+  },
+  "/api/forecast/{breakId}/changes": {
+    get: {
+      tags: ["forecast"],
+      summary: "What changed between recent cache runs",
+      parameters: [path("breakId"), query("limit", int({ minimum: 1, maximum: 50 }))],
+      responses: { 200: ok("Change summaries"), ...errors(400, 404, 500) },
+    },
+  },
+  "/api/forecast/{breakId}/observations": {
+    get: {
+      tags: ["forecast"],
+      summary: "Nearby station observations next to the forecast",
+      parameters: [path("breakId"), query("hours", int({ minimum: 1 }))],
+      responses: { 200: ok("Observations"), ...errors(400, 404, 500) },
+    },
+  },
+  "/api/v2/forecast": {
+    get: { tags: ["forecast v2"], summary: "Route list", responses: { 200: ok("Routes") } },
+  },
+  "/api/v2/forecast/schema": {
+    get: {
+      tags: ["forecast v2"],
+      summary: "JSON Schema of the v2 forecast",
+      responses: { 200: { description: "Schema", content: { "application/schema+json": { schema: { type: "object" } } } } },
+    },
+  },
+  "/api/v2/forecast/breaks": {
+    get: { tags: ["forecast v2"], summary: "All breaks", responses: { 200: ok("Breaks"), ...errors(500) } },
+  },
+  "/api/v2/forecast/{breakId}": {
+    get: {
+      tags: ["forecast v2"],
+      summary: "Forecast from the current hour",
+      parameters: [
+        path("breakId"),
+        query("hours", int({ minimum: 1, maximum: MAX_HOURS })),
+        ...sourceQuery,
+        ...unitsQuery,
+      ],
+      responses: { 200: ok("Forecast", ref("ForecastV2")), ...errors(400, 404, 500, 503) },
+    },
+  },
+};
+
+const plannerPaths = {
+  "/api/planner/regions": {
+    get: { tags: ["planner"], security: user, summary: "Regions", responses: { 200: ok("Regions", { type: "array" }) } },
+  },
+  "/api/planner/breaks": {
+    get: {
+      tags: ["planner"],
+      security: user,
+      summary: "Breaks in a region",
+      parameters: [query("region", str({ minLength: 1 }), { description: "defaults to the profile's home region" })],
+      responses: { 200: ok("Breaks", { type: "array" }), ...errors(400, 500) },
+    },
+  },
+  "/api/planner/prefs": {
+    get: {
+      tags: ["planner"],
+      security: user,
+      summary: "Prefs for a break",
+      parameters: [breakIdQuery(true), ...unitsQuery],
+      responses: { 200: ok("Prefs", ref("Prefs")), 204: { description: "No prefs saved" }, ...errors(400, 500) },
+    },
+    post: {
+      tags: ["planner"],
+      security: user,
+      summary: "Save prefs for a break",
+      description:
+        "A break's first prefs start from the skill level defaults for any field the body leaves out. " +
+        "Heights, tides and maxWind are in the units query, else the profile's units, like the display block GET returns.",
+      parameters: unitsQuery,
+      requestBody: body(ref("PrefsInput")),
+      responses: {
+        200: ok("Saved", {
+          type: "object",
+          properties: {
+            message: str(),
+            seeded: { type: "array", items: str(), description: "fields filled from the defaults" },
+          },
+        }),
+        ...errors(400, 500),
+      },
+    },
+    delete: {
+      tags: ["planner"],
+      security: user,
+      summary: "Delete prefs for a break",
+      parameters: [breakIdQuery(true)],
+      responses: { 204: { description: "Deleted" }, ...errors(400, 500) },
+    },
+  },
+  "/api/planner/prefs/defaults": {
+    get: {
+      tags: ["planner"],
+      security: user,
+      summary: "Starting prefs for the user's skill level",
+      parameters: unitsQuery,
+      responses: {
+        200: ok("Defaults", {
+          type: "object",
+          required: ["skillLevel", "prefs"],
+          properties: {
+            skillLevel: nullable(str()),
+            units: ref("Units"),
+            prefs: { type: "object", description: "PrefsInput fields, without breakId" },
+          },
+        }),
+        ...errors(500),
+      },
+    },
+  },
+  "/api/planner/prefs/list": {
+    get: {
+      tags: ["planner"],
+      security: user,
+      summary: "All saved prefs",
+      parameters: [query("region", str()), ...unitsQuery],
+      responses: {
+        200: ok("Prefs", { type: "array", items: ref("Prefs") }),
+        204: { description: "No prefs saved" },
+        ...errors(400, 500),
+      },
+    },
+  },
+  "/api/planner/availability": {
+    get: {
+      tags: ["planner"],
+      security: user,
+      summary: "Weekly availability",
+      responses: { 200: ok("Slots", { type: "array" }), 204: { description: "None saved" }, ...errors(400, 500) },
+    },
+    post: {
+      tags: ["planner"],
+      security: user,
+      summary: "Replace weekly availability",
+      requestBody: body(ref("AvailabilityInput")),
+      responses: { 200: ok("Saved"), ...errors(400, 500) },
+    },
+  },
+  "/api/planner/alerts": {
+    get: {
+      tags: ["alerts"],
+      security: user,
+      summary: "Saved alerts",
+      responses: { 200: ok("Alerts"), ...errors(400, 500) },
+    },
+    post: {
+      tags: ["alerts"],
+      security: user,
+      summary: "Create an alert",
+      requestBody: body(ref("AlertInput")),
+      responses: { 201: ok("Alert", ref("Alert")), ...errors(400, 500) },
+    },
+  },
+  "/api/planner/alerts/push-key": {
+    get: {
+      tags: ["alerts"],
+      security: user,
+      summary: "VAPID public key for web push",
+      responses: { 200: ok("Key"), ...errors(404) },
+    },
+  },
+  "/api/planner/alerts/{id}": {
+    put: {
+      tags: ["alerts"],
+      security: user,
+      summary: "Replace an alert",
+      parameters: [path("id")],
+      requestBody: body(ref("AlertInput")),
+      responses: { 200: ok("Alert", ref("Alert")), ...errors(400, 404, 500) },
+    },
+    delete: {
+      tags: ["alerts"],
+      security: user,
+      summary: "Delete an alert",
+      parameters: [path("id")],
+      responses: { 204: { description: "Deleted" }, ...errors(400, 404, 500) },
+    },
+  },
+  "/api/planner/alerts/{id}/deliveries": {
+    get: {
+      tags: ["alerts"],
+      security: user,
+      summary: "Delivery history",
+      parameters: [path("id")],
+      responses: { 200: ok("Deliveries", { type: "array" }), ...errors(400, 500) },
+    },
+  },
+};
+
+const profilePaths = {
+  "/api/profile": {
+    get: {
+      tags: ["profile"],
+      security: user,
+      summary: "Current user's profile",
+      responses: { 200: ok("Profile", ref("Profile")), ...errors(400, 404, 500) },
+    },
+    post: {
+      tags: ["profile"],
+      security: user,
+      summary: "Create or update the profile",
+      requestBody: body(ref("ProfileInput")),
+      responses: { 200: ok("Saved"), ...errors(400, 500) },
+    },
+    delete: {
+      tags: ["profile"],
+      security: user,
+      summary: "Erase the account and everything it owns",
+      requestBody: body(ref("AccountDeleteInput")),
+      responses: {
+        200: ok("Erased", {
+          type: "object",
+          required: ["message", "deleted"],
+          properties: {
+            message: str(),
+            deleted: { type: "object", additionalProperties: int(), description: "rows deleted per table" },
+          },
+        }),
+        ...errors(400, 404, 500),
+      },
+    },
+  },
+  "/api/profile/export": {
+    get: {
+      tags: ["profile"],
+      security: user,
+      summary: "Everything held for the user",
+      parameters: [query("format", str({ enum: ["json", "zip"] }), { description: "default json" })],
+      responses: {
+        200: {
+          description: "Account archive, sent as an attachment",
+          content: {
+            "application/json": { schema: ref("AccountExport") },
+            "application/zip": { schema: str({ contentMediaType: "application/zip" }) },
+          },
+        },
+        ...errors(400, 404, 500),
+      },
+    },
+  },
+};
+
+const sessionPaths = {
+  "/api/sessions/sessions": {
+    get: {
+      tags: ["sessions"],
+      security: user,
+      summary: "Scored session windows",
+      parameters: [
+        query("region", str()),
+        query("days", int({ minimum: 1 })),
+        query("tz", str(), { description: "fallback IANA zone for users without one" }),
+        query("daylight", flag, { description: "0 keeps hours outside first..last light" }),
+        ...unitsQuery,
+      ],
+      responses: {
+        200: ok("Windows", {
+          type: "object",
+          required: ["generatedAt", "timezone", "units", "windows"],
+          properties: {
+            generatedAt: str({ format: "date-time" }),
+            timezone: str(),
+            units: ref("Units"),
+            windows: { type: "array", items: ref("SessionWindow") },
+          },
+        }),
+        ...errors(400, 500),
+      },
+    },
+  },
+  "/api/sessions/calendar/url": {
+    get: {
+      tags: ["sessions"],
+      security: user,
+      summary: "Signed ICS feed URL",
+      responses: { 200: ok("Feed URL"), ...errors(400, 500, 503) },
+    },
+    post: {
+      tags: ["sessions"],
+      security: user,
+      summary: "New ICS feed URL, revoking the previous ones",
+      responses: { 200: ok("Feed URL"), ...errors(400, 500, 503) },
+    },
+  },
+  "/api/sessions/calendar/{token}.ics": {
+    get: {
+      tags: ["sessions"],
+      summary: "ICS feed of top windows",
+      parameters: [path("token", str({ minLength: 1 })), query("region", str())],
+      responses: {
+        200: { description: "iCalendar", content: { "text/calendar": { schema: str() } } },
+        ...errors(404, 500),
+      },
+    },
+  },
+  "/api/sessions/window.ics": {
+    get: {
+      tags: ["sessions"],
+      security: user,
+      summary: "One window as an .ics attachment",
+      parameters: [
+        breakIdQuery(true),
+        query("start", str({ format: "date-time" }), { required: true }),
+        query("tz", str()),
+        query("daylight", flag),
+      ],
+      responses: {
+        200: { description: "iCalendar", content: { "text/calendar": { schema: str() } } },
+        ...errors(400, 404, 500),
+      },
+    },
+  },
+};
+
+const cachePaths = {
+  "/api/cache/daily": {
+    get: {
+      tags: ["cache"],
+      security: admin,
+      summary: "Fetch and cache one break",
+      parameters: [
+        breakIdQuery(true),
+        query("hours", int({ minimum: 1, maximum: MAX_HOURS })),
+        query("provider", str({ description: `one of ${listProviders().join(", ")}` })),
+      ],
+      responses: { 200: ok("Cached"), ...errors(400, 401, 403, 404, 500) },
+    },
+  },
+  "/api/cache/daily-batch": {
+    get: {
+      tags: ["cache"],
+      security: admin,
+      summary: "Cache today's rotating slice of breaks",
+      parameters: [query("max", int({ minimum: 1 })), query("offset", int({ minimum: 0 }))],
+      responses: { 200: ok("Batch report"), ...errors(400, 401, 403, 500) },
+    },
+  },
+  "/api/cache/admin/geocode-missing": {
+    post: {
+      tags: ["admin"],
+      security: admin,
+      summary: "Geocode breaks without coordinates",
+      responses: { 200: ok("Report"), ...errors(401, 403, 500) },
+    },
+  },
+  "/api/cache/admin/tide-constituents": {
+    post: {
+      tags: ["admin"],
+      security: admin,
+      summary: "Replace a break's harmonic tide constituents",
+      requestBody: body(ref("TideConstituentsInput")),
+      responses: { 200: ok("Saved"), ...errors(400, 401, 403, 404, 500) },
+    },
+  },
+  "/api/cache/admin/retention": {
+    post: {
+      tags: ["admin"],
+      security: admin,
+      summary: "Forecast cache retention (dry run unless dryRun=0)",
+      parameters: [
+        query("dryRun", flag),
+        query("keepLatest", int({ minimum: 0 })),
+        query("dailyDays", int({ minimum: 0 })),
+        query("compactLimit", int({ minimum: 0 })),
+      ],
+      responses: { 200: ok("Retention report"), ...errors(400, 401, 403, 500) },
+    },
+  },
+  "/api/cache/admin/verify": {
+    post: {
+      tags: ["admin"],
+      security: admin,
+      summary: "Verify cached forecasts",
+      parameters: [breakIdQuery(), query("days", int({ minimum: 1 }))],
+      responses: { 200: ok("Verification report"), ...errors(400, 401, 403, 500) },
+    },
+  },
+  "/api/cache/admin/alerts/evaluate": {
+    post: {
+      tags: ["admin"],
+      security: admin,
+      summary: "Evaluate saved alerts against the cache",
+      parameters: [breakIdQuery()],
+      responses: { 200: ok("Evaluation summary"), ...errors(400, 401, 403, 500) },
+    },
+  },
+  "/api/cache/admin/stations": {
+    post: {
+      tags: ["admin"],
+      security: admin,
+      summary: "Register an observation station near a break",
+      requestBody: body(ref("StationInput")),
+      responses: { 200: ok("Registered"), ...errors(400, 401, 403, 404, 500) },
+    },
+  },
+  "/api/cache/admin/observations/ingest": {
+    post: {
+      tags: ["admin"],
+      security: admin,
+      summary: "Pull observation feeds",
+      parameters: [query("stationId", int({ minimum: 1 })), breakIdQuery()],
+      responses: { 200: ok("Ingest report"), ...errors(400, 401, 403, 404, 500) },
+    },
+  },
+  "/api/cache/admin/audit-log": {
+    get: {
+      tags: ["admin"],
+      security: admin,
+      summary: "Who triggered which admin call",
+      parameters: [query("limit", int({ minimum: 1, maximum: 500 })), query("actorId", str())],
+      responses: { 200: ok("Audit entries"), ...errors(400, 401, 403, 500) },
+    },
+  },
+  "/api/cache/admin/audit-coords": {
+    get: {
+      tags: ["admin"],
+      security: admin,
+      summary: "Breaks whose coordinates look out of region",
+      responses: { 200: ok("Audit"), ...errors(401, 403, 500) },
+    },
+  },
+};
+
+export const openapiDocument = {
+  openapi: "3.1.0",
+  info: {
+    title: "CoreLord API",
+    version: "1.0.0",
+    description: "Surf forecasts, session planning and alerts.",
+  },
+  servers: [{ url: "/" }],
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" },
+      adminApiKey: { type: "apiKey", in: "header", name: "X-Api-Key" },
+    },
+    schemas,
+  },
+  paths: {
+    ...forecastPaths,
+    ...plannerPaths,
+    ...profilePaths,
+    ...sessionPaths,
+    ...cachePaths,
+  },
+};
@@ -0,0 +1,200 @@
+// openapi/validate.js
+import Ajv2020 from "ajv/dist/2020.js";
+import addFormats from "ajv-formats";
+import config from "../config/index.js";
+import { openapiDocument } from "./document.js";
+
+/**
+ * Request validation against openapi/document.js.
+ *
+ * Path params and query strings arrive as text, so they are checked on a
+ * coerced copy ("12" passes as an integer) and handlers keep parsing the raw
+ * values as before. Bodies are JSON and are checked as sent: a string maxWind
+ * is a 400, not a number. Unknown query keys and body properties are allowed.
+ *
+ * Failures answer 400 { message, errors: [{ location, field, message }] },
+ * one entry per failing field.
+ */
+
+const METHODS = ["get", "post", "put", "delete", "patch"];
+const COMPONENT_REF = "#/components/schemas/";
+
+const coercing = addFormats(new Ajv2020({ allErrors: true, allowUnionTypes: true, coerceTypes: true }));
+const strict = addFormats(new Ajv2020({ allErrors: true, allowUnionTypes: true }));
+
+// inline component refs; the forecast schema's $id/$schema only belong at its own root
+function deref(schema) {
+  if (Array.isArray(schema)) return schema.map(deref);
+  if (!schema || typeof schema !== "object") return schema;
+  if (typeof schema.$ref === "string" && schema.$ref.startsWith(COMPONENT_REF)) {
+    return deref(openapiDocument.components.schemas[schema.$ref.slice(COMPONENT_REF.length)]);
+  }
+  const out = {};
+  for (const [k, v] of Object.entries(schema)) {
+    if (k === "$id" || k === "$schema") continue;
+    out[k] = deref(v);
+  }
+  return out;
+}
+
+function paramsSchema(params) {
+  if (!params.length) return null;
+  return {
+    type: "object",
+    properties: Object.fromEntries(params.map((p) => [p.name, deref(p.schema || {})])),
+    required: params.filter((p) => p.required).map((p) => p.name),
+  };
+}
+
+// "/api/sessions/calendar/{token}.ics" -> /^\/api\/sessions\/calendar\/([^/]+)\.ics\/?$/
+function compilePath(template) {
+  const keys = [];
+  const source = template
+    .split(/(\{[^}]+\})/)
+    .map((part) => {
+      const m = /^\{([^}]+)\}$/.exec(part);
+      if (!m) return part.replace(/[.*+?^$()|[\]\\]/g, "\\$&");
+      keys.push(m[1]);
+      return "([^/]+?)";
+    })
+    .join("");
+  return { regex: new RegExp(`^${source}/?$`), keys };
+}
+
+function compileOperations(doc) {
+  const ops = [];
+  for (const [template, item] of Object.entries(doc.paths)) {
+    const { regex, keys } = compilePath(template);
+    for (const method of METHODS) {
+      const op = item[method];
+      if (!op) continue;
+      const params = op.parameters || [];
+      const path = paramsSchema(params.filter((p) => p.in === "path"));
+      const query = paramsSchema(params.filter((p) => p.in === "query"));
+      const body = op.requestBody?.content?.["application/json"]?.schema;
+      ops.push({
+        method: method.toUpperCase(),
+        template,
+        regex,
+        keys,
+        path: path && coercing.compile(path),
+        query: query && coercing.compile(query),
+        body: body && strict.compile(deref(body)),
+        responses: op.responses || {},
+      });
+    }
+  }
+  // literal routes win over templated ones (/alerts/push-key before /alerts/{id})
+  return ops.sort((a, b) => a.keys.length - b.keys.length);
+}
+
+const OPERATIONS = compileOperations(openapiDocument);
+
+function safeDecode(s) {
+  try {
+    return decodeURIComponent(s);
+  } catch {
+    return s;
+  }
+}
+
+export function findOperation(method, path) {
+  for (const op of OPERATIONS) {
+    if (op.method !== method) continue;
+    const m = op.regex.exec(path);
+    if (!m) continue;
+    const params = {};
+    op.keys.forEach((k, i) => (params[k] = safeDecode(m[i + 1])));
+    return { op, params };
+  }
+  return null;
+}
+
+function describe(err) {
+  switch (err.keyword) {
+    case "type":
+      return `must be ${[].concat(err.params.type).join(" or ")}`;
+    case "enum":
+      return `must be one of ${err.params.allowedValues.map(String).join(", ")}`;
+    case "required":
+      return "is required";
+    default:
+      return err.message;
+  }
+}
+
+function toFieldErrors(location, errors) {
+  const seen = new Set();
+  const out = [];
+  for (const err of errors || []) {
+    const segments = err.instancePath.split("/").slice(1).map((s) => s.replace(/~1/g, "/").replace(/~0/g, "~"));
+    if (err.keyword === "required") segments.push(err.params.missingProperty);
+    const field = segments.join(".");
+    const key = `${location}:${field}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push({ location, field, message: describe(err) });
+  }
+  return out;
+}
+
+/**
+ * Validate a request against the document. Returns the field errors,
+ * empty when the request is fine or the route isn't described.
+ */
+export function validateAgainstDocument({ method, path, query = {}, body }) {
+  const found = findOperation(method, path);
+  if (!found) return [];
+  const { op, params } = found;
+  const errors = [];
+
+  if (op.path && !op.path({ ...params })) errors.push(...toFieldErrors("path", op.path.errors));
+  if (op.query && !op.query(structuredClone(query))) errors.push(...toFieldErrors("query", op.query.errors));
+  // express.json() leaves {} when nothing was sent, so a missing body fails on its required fields
+  if (op.body && !op.body(body ?? {})) errors.push(...toFieldErrors("body", op.body.errors));
+  return errors;
+}
+
+/**
+ * Router middleware: router.use(validateRequest) after any auth middleware,
+ * so unauthenticated callers still get 401 rather than a list of fields.
+ */
+export function validateRequest(req, res, next) {
+  const errors = validateAgainstDocument({
+    method: req.method,
+    path: req.baseUrl + req.path,
+    query: req.query,
+    body: req.body,
+  });
+  if (errors.length) return res.status(400).json({ message: "Invalid request", errors });
+  if (config.openapi.validateResponses) checkResponses(req, res);
+  next();
+}
+
+const responseValidators = new Map();
+
+function responseValidator(op, status) {
+  const key = `${op.method} ${op.template} ${status}`;
+  if (!responseValidators.has(key)) {
+    const schema = op.responses[status]?.content?.["application/json"]?.schema;
+    responseValidators.set(key, schema ? strict.compile(deref(schema)) : null);
+  }
+  return responseValidators.get(key);
+}
+
+// development aid: log (never block) JSON responses that drift from the document
+function checkResponses(req, res) {
+  const found = findOperation(req.method, req.baseUrl + req.path);
+  if (!found) return;
+  const json = res.json.bind(res);
+  res.json = (payload) => {
+    const validate = responseValidator(found.op, res.statusCode);
+    if (validate && !validate(payload)) {
+      console.warn(
+        `[OpenAPI] ${req.method} ${found.op.template} ${res.statusCode} response does not match:`,
+        toFieldErrors("response", validate.errors)
+      );
+    }
+    return json(payload);
+  };
+}
@@ -0,0 +1,59 @@
+// providers/common.js
+import fetch from "node-fetch";
+
+/**
+ * Error raised by a forecast provider. `status` carries the upstream HTTP
+ * status when there was one, so callers can decide whether to fall back.
+ */
+export class ProviderError extends Error {
+  constructor(provider, message, status = null) {
+    super(message);
+    this.name = "ProviderError";
+    this.provider = provider;
+    this.status = status;
+  }
+}
+
+export function getTimeRange(hours) {
+  const now = new Date();
+  const end = new Date(now.getTime() + hours * 60 * 60 * 1000);
+  return { start: now.toISOString(), end: end.toISOString() };
+}
+
+// integer hour in epoch-hours, used to line up records from different feeds
+export function hourEpochOf(time) {
+  const ts = +new Date(time);
+  if (Number.isNaN(ts)) return null;
+  return Math.floor(ts / 3600000);
+}
+
+/**
+ * GET a JSON document with a hard timeout. Non-2xx responses and aborts are
+ * raised as ProviderError so the registry can treat every adapter the same.
+ */
+export async function fetchJson(provider, url, { headers = {}, timeoutMs = 15000 } = {}) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const response = await fetch(url, { headers, signal: controller.signal });
+    const text = await response.text();
+    if (!response.ok) {
+      throw new ProviderError(
+        provider,
+        `${provider} error ${response.status}: ${text.slice(0, 200)}`,
+        response.status
+      );
+    }
+    try {
+      return JSON.parse(text);
+    } catch {
+      throw new ProviderError(provider, `${provider} returned invalid JSON`);
+    }
+  } catch (err) {
+    if (err instanceof ProviderError) throw err;
+    throw new ProviderError(provider, `${provider} fetch failed: ${err.message}`);
+  } finally {
+    clearTimeout(timeout);
+  }
+}
@@ -0,0 +1,107 @@
+// providers/fixture.js
+import fs from "fs-extra";
+import path from "path";
+import { fileURLToPath } from "url";
+import config from "../config/index.js";
+import { hourEpochOf } from "./common.js";
+
+const SOURCE = "fixture";
+const DEFAULT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "data", "fixtures");
+
+/**
+ * Directory offline fixtures are read from. Also the only place observation
+ * feeds may be read from disk.
+ */
+export function fixtureDir() {
+  return config.forecast.fixtureDir || DEFAULT_DIR;
+}
+
+/**
+ * Optional recorded payload at <dir>/forecast-<breakId>.json. It may be a raw
+ * Stormglass response or a previously normalized payload, both have hours[].
+ */
+async function readFixture(brk) {
+  const file = path.join(fixtureDir(), `forecast-${brk.Id}.json`);
+  if (!(await fs.pathExists(file))) return null;
+  const json = await fs.readJson(file);
+  return Array.isArray(json?.hours) ? json : null;
+}
+
+// deterministic pseudo-phase per break so neighbouring breaks differ a little
+function phaseFor(brk) {
+  return ((Number(brk.Latitude) || 0) * 7 + (Number(brk.Longitude) || 0) * 3) % (2 * Math.PI);
+}
+
+function synthesize(brk, hours) {
+  const firstHour = Math.floor(Date.now() / 3600000);
+  const phase = phaseFor(brk);
+  const records = [];
+
+  for (let i = 0; i < hours; i++) {
+    const h = firstHour + i;
+    const day = (2 * Math.PI * h) / 24;
+    const week = (2 * Math.PI * h) / 96;
+    const swell = 1.2 + 0.6 * Math.sin(week + phase);
+    const v = (x) => ({ [SOURCE]: Math.round(x * 100) / 100 });
+
+    records.push({
+      time: new Date(h * 3600000).toISOString(),
+      waveHeight: v(swell * 1.1),
+      swellHeight: v(swell),
+      swellPeriod: v(11 + 2 * Math.sin(week + phase + 1)),
+      swellDirection: v((250 + 30 * Math.sin(week / 2 + phase) + 360) % 360),
+      secondarySwellHeight: v(0.4 + 0.3 * Math.sin(week + phase + 2)),
+      secondarySwellPeriod: v(8 + Math.sin(week + phase)),
+      secondarySwellDirection: v((315 + 20 * Math.sin(week + phase) + 360) % 360),
+      windWaveHeight: v(0.2 + 0.05 * (4 + 3 * Math.sin(day + phase))),
+      windWavePeriod: v(4 + Math.sin(day + phase)),
+      windWaveDirection: v((90 + 120 * Math.sin(day / 2 + phase) + 360) % 360),
+      windSpeed: v(4 + 3 * Math.sin(day + phase)),
+      windDirection: v((90 + 120 * Math.sin(day / 2 + phase) + 360) % 360),
+      waterTemperature: v(17 + 0.5 * Math.sin(day)),
+    });
+  }
+  return records;
+}
+
+/**
+ * Offline provider for tests and local runs. Serves a recorded fixture when
+ * one exists for the break, otherwise a smooth synthetic week.
+ */
+async function fetchForecast(brk, hours) {
+  const recorded = await readFixture(brk);
+  if (recorded) {
+    return { hours: recorded.hours.slice(0, hours), meta: recorded.meta || null };
+  }
+  return { hours: synthesize(brk, hours), meta: { synthetic: true } };
+}
+
+async function fetchTide(brk, hours) {
+  const result = new Map();
+  const recorded = await readFixture(brk);
+  if (recorded) {
+    for (const h of recorded.hours) {
+      const hourEpoch = hourEpochOf(h.time);
+      if (hourEpoch != null && typeof h.tideHeight === "number") {
+        result.set(hourEpoch, h.tideHeight);
+      }
+    }
+    return result;
+  }
+
+  // simple semidiurnal curve, ~12.42h period
+  const firstHour = Math.floor(Date.now() / 3600000);
+  const phase = phaseFor(brk);
+  for (let i = 0; i < hours; i++) {
+    const h = firstHour + i;
+    result.set(h, Math.round(0.9 * Math.sin((2 * Math.PI * h) / 12.42 + phase) * 100) / 100);
+  }
+  return result;
+}
+
+export default {
+  name: "fixture",
+  source: SOURCE,
+  fetchForecast,
+  fetchTide,
+};
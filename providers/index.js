@@ -0,0 +1,191 @@
+// providers/index.js
+import stormglass from "./stormglass.js";
+import openMeteo from "./openMeteo.js";
+import fixture from "./fixture.js";
+import config from "../config/index.js";
+import { ProviderError, hourEpochOf } from "./common.js";
+import { deriveExtremes, tideMapFromHours } from "../forecast/tides.js";
+import { predictTideHours } from "../forecast/harmonics.js";
+
+/**
+ * Forecast provider registry.
+ *
+ * Every provider exposes:
+ *   name                      registry key
+ *   source                    the source key its values are stored under
+ *   fetchForecast(brk, hours) -> { hours: [record], meta }
+ *   fetchTide(brk, hours)     -> Map(hourEpoch -> metres), never throws
+ *   fetchTideExtremes(brk, hours) optional -> [{ time, heightM, type }] or null
+ *   isConfigured()            optional -> false when it can't be called (no API key)
+ *
+ * A normalized hourly record is the Stormglass shape:
+ *   { time: ISO, waveHeight: { <source>: m }, windSpeed: { <source>: m/s }, ... }
+ *
+ * Selection order: explicit override, then dbo.SurfBreaks.ForecastProvider,
+ * then FORECAST_PROVIDERS (comma list, default "stormglass,openmeteo").
+ *
+ * Column expected:
+ * ALTER TABLE dbo.SurfBreaks ADD ForecastProvider NVARCHAR(32) NULL;
+ */
+const PROVIDERS = new Map(
+  [stormglass, openMeteo, fixture].map((p) => [p.name, p])
+);
+
+const DEFAULT_CHAIN = ["stormglass", "openmeteo"];
+
+// statuses that mean "this source can't serve us right now, try the next one"
+const FALLBACK_STATUSES = new Set([402, 429, 500, 502, 503, 504]);
+
+export function getProvider(name) {
+  return PROVIDERS.get(String(name || "").trim().toLowerCase()) || null;
+}
+
+export function listProviders() {
+  return [...PROVIDERS.keys()];
+}
+
+function configuredChain() {
+  const names = config.forecast.providers;
+  if (!names?.length) return DEFAULT_CHAIN;
+  return names.map((s) => s.toLowerCase());
+}
+
+/**
+ * Ordered, de-duplicated list of providers to try for a break.
+ */
+export function providerChainFor(brk, override = null) {
+  const names = [override, brk?.ForecastProvider, ...configuredChain()]
+    .filter(Boolean)
+    .map((n) => String(n).trim().toLowerCase());
+
+  const chain = [];
+  for (const name of new Set(names)) {
+    const provider = getProvider(name);
+    if (!provider) {
+      console.warn(`[Providers] Unknown provider "${name}" ignored`);
+      continue;
+    }
+    if (provider.isConfigured && !provider.isConfigured()) {
+      console.warn(`[Providers] ${name} is not configured, skipped`);
+      continue;
+    }
+    chain.push(provider);
+  }
+  if (chain.length === 0) throw new Error("No forecast provider configured");
+  return chain;
+}
+
+function shouldFallBack(err) {
+  if (!(err instanceof ProviderError)) return false;
+  // null status = network failure or timeout
+  return err.status == null || FALLBACK_STATUSES.has(err.status);
+}
+
+/**
+ * Mutates forecastJson by writing tideHeight (m) onto each hours[] entry,
+ * using the hour-average from tideMap. tideSource records where it came from:
+ * "model" for a provider's tide model, "harmonic" for the local predictor.
+ * Hours that already have a tide are left alone.
+ */
+export function mergeTideIntoForecast(forecastJson, tideMap, tideSource = "model") {
+  if (!forecastJson || !Array.isArray(forecastJson.hours) || tideMap.size === 0)
+    return;
+
+  for (const h of forecastJson.hours) {
+    if (typeof h.tideHeight === "number") continue;
+    const height = tideMap.get(hourEpochOf(h.time));
+    if (typeof height === "number") {
+      h.tideHeight = height; // <— this is what forecast.js will read
+      h.tideSource = tideSource;
+    }
+  }
+}
+
+/**
+ * Hours the provider left without tide, predicted from the break's
+ * constituents. Covers a failed tide call and hours past the provider's range.
+ */
+function fillTideFromHarmonics(forecastJson, tideModel) {
+  const missing = forecastJson.hours
+    .filter((h) => typeof h.tideHeight !== "number")
+    .map((h) => hourEpochOf(h.time))
+    .filter((h) => h != null);
+  if (!tideModel || missing.length === 0) return;
+
+  const first = Math.min(...missing);
+  const span = Math.max(...missing) - first + 1;
+  mergeTideIntoForecast(forecastJson, predictTideHours(tideModel, first, span), "harmonic");
+}
+
+/**
+ * Provider extremes, extended with turning points of the merged curve past
+ * the last provider event (e.g. harmonic hours beyond the provider's range).
+ */
+function combineExtremes(providerExtremes, forecastJson) {
+  const derived = deriveExtremes(tideMapFromHours(forecastJson.hours));
+  if (!providerExtremes || providerExtremes.length === 0) return derived;
+
+  const lastMs = Math.max(...providerExtremes.map((e) => +new Date(e.time)));
+  // an hour of slack so a derived copy of the last provider event is dropped
+  const later = derived.filter((e) => +new Date(e.time) > lastMs + 3600000);
+  return [...providerExtremes, ...later];
+}
+
+/**
+ * Fetch a normalized forecast for a break, walking the provider chain when a
+ * provider is out of quota or down, then merge tide and tide extremes from
+ * the provider that answered. Hours still without tide are filled from the
+ * break's harmonic model when one is given. Returns the payload that gets
+ * stored in dbo.ForecastCache.
+ */
+export async function buildForecast(brk, hours, { provider = null, tideModel = null } = {}) {
+  const chain = providerChainFor(brk, provider);
+  const failures = [];
+
+  for (const p of chain) {
+    let json;
+    try {
+      json = await p.fetchForecast(brk, hours);
+    } catch (err) {
+      failures.push({ provider: p.name, status: err.status ?? null, message: err.message });
+      if (shouldFallBack(err)) {
+        console.warn(`[Providers] ${p.name} unavailable (${err.status ?? "network"}), trying next`);
+        continue;
+      }
+      throw err;
+    }
+
+    const tideByHour = await p.fetchTide(brk, hours);
+    mergeTideIntoForecast(json, tideByHour, "model");
+    fillTideFromHarmonics(json, tideModel);
+
+    // provider extremes when offered, else turning points of the hourly curve
+    const extremes = p.fetchTideExtremes ? await p.fetchTideExtremes(brk, hours) : null;
+    json.tideExtremes = combineExtremes(extremes, json);
+
+    // optional: small meta to help debugging
+    json._tideMeta = {
+      integrated: true,
+      hoursWithTide: json.hours.filter((x) => typeof x.tideHeight === "number").length,
+      hoursHarmonic: json.hours.filter((x) => x.tideSource === "harmonic").length,
+      extremes: json.tideExtremes.length,
+      extremesSource: extremes && extremes.length ? p.name : "derived",
+    };
+
+    json._provider = {
+      name: p.name,
+      source: p.source,
+      fallbackFrom: failures.map((f) => f.provider),
+    };
+    return json;
+  }
+
+  const last = failures[failures.length - 1];
+  throw new ProviderError(
+    last?.provider || "none",
+    `All forecast providers failed: ${failures.map((f) => `${f.provider} (${f.status ?? "network"})`).join(", ")}`,
+    last?.status ?? null
+  );
+}
+
+export { ProviderError };
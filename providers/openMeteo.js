@@ -0,0 +1,136 @@
+// providers/openMeteo.js
+import { ProviderError, fetchJson, hourEpochOf } from "./common.js";
+
+const SOURCE = "openmeteo";
+
+// Open-Meteo hourly variable -> normalized param name
+const MARINE_VARS = {
+  wave_height: "waveHeight",
+  swell_wave_height: "swellHeight",
+  swell_wave_direction: "swellDirection",
+  swell_wave_period: "swellPeriod",
+  secondary_swell_wave_height: "secondarySwellHeight",
+  secondary_swell_wave_direction: "secondarySwellDirection",
+  secondary_swell_wave_period: "secondarySwellPeriod",
+  wind_wave_height: "windWaveHeight",
+  wind_wave_direction: "windWaveDirection",
+  wind_wave_period: "windWavePeriod",
+  sea_surface_temperature: "waterTemperature",
+};
+
+const WEATHER_VARS = {
+  wind_speed_10m: "windSpeed", // requested in m/s to match Stormglass
+  wind_direction_10m: "windDirection",
+};
+
+function forecastDays(hours) {
+  // marine API tops out at 16 days
+  return Math.max(1, Math.min(16, Math.ceil(hours / 24) + 1));
+}
+
+function buildUrl(base, brk, vars, hours, extra = {}) {
+  const params = new URLSearchParams({
+    latitude: String(brk.Latitude),
+    longitude: String(brk.Longitude),
+    hourly: Object.keys(vars).join(","),
+    timezone: "GMT",
+    forecast_days: String(forecastDays(hours)),
+    ...extra,
+  });
+  return `${base}?${params.toString()}`;
+}
+
+// Open-Meteo returns column arrays with naive GMT timestamps ("2025-01-01T00:00")
+function columnsByHour(hourly, vars) {
+  const out = new Map(); // hourEpoch -> { param: value }
+  const times = Array.isArray(hourly?.time) ? hourly.time : [];
+  times.forEach((t, i) => {
+    const hourEpoch = hourEpochOf(`${t}Z`);
+    if (hourEpoch == null) return;
+    const row = out.get(hourEpoch) || {};
+    for (const [omKey, param] of Object.entries(vars)) {
+      const v = hourly[omKey]?.[i];
+      if (typeof v === "number") row[param] = v;
+    }
+    out.set(hourEpoch, row);
+  });
+  return out;
+}
+
+/**
+ * Marine variables come from the marine endpoint and wind from the regular
+ * forecast endpoint. Both are merged per hour into the Stormglass-style
+ * record, keyed under the "openmeteo" source.
+ */
+async function fetchForecast(brk, hours) {
+  const marine = await fetchJson(
+    "openmeteo",
+    buildUrl("https://marine-api.open-meteo.com/v1/marine", brk, MARINE_VARS, hours)
+  );
+
+  let weather = null;
+  try {
+    weather = await fetchJson(
+      "openmeteo",
+      buildUrl("https://api.open-meteo.com/v1/forecast", brk, WEATHER_VARS, hours, {
+        wind_speed_unit: "ms",
+      })
+    );
+  } catch (err) {
+    // marine data alone is still useful, wind just stays empty
+    console.warn(`[Open-Meteo] wind fetch failed: ${err.message}`);
+  }
+
+  const marineRows = columnsByHour(marine?.hourly, MARINE_VARS);
+  if (marineRows.size === 0) {
+    throw new ProviderError("openmeteo", "Open-Meteo marine response has no hourly data");
+  }
+  const windRows = columnsByHour(weather?.hourly, WEATHER_VARS);
+
+  const firstHour = Math.floor(Date.now() / 3600000);
+  const lastHour = firstHour + hours;
+
+  const records = [];
+  for (const [hourEpoch, row] of [...marineRows.entries()].sort((a, b) => a[0] - b[0])) {
+    if (hourEpoch < firstHour || hourEpoch >= lastHour) continue;
+
+    const record = { time: new Date(hourEpoch * 3600000).toISOString() };
+    const merged = { ...row, ...(windRows.get(hourEpoch) || {}) };
+    for (const [param, value] of Object.entries(merged)) {
+      record[param] = { [SOURCE]: value };
+    }
+    records.push(record);
+  }
+
+  console.log(`[Open-Meteo] Received ${records.length} records`);
+  return { hours: records, meta: { lat: brk.Latitude, lng: brk.Longitude } };
+}
+
+/**
+ * Sea level relative to mean sea level, hourly. Same contract as the
+ * Stormglass adapter: a map of hour epoch -> metres, empty on failure.
+ */
+async function fetchTide(brk, hours) {
+  const vars = { sea_level_height_msl: "tideHeight" };
+  try {
+    const json = await fetchJson(
+      "openmeteo",
+      buildUrl("https://marine-api.open-meteo.com/v1/marine", brk, vars, hours)
+    );
+    const result = new Map();
+    for (const [hourEpoch, row] of columnsByHour(json?.hourly, vars)) {
+      if (typeof row.tideHeight === "number") result.set(hourEpoch, row.tideHeight);
+    }
+    return result;
+  } catch (err) {
+    console.warn(`[Open-Meteo Tide] ${err.message}`);
+    return new Map();
+  }
+}
+
+export default {
+  name: "openmeteo",
+  source: SOURCE,
+  fetchForecast,
+  fetchTide,
+};
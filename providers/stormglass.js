@@ -0,0 +1,134 @@
+// providers/stormglass.js
+import config from "../config/index.js";
+import { ProviderError, fetchJson, getTimeRange, hourEpochOf } from "./common.js";
+
+export const STORMGLASS_PARAMS = [
+  "waveHeight",
+  "windSpeed",
+  "windDirection",
+  "waterTemperature",
+  "swellHeight",
+  "swellDirection",
+  "swellPeriod",
+  "secondarySwellHeight",
+  "secondarySwellDirection",
+  "secondarySwellPeriod",
+  "windWaveHeight",
+  "windWaveDirection",
+  "windWavePeriod",
+];
+
+// without a key every call is a 401, so the chain skips this provider
+function isConfigured() {
+  return !!config.forecast.stormglassApiKey;
+}
+
+function authHeaders() {
+  return { Authorization: config.forecast.stormglassApiKey };
+}
+
+/**
+ * Stormglass already returns the normalized shape: one record per hour with
+ * every param keyed by source (noaa, sg, icon ...), so we pass it through.
+ */
+async function fetchForecast(brk, hours) {
+  const { start, end } = getTimeRange(hours);
+  const url = `https://api.stormglass.io/v2/weather/point?lat=${brk.Latitude}&lng=${brk.Longitude}&params=${STORMGLASS_PARAMS.join(
+    ","
+  )}&start=${start}&end=${end}`;
+
+  let parsed;
+  try {
+    parsed = await fetchJson("stormglass", url, { headers: authHeaders() });
+  } catch (err) {
+    console.error(`[Stormglass] ${err.message}`);
+    throw err;
+  }
+
+  if (!Array.isArray(parsed?.hours)) {
+    throw new ProviderError("stormglass", "Stormglass response missing hours array");
+  }
+  console.log(`[Stormglass] Received ${parsed.hours.length} records`);
+
+  return {
+    hours: parsed.hours,
+    meta: parsed.meta || null,
+  };
+}
+
+/**
+ * Fetch tide (sea level) data and return a map keyed by UTC hour epoch
+ * (ms/3600000), where the value is the average tide height (m) for that hour.
+ * Never throws: an unavailable tide endpoint should not fail the whole run.
+ */
+async function fetchTide(brk, hours) {
+  const { start, end } = getTimeRange(hours);
+  // prefer NOAA where available, fall back to sg aggregate
+  const url = `https://api.stormglass.io/v2/tide/sea-level/point?lat=${brk.Latitude}&lng=${brk.Longitude}&start=${start}&end=${end}&source=noaa`;
+
+  let data;
+  try {
+    data = (await fetchJson("stormglass", url, { headers: authHeaders() }))?.data || [];
+  } catch (err) {
+    console.warn(`[Stormglass Tide] ${err.message}`);
+    return new Map();
+  }
+  if (!Array.isArray(data) || data.length === 0) return new Map();
+
+  // bucket all samples into hour-average
+  const buckets = new Map(); // hourEpoch -> { sum, count }
+  for (const row of data) {
+    const hourEpoch = hourEpochOf(row.time);
+    if (hourEpoch == null) continue;
+
+    const height =
+      typeof row.noaa === "number"
+        ? row.noaa
+        : typeof row.sg === "number"
+        ? row.sg
+        : null;
+    if (height == null) continue;
+
+    const acc = buckets.get(hourEpoch) || { sum: 0, count: 0 };
+    acc.sum += height;
+    acc.count += 1;
+    buckets.set(hourEpoch, acc);
+  }
+
+  // convert to hour -> average height
+  const result = new Map();
+  for (const [hourEpoch, { sum, count }] of buckets.entries()) {
+    result.set(hourEpoch, sum / Math.max(1, count));
+  }
+  return result;
+}
+
+/**
+ * High/low tide events from the extremes endpoint as
+ * [{ time, heightM, type }]. Returns null on failure so the caller can derive
+ * them from the sea-level curve instead.
+ */
+async function fetchTideExtremes(brk, hours) {
+  const { start, end } = getTimeRange(hours);
+  const url = `https://api.stormglass.io/v2/tide/extremes/point?lat=${brk.Latitude}&lng=${brk.Longitude}&start=${start}&end=${end}`;
+
+  try {
+    const data = (await fetchJson("stormglass", url, { headers: authHeaders() }))?.data;
+    if (!Array.isArray(data)) return null;
+    return data
+      .filter((row) => typeof row.height === "number" && (row.type === "high" || row.type === "low"))
+      .map((row) => ({ time: new Date(row.time).toISOString(), heightM: row.height, type: row.type }));
+  } catch (err) {
+    console.warn(`[Stormglass Tide Extremes] ${err.message}`);
+    return null;
+  }
+}
+
+export default {
+  name: "stormglass",
+  source: "noaa",
+  isConfigured,
+  fetchForecast,
+  fetchTide,
+  fetchTideExtremes,
+};
@@ -1,22 +1,35 @@
 // routes/cache.js
 import express from "express";
-import { sql, poolPromise } from "../db.js";
 import fetch from "node-fetch";
-
+import { getProvider } from "../providers/index.js";
+import { SUPPORTED_CONSTITUENTS } from "../forecast/harmonics.js";
+import {
+  getBreakById,
+  listBreaksMissingCoords,
+  listBreaksWithCoords,
+  updateBreakCoords,
+} from "../services/breaks.js";
+import { refreshForecast } from "../services/forecastRefresh.js";
+import { replaceTideConstituents } from "../services/tideConstituents.js";
+import { runRetention } from "../services/retention.js";
+import { verifyBreak } from "../services/accuracy.js";
+import { evaluateAlerts } from "../services/alerts.js";
+import {
+  getStationById,
+  ingestStation,
+  listStationsForBreak,
+  registerStation,
+} from "../services/observations.js";
+import { OBSERVATION_FORMATS, checkFeedLocation, distanceKm } from "../observations/index.js";
+import { validateRequest } from "../openapi/validate.js";
+import requireAdmin, { auditAdmin } from "../auth/requireAdmin.js";
+import { listAudit } from "../services/audit.js";
+
+// every route here spends provider quota or rewrites data: admin role or API key only
 const router = express.Router();
+router.use(requireAdmin, auditAdmin);
+router.use(validateRequest);
 
-const STORMGLASS_PARAMS = [
-  "waveHeight",
-  "windSpeed",
-  "windDirection",
-  "waterTemperature",
-  "swellHeight",
-  "swellDirection",
-  "swellPeriod",
-];
-
-const API_BASE =
-  "https://corelord-backend-etgpd9dfdufragfb.westeurope-01.azurewebsites.net";
 const HOURS = 168;
 
 // daily call budget
@@ -25,194 +38,6 @@ const MAX_CALLS_PER_RUN = 10;
 // rotation seed. changing this shifts the daily grouping
 const ROTATION_EPOCH_UTC = Date.UTC(2025, 0, 1); // 1 Jan 2025
 
-function getTimeRange(hours) {
-  const now = new Date();
-  const end = new Date(now.getTime() + hours * 60 * 60 * 1000);
-  return { start: now.toISOString(), end: end.toISOString() };
-}
-
-async function getBreakById(breakId) {
-  const pool = await poolPromise;
-  const result = await pool
-    .request()
-    .input("id", sql.Int, breakId).query(`
-      SELECT TOP 1 Id, Name, Region, Latitude, Longitude
-      FROM dbo.SurfBreaks
-      WHERE Id = @id
-    `);
-  return result.recordset[0] || null;
-}
-
-async function getAllBreaksWithCoords() {
-  const pool = await poolPromise;
-  const result = await pool.request().query(`
-    SELECT Id, Name, Region, Latitude, Longitude
-    FROM dbo.SurfBreaks
-    WHERE Latitude IS NOT NULL AND Longitude IS NOT NULL
-    ORDER BY Id
-  `);
-  return result.recordset;
-}
-
-async function getAllBreaksMissingCoords() {
-  const pool = await poolPromise;
-  const result = await pool.request().query(`
-    SELECT Id, Name, Region
-    FROM dbo.SurfBreaks
-    WHERE Latitude IS NULL OR Longitude IS NULL
-    ORDER BY Id
-  `);
-  return result.recordset;
-}
-
-async function updateBreakCoords(id, lat, lng) {
-  const pool = await poolPromise;
-  await pool
-    .request()
-    .input("id", sql.Int, id)
-    .input("lat", sql.Float, lat)
-    .input("lng", sql.Float, lng).query(`
-      UPDATE dbo.SurfBreaks
-      SET Latitude = @lat, Longitude = @lng
-      WHERE Id = @id
-    `);
-}
-
-async function storeCachedForecast(breakId, hours, json) {
-  const pool = await poolPromise;
-  const jsonString = JSON.stringify(json);
-  console.log(
-    `[SQL] Storing forecast: BreakId=${breakId}, Size=${jsonString.length}, Hours=${hours}`
-  );
-  await pool
-    .request()
-    .input("BreakId", sql.Int, breakId)
-    .input("Hours", sql.Int, hours)
-    .input("DataJson", sql.NVarChar(sql.MAX), jsonString).query(`
-      INSERT INTO dbo.ForecastCache (BreakId, Hours, DataJson)
-      VALUES (@BreakId, @Hours, @DataJson)
-    `);
-}
-
-async function fetchStormglassData(lat, lng, hours) {
-  const { start, end } = getTimeRange(hours);
-  const url = `https://api.stormglass.io/v2/weather/point?lat=${lat}&lng=${lng}&params=${STORMGLASS_PARAMS.join(
-    ","
-  )}&start=${start}&end=${end}`;
-
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), 15000);
-
-  try {
-    const response = await fetch(url, {
-      headers: { Authorization: process.env.STORMGLASS_API_KEY },
-      signal: controller.signal,
-    });
-
-    const text = await response.text();
-    if (!response.ok) {
-      console.error(`[Stormglass] Error ${response.status}: ${text}`);
-      throw new Error(`Stormglass error ${response.status}`);
-    }
-
-    const parsed = JSON.parse(text);
-    console.log(`[Stormglass] Received ${parsed.hours?.length || 0} records`);
-    return parsed;
-  } finally {
-    clearTimeout(timeout);
-  }
-}
-
-/* -------------------- NEW: Tide support -------------------- */
-
-/**
- * Fetch tide (sea level) data from Stormglass and return a map keyed by UTC hour
- * epoch (ms/3600000), where the value is the average tide height (m) for that hour.
- */
-async function fetchTideData(lat, lng, hours) {
-  const { start, end } = getTimeRange(hours);
-  // prefer NOAA where available, fall back to sg aggregate
-  const url = `https://api.stormglass.io/v2/tide/sea-level/point?lat=${lat}&lng=${lng}&start=${start}&end=${end}&source=noaa`;
-
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), 15000);
-
-  try {
-    const res = await fetch(url, {
-      headers: { Authorization: process.env.STORMGLASS_API_KEY },
-      signal: controller.signal,
-    });
-
-    const text = await res.text();
-    if (!res.ok) {
-      console.warn(`[Stormglass Tide] ${res.status}: ${text}`);
-      return new Map(); // don’t fail the whole run if tide endpoint is unavailable
-    }
-
-    const data = JSON.parse(text)?.data || [];
-    if (!Array.isArray(data) || data.length === 0) return new Map();
-
-    // bucket all samples into hour-average
-    const buckets = new Map(); // hourEpoch -> { sum, count }
-    for (const row of data) {
-      const ts = +new Date(row.time);
-      if (Number.isNaN(ts)) continue;
-
-      const hourEpoch = Math.floor(ts / 3600000); // integer hour in epoch-hours
-      const height =
-        typeof row.noaa === "number"
-          ? row.noaa
-          : typeof row.sg === "number"
-          ? row.sg
-          : null;
-      if (height == null) continue;
-
-      const acc = buckets.get(hourEpoch) || { sum: 0, count: 0 };
-      acc.sum += height;
-      acc.count += 1;
-      buckets.set(hourEpoch, acc);
-    }
-
-    // convert to hour -> average height
-    const result = new Map();
-    for (const [hourEpoch, { sum, count }] of buckets.entries()) {
-      result.set(hourEpoch, sum / Math.max(1, count));
-    }
-    return result;
-  } catch (e) {
-    console.warn(`[Stormglass Tide] fetch failed: ${e.message}`);
-    return new Map();
-  } finally {
-    clearTimeout(timeout);
-  }
-}
-
-/**
- * Mutates forecastJson by writing tideHeight (m) onto each hours[] entry,
- * using the hour-average from tideMap.
- */
-function mergeTideIntoForecast(forecastJson, tideMap) {
-  if (!forecastJson || !Array.isArray(forecastJson.hours) || tideMap.size === 0)
-    return;
-
-  for (const h of forecastJson.hours) {
-    const ts = +new Date(h.time);
-    const hourEpoch = Math.floor(ts / 3600000);
-    const height = tideMap.get(hourEpoch);
-    if (typeof height === "number") {
-      h.tideHeight = height; // <— this is what forecast.js will read
-    }
-  }
-
-  // optional: small meta to help debugging
-  forecastJson._tideMeta = {
-    integrated: true,
-    hoursWithTide: forecastJson.hours.filter((x) => typeof x.tideHeight === "number").length,
-  };
-}
-
-/* ----------------------------------------------------------- */
-
 /**
  * Region helpers for safer geocoding
  * countryCodeFor returns a two letter code when we can
@@ -380,22 +205,13 @@ router.get("/daily", async (req, res) => {
       return res.status(400).json({ message: "Break has no coordinates" });
     }
 
-    console.log(`[Daily] Fetching forecast for ${brk.Name} (${brk.Id})`);
-    const json = await fetchStormglassData(brk.Latitude, brk.Longitude, hours);
-
-    // NEW: fetch tide and merge into forecast JSON (non-fatal if tide unavailable)
-    const tideByHour = await fetchTideData(brk.Latitude, brk.Longitude, hours);
-    mergeTideIntoForecast(json, tideByHour);
-
-    await storeCachedForecast(breakId, hours, json);
+    const provider = req.query.provider ? String(req.query.provider) : null;
+    if (provider && !getProvider(provider)) {
+      return res.status(400).json({ message: `unknown provider ${provider}` });
+    }
 
-    const items = json.hours || [];
-    console.log(
-      `[Daily] Stored ${items.length} hours for ${brk.Name} (tide matched=${json._tideMeta?.hoursWithTide || 0})`
-    );
-    return res
-      .status(200)
-      .json({ message: "cached", break: brk.Name, hours: items.length });
+    const result = await refreshForecast(brk, { hours, provider });
+    return res.status(200).json({ message: "cached", ...result });
   } catch (err) {
     console.error("[GET /api/cache/daily] Error:", err.message);
     return res.status(500).json({ message: "Cache failed", detail: err.message });
@@ -410,8 +226,12 @@ router.get("/daily", async (req, res) => {
  */
 router.get("/daily-batch", async (req, res) => {
   try {
-    const all = await getAllBreaksWithCoords();
+    const all = await listBreaksWithCoords();
     const total = all.length;
+    // the rotation below is modulo total
+    if (total === 0) {
+      return res.json({ status: "ok", processed: 0, total, offset: 0, max: 0, results: [] });
+    }
 
     const max = Math.max(
       1,
@@ -430,38 +250,23 @@ router.get("/daily-batch", async (req, res) => {
     const results = [];
     for (const brk of selected) {
       console.log(`[Batch] Processing ${brk.Name} (${brk.Id})`);
-      const url = `${API_BASE}/api/cache/daily?breakId=${brk.Id}`;
-
-      const controller = new AbortController();
-      const timeout = setTimeout(() => controller.abort(), 20000);
-
       try {
-        const response = await fetch(url, { signal: controller.signal });
-        const text = await response.text();
-        clearTimeout(timeout);
-
-        let json;
-        try {
-          json = JSON.parse(text);
-        } catch {
-          throw new Error(`Invalid JSON returned: ${text.slice(0, 120)}`);
-        }
-
+        const result = await refreshForecast(brk, { hours: HOURS });
         results.push({
           break: brk.Name,
           region: brk.Region,
-          status: response.status,
-          message: json.message || null,
-          error: json.detail || null,
+          status: 200,
+          message: "cached",
+          error: null,
+          provider: result.provider,
         });
       } catch (err) {
-        clearTimeout(timeout);
         console.error(`[Batch] ${brk.Name} failed: ${err.message}`);
         results.push({
           break: brk.Name,
           region: brk.Region,
           status: 500,
-          message: "Fetch failed",
+          message: "Cache failed",
           error: err.message,
         });
       }
@@ -492,7 +297,7 @@ router.get("/daily-batch", async (req, res) => {
  */
 router.post("/admin/geocode-missing", async (_req, res) => {
   try {
-    const missing = await getAllBreaksMissingCoords();
+    const missing = await listBreaksMissingCoords();
     const updates = [];
 
     for (const brk of missing) {
@@ -528,33 +333,256 @@ router.post("/admin/geocode-missing", async (_req, res) => {
   }
 });
 
+/**
+ * Admin. Replace the harmonic tide constituents for a break.
+ * Body: { breakId, datumM?, constituents: [{ name: "M2", amplitudeM, phaseDeg }] }
+ * datumM is stored as the Z0 row (mean level above the tide datum).
+ * Each constituent may appear once; repeats are a 400, not a key violation.
+ */
+router.post("/admin/tide-constituents", async (req, res) => {
+  try {
+    const { breakId, datumM, constituents } = req.body || {};
+    const id = parseInt(breakId, 10);
+    if (!id) return res.status(400).json({ message: "breakId is required" });
+    if (!Array.isArray(constituents) || constituents.length === 0) {
+      return res.status(400).json({ message: "constituents must be a non-empty array" });
+    }
+
+    const rows = [];
+    const seen = new Set();
+    for (const c of constituents) {
+      const name = String(c?.name || "").trim().toUpperCase();
+      if (!SUPPORTED_CONSTITUENTS.includes(name)) {
+        return res.status(400).json({ message: `unsupported constituent ${c?.name}` });
+      }
+      if (seen.has(name)) {
+        return res.status(400).json({ message: `constituent ${name} is listed more than once` });
+      }
+      seen.add(name);
+      if (typeof c.amplitudeM !== "number" || typeof c.phaseDeg !== "number") {
+        return res
+          .status(400)
+          .json({ message: `${name} needs numeric amplitudeM and phaseDeg` });
+      }
+      rows.push({ name, amplitudeM: c.amplitudeM, phaseDeg: c.phaseDeg });
+    }
+    // Z0 is not a SUPPORTED_CONSTITUENTS name, so only datumM can add it
+    if (typeof datumM === "number") rows.push({ name: "Z0", amplitudeM: datumM, phaseDeg: 0 });
+
+    const brk = await getBreakById(id);
+    if (!brk) return res.status(404).json({ message: "break not found" });
+
+    await replaceTideConstituents(id, rows);
+    console.log(`[Tide] Stored ${rows.length} constituents for ${brk.Name} (${brk.Id})`);
+    return res.json({ message: "saved", break: brk.Name, constituents: rows.length });
+  } catch (err) {
+    console.error("[POST /api/cache/admin/tide-constituents] Error:", err.message);
+    return res.status(500).json({ message: "Save failed", detail: err.message });
+  }
+});
+
+/**
+ * Admin. Forecast cache retention.
+ * Dry run by default, pass dryRun=0 to delete and compact.
+ * Optional overrides: keepLatest, dailyDays, compactLimit
+ */
+router.post("/admin/retention", async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun !== "0";
+    const opts = { dryRun };
+    for (const key of ["keepLatest", "dailyDays", "compactLimit"]) {
+      if (req.query[key] == null) continue;
+      const n = parseInt(req.query[key], 10);
+      if (!Number.isFinite(n) || n < 0) {
+        return res.status(400).json({ message: `${key} must be a non-negative integer` });
+      }
+      opts[key] = n;
+    }
+
+    const report = await runRetention(opts);
+    return res.json(report);
+  } catch (err) {
+    console.error("[POST /api/cache/admin/retention] Error:", err.message);
+    return res.status(500).json({ message: "Retention failed", detail: err.message });
+  }
+});
+
+/**
+ * Admin. Run forecast verification for one break or every break with coords.
+ *   /api/cache/admin/verify?breakId=12&days=10
+ */
+router.post("/admin/verify", async (req, res) => {
+  try {
+    const days = parseInt(req.query.days || "10", 10);
+    if (!Number.isFinite(days) || days < 1) {
+      return res.status(400).json({ message: "days must be a positive integer" });
+    }
+
+    const breakId = req.query.breakId ? parseInt(req.query.breakId, 10) : null;
+    const ids = breakId ? [breakId] : (await listBreaksWithCoords()).map((b) => b.Id);
+
+    const results = [];
+    for (const id of ids) {
+      try {
+        results.push(await verifyBreak(id, { days }));
+      } catch (e) {
+        console.error(`[Verify] Break ${id} failed: ${e.message}`);
+        results.push({ breakId: id, error: e.message });
+      }
+    }
+    return res.json({ verified: results.filter((r) => !r.error).length, results });
+  } catch (err) {
+    console.error("[POST /api/cache/admin/verify] Error:", err.message);
+    return res.status(500).json({ message: "Verification failed", detail: err.message });
+  }
+});
+
+/**
+ * Admin. Evaluate saved surf alerts against the current cache without a
+ * fresh fetch, e.g. after quiet hours end.
+ *   /api/cache/admin/alerts/evaluate?breakId=12
+ */
+router.post("/admin/alerts/evaluate", async (req, res) => {
+  try {
+    const breakId = req.query.breakId ? parseInt(req.query.breakId, 10) : null;
+    const ids = breakId ? [breakId] : (await listBreaksWithCoords()).map((b) => b.Id);
+    return res.json(await evaluateAlerts(ids));
+  } catch (err) {
+    console.error("[POST /api/cache/admin/alerts/evaluate] Error:", err.message);
+    return res.status(500).json({ message: "Alert evaluation failed", detail: err.message });
+  }
+});
+
+/**
+ * Admin. Register an observation station (buoy, tide gauge, weather station)
+ * near a break. Re-registering a code updates its feed details.
+ * Body: { breakId, code, name?, format: ndbc|csv|json, feedUrl, latitude?, longitude? }
+ */
+router.post("/admin/stations", async (req, res) => {
+  try {
+    const { breakId, code, name, format, feedUrl, latitude, longitude } = req.body || {};
+    const id = parseInt(breakId, 10);
+    if (!id) return res.status(400).json({ message: "breakId is required" });
+    if (!code || !feedUrl) {
+      return res.status(400).json({ message: "code and feedUrl are required" });
+    }
+    if (!OBSERVATION_FORMATS.includes(String(format || "").toLowerCase())) {
+      return res
+        .status(400)
+        .json({ message: `format must be one of ${OBSERVATION_FORMATS.join(", ")}` });
+    }
+    const feed = checkFeedLocation(feedUrl);
+    if (feed.error) return res.status(400).json({ message: feed.error });
+
+    const brk = await getBreakById(id);
+    if (!brk) return res.status(404).json({ message: "break not found" });
+
+    const hasCoords = typeof latitude === "number" && typeof longitude === "number";
+    const km =
+      hasCoords && brk.Latitude != null && brk.Longitude != null
+        ? Math.round(distanceKm(brk.Latitude, brk.Longitude, latitude, longitude) * 10) / 10
+        : null;
+
+    const stationId = await registerStation(
+      id,
+      {
+        code: String(code),
+        name,
+        format: String(format).toLowerCase(),
+        feedUrl: feed.value,
+        latitude: hasCoords ? latitude : null,
+        longitude: hasCoords ? longitude : null,
+      },
+      km
+    );
+    return res.json({ message: "registered", stationId, break: brk.Name, distanceKm: km });
+  } catch (err) {
+    console.error("[POST /api/cache/admin/stations] Error:", err.message);
+    return res.status(500).json({ message: "Register failed", detail: err.message });
+  }
+});
+
+/**
+ * Admin. Pull observation feeds into dbo.Observations.
+ *   /api/cache/admin/observations/ingest?stationId=3
+ *   /api/cache/admin/observations/ingest?breakId=12   (every station linked to the break)
+ * Feed errors are logged; the response only says which stations failed, so
+ * feed contents never come back to the caller.
+ */
+router.post("/admin/observations/ingest", async (req, res) => {
+  try {
+    const stationId = parseInt(req.query.stationId, 10);
+    const breakId = parseInt(req.query.breakId, 10);
+
+    let stations;
+    if (stationId) {
+      const st = await getStationById(stationId);
+      if (!st) return res.status(404).json({ message: "station not found" });
+      stations = [st];
+    } else if (breakId) {
+      stations = await listStationsForBreak(breakId);
+    } else {
+      return res.status(400).json({ message: "stationId or breakId is required" });
+    }
+
+    const results = [];
+    for (const st of stations) {
+      try {
+        results.push(await ingestStation(st));
+      } catch (e) {
+        console.error(`[Observations] ${st.StationCode} failed: ${e.message}`);
+        results.push({ stationId: st.Id, code: st.StationCode, error: "feed could not be read or parsed" });
+      }
+    }
+    return res.json({ stations: results.length, results });
+  } catch (err) {
+    console.error("[POST /api/cache/admin/observations/ingest] Error:", err.message);
+    return res.status(500).json({ message: "Ingest failed" });
+  }
+});
+
 /**
  * Admin. Audit coordinates that look out of region.
  * Does not change data. Use it to spot anything odd.
  */
 router.get("/admin/audit-coords", async (_req, res) => {
   try {
-    const pool = await poolPromise;
-    const result = await pool.request().query(`
-      SELECT Id, Name, Region, Latitude, Longitude
-      FROM dbo.SurfBreaks
-      WHERE Latitude IS NOT NULL AND Longitude IS NOT NULL
-      ORDER BY Region, Id
-    `);
+    const breaks = await listBreaksWithCoords();
 
     const suspicious = [];
-    for (const r of result.recordset) {
+    for (const r of breaks) {
       const box = bboxFor(r.Region);
       if (box && !withinBox(r.Latitude, r.Longitude, box)) {
-        suspicious.push(r);
+        suspicious.push({
+          Id: r.Id,
+          Name: r.Name,
+          Region: r.Region,
+          Latitude: r.Latitude,
+          Longitude: r.Longitude,
+        });
       }
     }
 
-    return res.json({ totalChecked: result.recordset.length, suspicious });
+    return res.json({ totalChecked: breaks.length, suspicious });
   } catch (err) {
     console.error("[GET /api/cache/admin/audit-coords] Error:", err.message);
     return res.status(500).json({ message: "Audit failed", detail: err.message });
   }
 });
 
+/**
+ * Admin. Recent dbo.AuditLog entries, newest first.
+ * Query: limit (default 100, max 500), actorId
+ */
+router.get("/admin/audit-log", async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || "100", 10), 500);
+    const actorId = req.query.actorId ? String(req.query.actorId) : null;
+    return res.json({ entries: await listAudit({ limit, actorId }) });
+  } catch (err) {
+    console.error("[GET /api/cache/admin/audit-log] Error:", err.message);
+    return res.status(500).json({ message: "Audit log read failed", detail: err.message });
+  }
+});
+
 export default router;
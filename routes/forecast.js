@@ -1,68 +1,32 @@
 // routes/forecast.js
 import express from "express";
-import { sql, poolPromise } from "../db.js";
+import { ITEM_DISPLAY_FIELDS, parseSourceQuery, toForecastItems } from "../forecast/items.js";
+import { swellWindowFor } from "../forecast/exposure.js";
+import { extremesFor } from "../forecast/tides.js";
+import { localIso, timeZoneForBreak } from "../forecast/time.js";
+import { describeUnits, displayFields, resolveUnits } from "../forecast/units.js";
+import { parseHours } from "../forecast/v2.js";
+import { getBreakById, listBreaks } from "../services/breaks.js";
+import { CACHE_HOURS, getCachedForecast } from "../services/forecastCache.js";
+import { readForecast } from "../services/forecastRead.js";
+import { getAccuracySummary } from "../services/accuracy.js";
+import { listForecastChanges } from "../services/changes.js";
+import { getObservations, listStationsForBreak } from "../services/observations.js";
+import { OBSERVATION_FIELDS } from "../observations/generic.js";
+import { validateRequest } from "../openapi/validate.js";
 
 const router = express.Router();
-
-/* ---------- DB helpers ---------- */
-async function getBreakById(breakId) {
-  const pool = await poolPromise;
-  const result = await pool
-    .request()
-    .input("id", sql.Int, breakId).query(`
-      SELECT TOP 1 Id, Name, Region, Latitude, Longitude
-      FROM dbo.SurfBreaks
-      WHERE Id = @id
-    `);
-  return result.recordset[0] || null;
-}
-
-async function listSurfBreaks() {
-  const pool = await poolPromise;
-  const result = await pool.request().query(`
-    SELECT Id, Name, Region, Latitude, Longitude
-    FROM dbo.SurfBreaks
-    ORDER BY Region, Name
-  `);
-  return result.recordset;
-}
-
-async function getCachedForecast(breakId, hours) {
-  const pool = await poolPromise;
-  const result = await pool
-    .request()
-    .input("BreakId", sql.Int, breakId)
-    .input("Hours", sql.Int, hours).query(`
-      SELECT TOP 1 DataJson, FetchedAt
-      FROM dbo.ForecastCache
-      WHERE BreakId = @BreakId AND Hours = @Hours
-        AND FetchedAt > DATEADD(DAY, -7, SYSUTCDATETIME())
-      ORDER BY FetchedAt DESC
-    `);
-
-  const record = result.recordset[0];
-  if (!record) return null;
-
-  try {
-    return JSON.parse(record.DataJson);
-  } catch (err) {
-    console.error(
-      `[getCachedForecast] Failed to parse cached JSON for BreakId ${breakId}:`,
-      err.message
-    );
-    return null;
-  }
-}
+router.use(validateRequest);
 
 /* ---------- Base sanity endpoint ---------- */
 router.get("/", (req, res) => {
-  res.json({ ok: true, routes: ["/breaks", "/:breakId", "/timeseries"] });
+  res.json({ ok: true, routes: ["/breaks", "/:breakId", "/:breakId/tides", "/:breakId/accuracy", "/:breakId/changes", "/:breakId/observations", "/timeseries"] });
 });
 
 /* ---------- List breaks ---------- */
 router.get("/breaks", async (req, res) => {
   try {
-    const breaks = await listSurfBreaks();
+    const breaks = await listBreaks();
     res.json(
       breaks.map(b => ({
         id: b.Id,
@@ -70,6 +34,9 @@ router.get("/breaks", async (req, res) => {
         region: b.Region,
         latitude: b.Latitude,
         longitude: b.Longitude,
+        timezone: timeZoneForBreak(b),
+        coastFacingDeg: b.CoastFacingDeg ?? null,
+        swellWindow: swellWindowFor(b),
       }))
     );
   } catch (err) {
@@ -78,110 +45,248 @@ router.get("/breaks", async (req, res) => {
   }
 });
 
+
+/*
+ * v1 forecast responses. Both routes read through the same service as
+ * /api/v2/forecast and only reshape the result; new fields go into v2.
+ * The one exception is ?units=, which adds a units block and a display
+ * block per item; without it the shape is unchanged.
+ *
+ * Every cache run stores one CACHE_HOURS snapshot, so ?hours= (1..168)
+ * returns its first `hours` items rather than picking a snapshot by length.
+ */
+function toV1Forecast(read, selection, units = null, hours) {
+  const { brk, json } = read;
+  const items = read.items.slice(0, hours);
+  return {
+    break: {
+      id: brk.Id,
+      name: brk.Name,
+      region: brk.Region,
+      timezone: timeZoneForBreak(brk),
+      coastFacingDeg: brk.CoastFacingDeg ?? null,
+      swellWindow: swellWindowFor(brk),
+    },
+    hours: items.length,
+    fromCache: true,
+    provider: json._provider?.name || "stormglass",
+    selection: { sources: selection.sources, blend: selection.blend },
+    ...(units && { units: describeUnits(units) }),
+    items: units ? items.map((it) => ({ ...it, display: displayFields(it, ITEM_DISPLAY_FIELDS, units) })) : items,
+  };
+}
+
+// only an explicit ?units= changes the v1 shape
+const v1Units = (req) => (req.query.units ? req.units : null);
+
+async function sendV1Forecast(res, breakId, query, units) {
+  const selection = parseSourceQuery(query);
+  if (selection.error) return res.status(400).json({ message: selection.error });
+  const hours = parseHours(query.hours);
+  if (hours.error) return res.status(400).json({ message: hours.error });
+
+  const read = await readForecast(breakId, selection);
+  if (read.error) return res.status(read.error.status).json({ message: read.error.message });
+  return res.json(toV1Forecast(read, selection, units, hours.hours));
+}
+
+/* ---------- Cache only timeseries with query params ---------- */
+// must stay above the /:breakId routes, which only match numeric ids
+router.get("/timeseries", resolveUnits(), async (req, res) => {
+  try {
+    const breakId = parseInt(req.query.breakId, 10);
+    if (!breakId) {
+      return res.status(400).json({ message: "breakId is required" });
+    }
+    return await sendV1Forecast(res, breakId, req.query, v1Units(req));
+  } catch (err) {
+    console.error("[GET /forecast/timeseries] Error:", err);
+    return res.status(500).json({ message: String(err.message || err) });
+  }
+});
+
 /* ---------- Cached forecast for a break ---------- */
-router.get("/:breakId", async (req, res) => {
+router.get("/:breakId(\\d+)", resolveUnits(), async (req, res) => {
   try {
     const breakId = parseInt(req.params.breakId, 10);
-    const hours = parseInt(req.query.hours || "168", 10);
+    if (!breakId) {
+      return res.status(400).json({ message: "breakId must be a number" });
+    }
+    return await sendV1Forecast(res, breakId, req.query, v1Units(req));
+  } catch (err) {
+    console.error("[GET /forecast/:breakId] Error:", err);
+    return res.status(500).json({ message: String(err.message || err) });
+  }
+});
 
+/* ---------- High/low tide events for a break ---------- */
+router.get("/:breakId(\\d+)/tides", resolveUnits(), async (req, res) => {
+  try {
+    const breakId = parseInt(req.params.breakId, 10);
     if (!breakId) {
       return res.status(400).json({ message: "breakId must be a number" });
     }
+    const hours = parseHours(req.query.hours);
+    if (hours.error) return res.status(400).json({ message: hours.error });
 
     const brk = await getBreakById(breakId);
     if (!brk) return res.status(404).json({ message: "break not found" });
-    if (brk.Latitude == null || brk.Longitude == null) {
-      return res.status(400).json({ message: "Break has no coordinates" });
-    }
 
-    const json = await getCachedForecast(breakId, hours);
+    // like the forecast routes: the CACHE_HOURS snapshot, cut to ?hours=
+    const json = await getCachedForecast(breakId, CACHE_HOURS);
     if (!json) {
       return res
         .status(503)
         .json({ message: "Forecast data is not yet available. Please check back later." });
     }
-    if (!Array.isArray(json.hours)) {
-      return res.status(500).json({ message: "Invalid forecast data. Missing hours array" });
-    }
 
-    const items = json.hours.map((entry) => ({
-      ts: new Date(entry.time).getTime() / 1000,
+    const tz = timeZoneForBreak(brk);
+    const units = v1Units(req);
+    const firstMs = json.hours?.length ? new Date(json.hours[0].time).getTime() : Date.now();
+    const endMs = firstMs + hours.hours * 3600000;
+    const extremes = extremesFor(json)
+      .filter((e) => new Date(e.time).getTime() < endMs)
+      .map((e) => ({
+        time: e.time,
+        ts: new Date(e.time).getTime() / 1000,
+        localTime: localIso(new Date(e.time).getTime(), tz),
+        heightM: e.heightM,
+        type: e.type,
+        ...(units && { display: displayFields(e, { height: ["height", "heightM"] }, units) }),
+      }));
+
+    return res.json({
+      break: { id: brk.Id, name: brk.Name, region: brk.Region, timezone: tz },
+      source: Array.isArray(json.tideExtremes)
+        ? json._tideMeta?.extremesSource || "derived"
+        : "derived",
+      ...(units && { units: describeUnits(units) }),
+      extremes,
+    });
+  } catch (err) {
+    console.error("[GET /forecast/:breakId/tides] Error:", err);
+    return res.status(500).json({ message: String(err.message || err) });
+  }
+});
+
+/* ---------- Forecast error by lead time ---------- */
+router.get("/:breakId(\\d+)/accuracy", async (req, res) => {
+  try {
+    const breakId = parseInt(req.params.breakId, 10);
+    const days = parseInt(req.query.days || "30", 10);
 
-      // magnitudes
-      waveHeightM: entry.waveHeight?.noaa ?? null,
-      windSpeedKt:
-        entry.windSpeed?.noaa != null ? entry.windSpeed.noaa * 1.94384 : null,
+    if (!breakId) {
+      return res.status(400).json({ message: "breakId must be a number" });
+    }
+    if (!Number.isFinite(days) || days < 1) {
+      return res.status(400).json({ message: "days must be a positive integer" });
+    }
 
-      // directions and period
-      windDir:        entry.windDirection?.noaa ?? null,
-      swellHeightM:   entry.swellHeight?.noaa ?? null,
-      swellDir:       entry.swellDirection?.noaa ?? null,
-      swellPeriodS:   entry.swellPeriod?.noaa ?? null,
-      waterTempC:     entry.waterTemperature?.noaa ?? null,
+    const brk = await getBreakById(breakId);
+    if (!brk) return res.status(404).json({ message: "break not found" });
 
-      // tide from cache writer
-      tideM: typeof entry.tideHeight === "number" ? entry.tideHeight : null,
-    }));
+    const variables = await getAccuracySummary(breakId, {
+      days,
+      variable: req.query.variable ? String(req.query.variable) : null,
+      source: req.query.source ? String(req.query.source).toLowerCase() : null,
+      truth: req.query.truth ? String(req.query.truth).toLowerCase() : null,
+    });
 
     return res.json({
       break: { id: brk.Id, name: brk.Name, region: brk.Region },
-      hours: items.length,
-      fromCache: true,
-      items,
+      days,
+      // error = forecast - observed, in item units (m, s, kt, degrees)
+      variables,
     });
   } catch (err) {
-    console.error("[GET /forecast/:breakId] Error:", err);
+    console.error("[GET /forecast/:breakId/accuracy] Error:", err);
     return res.status(500).json({ message: String(err.message || err) });
   }
 });
 
-/* ---------- Existing cache only timeseries with query params ---------- */
-router.get("/timeseries", async (req, res) => {
+/* ---------- What changed between recent cache runs ---------- */
+router.get("/:breakId(\\d+)/changes", async (req, res) => {
   try {
-    const breakId = parseInt(req.query.breakId, 10);
-    const hours = parseInt(req.query.hours || "168", 10);
+    const breakId = parseInt(req.params.breakId, 10);
+    const limit = parseInt(req.query.limit || "5", 10);
 
     if (!breakId) {
-      return res.status(400).json({ message: "breakId is required" });
+      return res.status(400).json({ message: "breakId must be a number" });
+    }
+    if (!Number.isFinite(limit) || limit < 1 || limit > 50) {
+      return res.status(400).json({ message: "limit must be between 1 and 50" });
     }
 
     const brk = await getBreakById(breakId);
     if (!brk) return res.status(404).json({ message: "break not found" });
-    if (brk.Latitude == null || brk.Longitude == null) {
-      return res.status(400).json({ message: "Break has no coordinates" });
-    }
 
-    const json = await getCachedForecast(breakId, hours);
-    if (!json) {
-      return res
-        .status(503)
-        .json({ message: "Forecast data is not yet available. Please check back later." });
+    const runs = await listForecastChanges(breakId, limit);
+    return res.json({
+      break: { id: brk.Id, name: brk.Name, region: brk.Region },
+      latest: runs[0] || null,
+      runs,
+    });
+  } catch (err) {
+    console.error("[GET /forecast/:breakId/changes] Error:", err);
+    return res.status(500).json({ message: String(err.message || err) });
+  }
+});
+
+/* ---------- Buoy / station observations next to the forecast ---------- */
+router.get("/:breakId(\\d+)/observations", async (req, res) => {
+  try {
+    const breakId = parseInt(req.params.breakId, 10);
+    const hours = parseInt(req.query.hours || "24", 10);
+
+    if (!breakId) {
+      return res.status(400).json({ message: "breakId must be a number" });
     }
-    if (!Array.isArray(json.hours)) {
-      return res.status(500).json({ message: "Invalid forecast data: missing hours array" });
+    if (!Number.isFinite(hours) || hours < 1 || hours > 720) {
+      return res.status(400).json({ message: "hours must be between 1 and 720" });
     }
 
-    const items = json.hours.map((entry) => ({
-      ts: new Date(entry.time).getTime() / 1000,
-      waveHeightM: entry.waveHeight?.noaa ?? null,
-      windSpeedKt:
-        entry.windSpeed?.noaa != null ? entry.windSpeed.noaa * 1.94384 : null,
-      windDir:        entry.windDirection?.noaa ?? null,
-      swellHeightM:   entry.swellHeight?.noaa ?? null,
-      swellDir:       entry.swellDirection?.noaa ?? null,
-      swellPeriodS:   entry.swellPeriod?.noaa ?? null,
-      waterTempC:     entry.waterTemperature?.noaa ?? null,
-      tideM: typeof entry.tideHeight === "number" ? entry.tideHeight : null,
-    }));
+    const brk = await getBreakById(breakId);
+    if (!brk) return res.status(404).json({ message: "break not found" });
+
+    const stations = await listStationsForBreak(breakId);
+    const json = await getCachedForecast(breakId, 168);
+    const items = Array.isArray(json?.hours) ? toForecastItems(json, { brk }) : [];
+    const itemByHour = new Map(items.map((it) => [Math.floor(it.ts / 3600), it]));
+
+    const out = [];
+    for (const st of stations) {
+      const observations = await getObservations(st.Id, hours);
+      const latest = observations[0] || null;
+
+      // "forecast vs buoy now": the cached forecast hour the latest reading falls in
+      let vsForecast = null;
+      const it = latest ? itemByHour.get(Math.floor(Date.parse(latest.observedAt) / 3600000)) : null;
+      if (it) {
+        vsForecast = { observedAt: latest.observedAt, forecastTs: it.ts, fields: {} };
+        for (const f of OBSERVATION_FIELDS) {
+          if (latest[f] == null || it[f] == null) continue;
+          vsForecast.fields[f] = { observed: latest[f], forecast: it[f] };
+        }
+      }
+
+      out.push({
+        id: st.Id,
+        code: st.StationCode,
+        name: st.Name,
+        distanceKm: st.DistanceKm ?? null,
+        latest,
+        vsForecast,
+        observations,
+      });
+    }
 
     return res.json({
       break: { id: brk.Id, name: brk.Name, region: brk.Region },
-      hours: items.length,
-      fromCache: true,
-      items,
+      hours,
+      stations: out,
     });
   } catch (err) {
-    console.error("[GET /forecast/timeseries] Error:", err);
+    console.error("[GET /forecast/:breakId/observations] Error:", err);
     return res.status(500).json({ message: String(err.message || err) });
   }
 });
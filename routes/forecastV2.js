@@ -0,0 +1,57 @@
+// routes/forecastV2.js
+import express from "express";
+import { parseSourceQuery } from "../forecast/items.js";
+import { FORECAST_V2_SCHEMA, SCHEMA_VERSION, parseHours, toV2Break, toV2Forecast } from "../forecast/v2.js";
+import { resolveUnits } from "../forecast/units.js";
+import { listBreaks } from "../services/breaks.js";
+import { readForecast } from "../services/forecastRead.js";
+import { validateRequest } from "../openapi/validate.js";
+
+/**
+ * /api/v2/forecast. The response shape is FORECAST_V2_SCHEMA, served at
+ * /api/v2/forecast/schema; v1 (/api/forecast) keeps its old shape.
+ */
+const router = express.Router();
+router.use(validateRequest);
+
+router.get("/", (req, res) => {
+  res.json({ ok: true, schemaVersion: SCHEMA_VERSION, routes: ["/schema", "/breaks", "/:breakId"] });
+});
+
+router.get("/schema", (req, res) => {
+  res.type("application/schema+json").send(JSON.stringify(FORECAST_V2_SCHEMA, null, 2));
+});
+
+router.get("/breaks", async (req, res) => {
+  try {
+    const breaks = await listBreaks();
+    res.json({ schemaVersion: SCHEMA_VERSION, breaks: breaks.map(toV2Break) });
+  } catch (err) {
+    console.error("[GET /v2/forecast/breaks] Error:", err);
+    res.status(500).json({ message: String(err.message || err) });
+  }
+});
+
+/* ---------- Forecast for a break from the current hour ---------- */
+router.get("/:breakId(\\d+)", resolveUnits(), async (req, res) => {
+  try {
+    const breakId = parseInt(req.params.breakId, 10);
+    if (!breakId) return res.status(400).json({ message: "breakId must be a positive number" });
+
+    const hours = parseHours(req.query.hours);
+    if (hours.error) return res.status(400).json({ message: hours.error });
+
+    const selection = parseSourceQuery(req.query);
+    if (selection.error) return res.status(400).json({ message: selection.error });
+
+    const read = await readForecast(breakId, selection);
+    if (read.error) return res.status(read.error.status).json({ message: read.error.message });
+
+    return res.json(toV2Forecast(read, { hours: hours.hours, selection, units: req.units }));
+  } catch (err) {
+    console.error("[GET /v2/forecast/:breakId] Error:", err);
+    return res.status(500).json({ message: String(err.message || err) });
+  }
+});
+
+export default router;
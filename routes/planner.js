@@ -1,19 +1,46 @@
 // routes/planner.js
 import express from 'express';
-import { sql, poolPromise } from '../db.js';
 import verifyToken from '../auth/verifyToken.js';
+import currentUser from '../auth/currentUser.js';
+import { validateRequest } from '../openapi/validate.js';
+import { parseWindRelations } from '../forecast/wind.js';
+import { parseTidePhases } from '../forecast/tides.js';
+import { defaultPrefs, prefsDisplay, prefsFromUnits, prefsInUnits } from '../forecast/surfer.js';
+import { describeUnits, resolveUnits } from '../forecast/units.js';
+import { ALERT_CHANNELS, checkAlertTarget, parseAlert } from '../alerts/index.js';
+import { vapidPublicKey } from '../alerts/webpush.js';
+import { listBreaksByRegion } from '../services/breaks.js';
+import { deletePref, getPref, listPrefs, savePref } from '../services/prefs.js';
+import { getAvailability, replaceAvailability } from '../services/availability.js';
+import { getProfile } from '../services/profiles.js';
+import {
+  createAlert,
+  deleteAlert,
+  listAlerts,
+  listDeliveries,
+  updateAlert
+} from '../services/alerts.js';
 
 const router = express.Router();
-router.use(verifyToken);
-
-function getEmailFromToken(claims = {}) {
-  return (
-    claims.preferred_username ||
-    claims.email ||
-    claims.upn ||
-    claims.unique_name ||
-    null
-  );
+
+// GET /api/planner/alerts/push-key
+// VAPID public key for pushManager.subscribe(). Needs a token but no
+// dbo.Users row, so it sits ahead of currentUser.
+router.get('/alerts/push-key', verifyToken, validateRequest, (_req, res) => {
+  const key = vapidPublicKey();
+  if (!key) return res.status(404).json({ message: 'Push is not configured' });
+  res.json({ publicKey: key });
+});
+
+router.use(verifyToken, currentUser);
+router.use(validateRequest);
+
+// ?units= (see forecast/units.js), else the profile's default, as req.units
+const userUnits = resolveUnits(async (req) => (await getProfile(req.userId))?.Units);
+
+// a saved prefs row plus its values in the request's units
+function withDisplay(row, units) {
+  return { ...row, units: describeUnits(units), display: prefsDisplay(row, units) };
 }
 
 // GET /api/planner/regions
@@ -22,21 +49,16 @@ router.get('/regions', async (_req, res) => {
 });
 
 // GET /api/planner/breaks?region=Ericeira
+// Without region, the profile's home region.
 router.get('/breaks', async (req, res) => {
-  const region = req.query.region;
-  if (!region) return res.status(400).json({ message: 'region is required' });
-
   try {
-    const pool = await poolPromise;
-    const result = await pool.request()
-      .input('region', sql.NVarChar, region)
-      .query(`
-        SELECT Id, Name, Region, Latitude, Longitude
-        FROM dbo.SurfBreaks
-        WHERE Region = @region
-        ORDER BY Name ASC
-      `);
-    res.json(result.recordset);
+    const region = req.query.region || (await getProfile(req.userId))?.HomeRegion;
+    if (!region) return res.status(400).json({ message: 'region is required' });
+
+    const breaks = await listBreaksByRegion(region);
+    res.json(breaks.map(({ Id, Name, Region, Latitude, Longitude }) => ({
+      Id, Name, Region, Latitude, Longitude
+    })));
   } catch (err) {
     console.error('[GET /planner/breaks] Error:', err);
     res.status(500).json({ message: 'Internal server error' });
@@ -44,50 +66,84 @@ router.get('/breaks', async (req, res) => {
 });
 
 // GET /api/planner/prefs?breakId=123
-router.get('/prefs', async (req, res) => {
-  const email = getEmailFromToken(req.user);
+router.get('/prefs', userUnits, async (req, res) => {
   const breakId = parseInt(req.query.breakId, 10);
 
-  if (!email) return res.status(400).json({ message: 'Email claim missing in token' });
   if (!breakId) return res.status(400).json({ message: 'breakId is required' });
 
   try {
-    const pool = await poolPromise;
-    const result = await pool.request()
-      .input('email', sql.NVarChar, email)
-      .input('breakId', sql.Int, breakId)
-      .query(`
-        SELECT TOP 1
-          MinHeightM, MaxHeightM, MinPeriodS, MaxPeriodS,
-          AllowedSwellDirs, MaxWindKt, AllowedWindDirs,
-          MinTideM, MaxTideM, UpdatedAt
-        FROM dbo.UserBreakPrefs
-        WHERE UserEmail = @email AND BreakId = @breakId
-        ORDER BY UpdatedAt DESC
-      `);
-
-    if (result.recordset.length === 0) return res.status(204).end();
-    res.json(result.recordset[0]);
+    const pref = await getPref(req.userId, breakId);
+    if (!pref) return res.status(204).end();
+    res.json(withDisplay(pref, req.units));
   } catch (err) {
     console.error('[GET /planner/prefs] Error:', err);
     res.status(500).json({ message: 'Internal server error' });
   }
 });
 
+// GET /api/planner/prefs/defaults
+// What a break's first prefs start from, for the user's skill level, in
+// the request's units.
+router.get('/prefs/defaults', userUnits, async (req, res) => {
+  try {
+    const skillLevel = (await getProfile(req.userId))?.SkillLevel ?? null;
+    const prefs = prefsInUnits(defaultPrefs(skillLevel), req.units);
+    res.json({ skillLevel, units: describeUnits(req.units), prefs });
+  } catch (err) {
+    console.error('[GET /planner/prefs/defaults] Error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// A break's first prefs start from the skill defaults; anything the body
+// sends, null included, wins. Sector windDirs replace the default relations.
+// body is already in metres and knots.
+async function seedNewBreak(userId, body) {
+  if (await getPref(userId, parseInt(body.breakId, 10))) return { body, seeded: [] };
+  const defaults = defaultPrefs((await getProfile(userId))?.SkillLevel);
+  if (body.windDirs != null) delete defaults.windRelation;
+  const seeded = Object.keys(defaults).filter((k) => !(k in body));
+  return { body: { ...defaults, ...body }, seeded };
+}
+
 // POST /api/planner/prefs
-router.post('/prefs', async (req, res) => {
-  const email = getEmailFromToken(req.user);
-  if (!email) return res.status(400).json({ message: 'Email claim missing in token' });
+// windRelation: ['offshore', 'cross-offshore'] is matched against each break's
+// coast bearing and takes precedence over the windDirs compass sectors.
+// tidePhase: ['mid-rising'] takes a state (rising/falling), a stage
+// (low/mid/high) or both joined by a dash.
+// dawnPatrol: true boosts windows in the first two hours after first light.
+// Heights, tides and maxWind are read in ?units= or the profile's default,
+// like GET's display block, and saved in metres and knots.
+// Columns expected:
+// ALTER TABLE dbo.UserBreakPrefs ADD AllowedWindRelations NVARCHAR(128) NULL;
+// ALTER TABLE dbo.UserBreakPrefs ADD AllowedTidePhases NVARCHAR(128) NULL;
+// ALTER TABLE dbo.UserBreakPrefs ADD DawnPatrol BIT NOT NULL DEFAULT 0;
+router.post('/prefs', userUnits, async (req, res) => {
+  if (!req.body?.breakId) return res.status(400).json({ message: 'breakId is required' });
+
+  let seed;
+  try {
+    seed = await seedNewBreak(req.userId, prefsFromUnits(req.body, req.units));
+  } catch (err) {
+    console.error('[POST /planner/prefs] Error:', err);
+    return res.status(500).json({ message: 'Failed to save preferences' });
+  }
 
   const {
     breakId,
     minHeight, maxHeight,
     minPeriod, maxPeriod,
     swellDirs, maxWind,
-    windDirs, minTide, maxTide
-  } = req.body || {};
+    windDirs, windRelation,
+    minTide, maxTide, tidePhase,
+    dawnPatrol
+  } = seed.body;
 
-  if (!breakId) return res.status(400).json({ message: 'breakId is required' });
+  const relations = parseWindRelations(windRelation);
+  if (relations.error) return res.status(400).json({ message: relations.error });
+
+  const phases = parseTidePhases(tidePhase);
+  if (phases.error) return res.status(400).json({ message: phases.error });
 
   if (minHeight != null && maxHeight != null && Number(minHeight) > Number(maxHeight)) {
     return res.status(400).json({ message: 'Min height must be less than max height' });
@@ -100,70 +156,20 @@ router.post('/prefs', async (req, res) => {
   }
 
   try {
-    const pool = await poolPromise;
-
-    const check = await pool.request()
-      .input('email', sql.NVarChar, email)
-      .input('breakId', sql.Int, breakId)
-      .query(`
-        SELECT Id FROM dbo.UserBreakPrefs
-        WHERE UserEmail = @email AND BreakId = @breakId
-      `);
-
-    const dirs1 = Array.isArray(swellDirs) ? swellDirs.join(',') : (swellDirs || null);
-    const dirs2 = Array.isArray(windDirs) ? windDirs.join(',') : (windDirs || null);
-
-    if (check.recordset.length > 0) {
-      await pool.request()
-        .input('email', sql.NVarChar, email)
-        .input('breakId', sql.Int, breakId)
-        .input('minHeight', sql.Float, minHeight ?? null)
-        .input('maxHeight', sql.Float, maxHeight ?? null)
-        .input('minPeriod', sql.Float, minPeriod ?? null)
-        .input('maxPeriod', sql.Float, maxPeriod ?? null)
-        .input('swellDirs', sql.NVarChar, dirs1)
-        .input('maxWind', sql.Int, maxWind ?? null)
-        .input('windDirs', sql.NVarChar, dirs2)
-        .input('minTide', sql.Float, minTide ?? null)
-        .input('maxTide', sql.Float, maxTide ?? null)
-        .query(`
-          UPDATE dbo.UserBreakPrefs
-          SET MinHeightM = @minHeight,
-              MaxHeightM = @maxHeight,
-              MinPeriodS = @minPeriod,
-              MaxPeriodS = @maxPeriod,
-              AllowedSwellDirs = @swellDirs,
-              MaxWindKt = @maxWind,
-              AllowedWindDirs = @windDirs,
-              MinTideM = @minTide,
-              MaxTideM = @maxTide,
-              UpdatedAt = GETDATE()
-          WHERE UserEmail = @email AND BreakId = @breakId
-        `);
-    } else {
-      await pool.request()
-        .input('email', sql.NVarChar, email)
-        .input('breakId', sql.Int, breakId)
-        .input('minHeight', sql.Float, minHeight ?? null)
-        .input('maxHeight', sql.Float, maxHeight ?? null)
-        .input('minPeriod', sql.Float, minPeriod ?? null)
-        .input('maxPeriod', sql.Float, maxPeriod ?? null)
-        .input('swellDirs', sql.NVarChar, dirs1)
-        .input('maxWind', sql.Int, maxWind ?? null)
-        .input('windDirs', sql.NVarChar, dirs2)
-        .input('minTide', sql.Float, minTide ?? null)
-        .input('maxTide', sql.Float, maxTide ?? null)
-        .query(`
-          INSERT INTO dbo.UserBreakPrefs
-            (UserEmail, BreakId, MinHeightM, MaxHeightM, MinPeriodS, MaxPeriodS,
-             AllowedSwellDirs, MaxWindKt, AllowedWindDirs, MinTideM, MaxTideM, UpdatedAt)
-          VALUES
-            (@email, @breakId, @minHeight, @maxHeight, @minPeriod, @maxPeriod,
-             @swellDirs, @maxWind, @windDirs, @minTide, @maxTide, GETDATE())
-        `);
-    }
-
-    res.status(200).json({ message: 'Preferences saved' });
+    await savePref(req.userId, {
+      breakId,
+      minHeight, maxHeight,
+      minPeriod, maxPeriod,
+      swellDirs: Array.isArray(swellDirs) ? swellDirs.join(',') : (swellDirs || null),
+      maxWind,
+      windDirs: Array.isArray(windDirs) ? windDirs.join(',') : (windDirs || null),
+      windRelations: relations.relations.length ? relations.relations.join(',') : null,
+      minTide, maxTide,
+      tidePhases: phases.phases.length ? phases.phases.join(',') : null,
+      dawnPatrol
+    });
+
+    res.status(200).json({ message: 'Preferences saved', seeded: seed.seeded });
   } catch (err) {
     console.error('[POST /planner/prefs] Error:', err);
     res.status(500).json({ message: 'Failed to save preferences' });
@@ -171,38 +177,13 @@ router.post('/prefs', async (req, res) => {
 });
 
 // List saved prefs
-router.get('/prefs/list', async (req, res) => {
-  const email = getEmailFromToken(req.user);
+router.get('/prefs/list', userUnits, async (req, res) => {
   const region = req.query.region || null;
-  if (!email) return res.status(400).json({ message: 'Email claim missing in token' });
 
   try {
-    const pool = await poolPromise;
-    const request = pool.request().input('email', sql.NVarChar, email);
-    let where = 'WHERE p.UserEmail = @email';
-    if (region) {
-      request.input('region', sql.NVarChar, region);
-      where += ' AND b.Region = @region';
-    }
-
-    const result = await request.query(`
-      SELECT
-        p.BreakId,
-        b.Name    AS BreakName,
-        b.Region  AS Region,
-        p.MinHeightM, p.MaxHeightM,
-        p.MinPeriodS, p.MaxPeriodS,
-        p.AllowedSwellDirs, p.MaxWindKt, p.AllowedWindDirs,
-        p.MinTideM, p.MaxTideM,
-        p.UpdatedAt
-      FROM dbo.UserBreakPrefs p
-      INNER JOIN dbo.SurfBreaks b ON b.Id = p.BreakId
-      ${where}
-      ORDER BY b.Region, b.Name
-    `);
-
-    if (result.recordset.length === 0) return res.status(204).end();
-    res.json(result.recordset);
+    const prefs = await listPrefs(req.userId, region);
+    if (prefs.length === 0) return res.status(204).end();
+    res.json(prefs.map((p) => withDisplay(p, req.units)));
   } catch (err) {
     console.error('[GET /planner/prefs/list] Error:', err);
     res.status(500).json({ message: 'Internal server error' });
@@ -211,21 +192,12 @@ router.get('/prefs/list', async (req, res) => {
 
 // Delete a pref row for a break
 router.delete('/prefs', async (req, res) => {
-  const email = getEmailFromToken(req.user);
   const breakId = parseInt(req.query.breakId, 10);
 
-  if (!email) return res.status(400).json({ message: 'Email claim missing in token' });
   if (!breakId) return res.status(400).json({ message: 'breakId is required' });
 
   try {
-    const pool = await poolPromise;
-    await pool.request()
-      .input('email', sql.NVarChar, email)
-      .input('breakId', sql.Int, breakId)
-      .query(`
-        DELETE FROM dbo.UserBreakPrefs
-        WHERE UserEmail = @email AND BreakId = @breakId
-      `);
+    await deletePref(req.userId, breakId);
     res.status(204).end();
   } catch (err) {
     console.error('[DELETE /planner/prefs] Error:', err);
@@ -239,7 +211,7 @@ router.delete('/prefs', async (req, res) => {
  * CREATE TABLE dbo.UserAvailability (
  *   UserEmail NVARCHAR(256) NOT NULL,
  *   Dow TINYINT NOT NULL,           -- 0=Sun ... 6=Sat
- *   StartHour TINYINT NOT NULL,     -- 0..23 local hour
+ *   StartHour TINYINT NOT NULL,     -- 0..23 local hour in UserProfiles.TimeZone
  *   UpdatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
  *   CONSTRAINT PK_UserAvailability PRIMARY KEY (UserEmail, Dow, StartHour)
  * );
@@ -247,22 +219,10 @@ router.delete('/prefs', async (req, res) => {
 
 // GET /api/planner/availability
 router.get('/availability', async (req, res) => {
-  const email = getEmailFromToken(req.user);
-  if (!email) return res.status(400).json({ message: 'Email claim missing in token' });
-
   try {
-    const pool = await poolPromise;
-    const result = await pool.request()
-      .input('email', sql.NVarChar, email)
-      .query(`
-        SELECT Dow, StartHour
-        FROM dbo.UserAvailability
-        WHERE UserEmail = @email
-        ORDER BY Dow, StartHour
-      `);
-
-    if (result.recordset.length === 0) return res.status(204).end();
-    res.json(result.recordset); // [{Dow, StartHour}, ...]
+    const slots = await getAvailability(req.userId);
+    if (slots.length === 0) return res.status(204).end();
+    res.json(slots); // [{Dow, StartHour}, ...]
   } catch (err) {
     console.error('[GET /planner/availability] Error:', err);
     res.status(500).json({ message: 'Internal server error' });
@@ -272,9 +232,6 @@ router.get('/availability', async (req, res) => {
 // POST /api/planner/availability
 // Body: [{ dow: 0..6, startHour: 0..23 }, ...] each block represents a two hour slot starting at startHour
 router.post('/availability', async (req, res) => {
-  const email = getEmailFromToken(req.user);
-  if (!email) return res.status(400).json({ message: 'Email claim missing in token' });
-
   const items = Array.isArray(req.body) ? req.body : [];
   for (const it of items) {
     if (typeof it.dow !== 'number' || it.dow < 0 || it.dow > 6) {
@@ -286,31 +243,8 @@ router.post('/availability', async (req, res) => {
   }
 
   try {
-    const pool = await poolPromise;
-
-    // wipe existing
-    await pool.request()
-      .input('email', sql.NVarChar, email)
-      .query(`DELETE FROM dbo.UserAvailability WHERE UserEmail = @email`);
-
-    if (items.length > 0) {
-      // build one INSERT with many VALUES, all parameterised
-      const req = pool.request();
-      req.input('email', sql.NVarChar, email);
-
-      const values = [];
-      items.forEach((it, i) => {
-        req.input(`d${i}`, sql.TinyInt, it.dow);
-        req.input(`h${i}`, sql.TinyInt, it.startHour);
-        values.push(`(@email, @d${i}, @h${i})`);
-      });
-
-      const sqlText = `
-        INSERT INTO dbo.UserAvailability (UserEmail, Dow, StartHour)
-        VALUES ${values.join(',')}
-      `;
-      await req.query(sqlText);
-    }
+    // replaces every existing slot
+    await replaceAvailability(req.userId, items.map(it => ({ dow: it.dow, startHour: it.startHour })));
 
     res.status(200).json({ message: 'Availability saved' });
   } catch (err) {
@@ -319,4 +253,86 @@ router.post('/availability', async (req, res) => {
   }
 });
 
+/**
+ * SURF ALERTS
+ * Notify when planner windows for a break (or every break with prefs in a
+ * region) score at least minScore within leadHours. Evaluated after each
+ * forecast cache run; a window is only ever sent once per alert.
+ * Body: { breakId | region, minScore, leadHours, quietStart, quietEnd,
+ *         channel: webhook|email|push, target, enabled }
+ */
+
+// GET /api/planner/alerts
+router.get('/alerts', async (req, res) => {
+  try {
+    res.json({ channels: ALERT_CHANNELS, alerts: await listAlerts(req.userId) });
+  } catch (err) {
+    console.error('[GET /planner/alerts] Error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// POST /api/planner/alerts
+router.post('/alerts', async (req, res) => {
+  const parsed = parseAlert(req.body || {});
+  if (parsed.error) return res.status(400).json({ message: parsed.error });
+
+  try {
+    const targetError = await checkAlertTarget(parsed.alert);
+    if (targetError) return res.status(400).json({ message: targetError });
+    res.status(201).json(await createAlert(req.userId, parsed.alert));
+  } catch (err) {
+    console.error('[POST /planner/alerts] Error:', err);
+    res.status(500).json({ message: 'Failed to save alert' });
+  }
+});
+
+// PUT /api/planner/alerts/:id
+router.put('/alerts/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!id) return res.status(400).json({ message: 'id must be a number' });
+
+  const parsed = parseAlert(req.body || {});
+  if (parsed.error) return res.status(400).json({ message: parsed.error });
+
+  try {
+    const targetError = await checkAlertTarget(parsed.alert);
+    if (targetError) return res.status(400).json({ message: targetError });
+    const alert = await updateAlert(req.userId, id, parsed.alert);
+    if (!alert) return res.status(404).json({ message: 'Alert not found' });
+    res.json(alert);
+  } catch (err) {
+    console.error('[PUT /planner/alerts] Error:', err);
+    res.status(500).json({ message: 'Failed to save alert' });
+  }
+});
+
+// DELETE /api/planner/alerts/:id
+router.delete('/alerts/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!id) return res.status(400).json({ message: 'id must be a number' });
+
+  try {
+    const deleted = await deleteAlert(req.userId, id);
+    if (!deleted) return res.status(404).json({ message: 'Alert not found' });
+    res.status(204).end();
+  } catch (err) {
+    console.error('[DELETE /planner/alerts] Error:', err);
+    res.status(500).json({ message: 'Failed to delete alert' });
+  }
+});
+
+// GET /api/planner/alerts/:id/deliveries
+router.get('/alerts/:id/deliveries', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!id) return res.status(400).json({ message: 'id must be a number' });
+
+  try {
+    res.json(await listDeliveries(req.userId, id));
+  } catch (err) {
+    console.error('[GET /planner/alerts/deliveries] Error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
 export default router;
@@ -1,61 +1,50 @@
 // routes/profile.js
 import express from 'express';
-import { sql, poolPromise } from '../db.js';
 import verifyToken from '../auth/verifyToken.js';
+import currentUser from '../auth/currentUser.js';
+import { validateRequest } from '../openapi/validate.js';
+import { isValidTimeZone } from '../forecast/time.js';
+import { parseBoards, parseSkillLevel, parseStance } from '../forecast/surfer.js';
+import { loadUnits, parseUnitsSetting, storeUnits } from '../forecast/units.js';
+import { getBoards, getProfile, replaceBoards, saveProfile } from '../services/profiles.js';
+import { eraseUserData, exportUserData, exportZip } from '../services/accounts.js';
+import { forgetUser } from '../services/users.js';
 
 const router = express.Router();
 
+// DELETE /api/profile must repeat this, so a stray request can't erase an account
+const DELETE_CONFIRMATION = 'delete my account';
+
 // Protect everything under /api/profile
-router.use(verifyToken);
-
-/**
- * Helper: extract an email/username from either v1 or v2 AAD tokens.
- * v2: preferred_username or email
- * v1: upn or unique_name
- */
-function getEmailFromToken(claims = {}) {
-  return (
-    claims.preferred_username ||
-    claims.email ||
-    claims.upn ||
-    claims.unique_name ||
-    null
-  );
-}
+router.use(verifyToken, currentUser);
+router.use(validateRequest);
 
 // GET: Retrieve the current user's profile
 router.get('/', async (req, res) => {
   try {
-    const pool = await poolPromise;
-    const email = getEmailFromToken(req.user);
-
-    if (!email) {
-      console.warn('[GET /profile] Missing email claim in token', {
-        tokenKeys: Object.keys(req.user || {}),
-      });
-      return res.status(400).json({ message: 'Email claim missing in token' });
-    }
+    const [row, boards] = await Promise.all([getProfile(req.userId), getBoards(req.userId)]);
 
-    const result = await pool
-      .request()
-      .input('email', sql.NVarChar, email)
-      .query(`
-        SELECT FullName, Country, PhoneNumber
-        FROM UserProfiles
-        WHERE LOWER(Email) = LOWER(@email)
-      `);
-
-    if (result.recordset.length === 0) {
+    if (!row) {
       return res.status(404).json({ message: 'Profile not found' });
     }
 
-    const row = result.recordset[0];
-
     return res.status(200).json({
       name: row.FullName ?? null,
-      email,
+      email: req.userEmail,
       country: row.Country ?? null,
       phone: row.PhoneNumber ?? null,
+      timeZone: row.TimeZone ?? null,
+      skillLevel: row.SkillLevel ?? null,
+      stance: row.Stance ?? null,
+      homeRegion: row.HomeRegion ?? null,
+      units: loadUnits(row.Units),
+      boards: boards.map((b) => ({
+        id: b.Id,
+        type: b.BoardType,
+        length: b.LengthCm ?? null,
+        volume: b.VolumeL ?? null,
+        name: b.Name ?? null,
+      })),
     });
   } catch (err) {
     console.error('[GET /profile] Error:', err);
@@ -64,60 +53,48 @@ router.get('/', async (req, res) => {
 });
 
 // POST: Create or update the user's profile
+// skillLevel seeds prefs for breaks the user adds later, boards (the whole
+// quiver, length in cm and volume in litres) feed the planner's board
+// suggestions. Leaving boards out keeps the saved quiver. units ("metric",
+// "imperial" or { height, wind, temperature }) is the default for planner
+// and sessions responses. timeZone, skillLevel, stance, homeRegion and units
+// keep their saved values when left out; null clears them.
 router.post('/', async (req, res) => {
   try {
-    const pool = await poolPromise;
-    const email = getEmailFromToken(req.user);
-
-    if (!email) {
-      console.warn('[POST /profile] Missing email claim in token', {
-        tokenKeys: Object.keys(req.user || {}),
-      });
-      return res.status(400).json({ message: 'Email claim missing in token' });
-    }
-
-    const { name, country, phone } = req.body || {};
+    const { name, country, phone, timeZone, homeRegion } = req.body || {};
     // Basic validation
     if (!name || !country) {
       return res.status(400).json({ message: 'Name and country are required' });
     }
-
-    // Does a row already exist?
-    const check = await pool
-      .request()
-      .input('email', sql.NVarChar, email)
-      .query(`
-        SELECT Id FROM UserProfiles
-        WHERE LOWER(Email) = LOWER(@email)
-      `);
-
-    if (check.recordset.length > 0) {
-      await pool
-        .request()
-        .input('email', sql.NVarChar, email)
-        .input('fullName', sql.NVarChar, name)
-        .input('country', sql.NVarChar, country)
-        .input('phoneNumber', sql.NVarChar, phone || null)
-        .query(`
-          UPDATE UserProfiles
-          SET FullName = @fullName,
-              Country = @country,
-              PhoneNumber = @phoneNumber
-          WHERE LOWER(Email) = LOWER(@email)
-        `);
-    } else {
-      await pool
-        .request()
-        .input('email', sql.NVarChar, email)
-        .input('fullName', sql.NVarChar, name)
-        .input('country', sql.NVarChar, country)
-        .input('phoneNumber', sql.NVarChar, phone || null)
-        .query(`
-          INSERT INTO UserProfiles (Email, FullName, Country, PhoneNumber, CreatedAt)
-          VALUES (@email, @fullName, @country, @phoneNumber, GETDATE())
-        `);
+    // IANA zone, e.g. Europe/Lisbon. Availability is interpreted in it.
+    if (timeZone != null && !isValidTimeZone(timeZone)) {
+      return res.status(400).json({ message: 'timeZone must be an IANA timezone' });
     }
 
+    const skillLevel = parseSkillLevel(req.body.skillLevel);
+    if (skillLevel.error) return res.status(400).json({ message: skillLevel.error });
+    const stance = parseStance(req.body.stance);
+    if (stance.error) return res.status(400).json({ message: stance.error });
+    const units = parseUnitsSetting(req.body.units);
+    if (units.error) return res.status(400).json({ message: units.error });
+
+    const quiver = req.body.boards != null ? parseBoards(req.body.boards) : null;
+    if (quiver?.error) return res.status(400).json({ message: quiver.error });
+
+    // undefined leaves the column as saved
+    const given = (field, value) => (req.body[field] === undefined ? undefined : value);
+    await saveProfile(req.userId, {
+      name,
+      country,
+      phone,
+      timeZone: given('timeZone', timeZone),
+      skillLevel: given('skillLevel', skillLevel.value),
+      stance: given('stance', stance.value),
+      homeRegion: given('homeRegion', homeRegion ? String(homeRegion).trim() || null : null),
+      units: given('units', storeUnits(units.value)),
+    });
+    if (quiver) await replaceBoards(req.userId, quiver.boards);
+
     return res.status(200).json({ message: 'Profile saved successfully' });
   } catch (err) {
     console.error('[POST /profile] Error:', err);
@@ -125,4 +102,49 @@ router.post('/', async (req, res) => {
   }
 });
 
+// GET: Everything held for the user, as JSON or ?format=zip
+router.get('/export', async (req, res) => {
+  try {
+    const archive = await exportUserData(req.userId);
+    if (!archive) {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+
+    const filename = `corelord-export-${archive.exportedAt.slice(0, 10)}`;
+    if (req.query.format === 'zip') {
+      const zip = await exportZip(archive);
+      res.set('Content-Type', 'application/zip');
+      res.set('Content-Disposition', `attachment; filename="${filename}.zip"`);
+      return res.status(200).send(zip);
+    }
+
+    res.set('Content-Disposition', `attachment; filename="${filename}.json"`);
+    return res.status(200).json(archive);
+  } catch (err) {
+    console.error('[GET /profile/export] Error:', err);
+    return res.status(500).json({ message: 'Failed to export account data' });
+  }
+});
+
+// DELETE: Erase the account and everything it owns, then confirm nothing is left
+router.delete('/', async (req, res) => {
+  if (req.body?.confirm !== DELETE_CONFIRMATION) {
+    return res.status(400).json({ message: `Send { "confirm": "${DELETE_CONFIRMATION}" } to delete the account` });
+  }
+
+  try {
+    const deleted = await eraseUserData(req.userId);
+    if (!deleted) {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+    forgetUser(req.userId);
+    console.log(`[Users] erased user ${req.userId}:`, deleted);
+
+    return res.status(200).json({ message: 'Account deleted', deleted });
+  } catch (err) {
+    console.error('[DELETE /profile] Error:', err);
+    return res.status(500).json({ message: 'Failed to delete account' });
+  }
+});
+
 export default router;
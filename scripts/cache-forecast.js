@@ -1,44 +1,26 @@
 // scripts/cache-forecast.js
-import fetch from 'node-fetch';
-import { sql, poolPromise } from '../db.js';
+import { listBreaksWithCoords } from '../services/breaks.js';
+import { refreshForecast } from '../services/forecastRefresh.js';
 
-const API_BASE = 'https://corelord-backend-etgpd9dfdufragfb.westeurope-01.azurewebsites.net';
 const HOURS = 168;
 
-async function getAllBreaks() {
-  const pool = await poolPromise;
-  const result = await pool.request().query(`
-    SELECT Id, Name, Region FROM dbo.SurfBreaks
-    WHERE Latitude IS NOT NULL AND Longitude IS NOT NULL
-  `);
-  return result.recordset;
-}
-
-async function cacheForecastForBreak(breakId, breakName, region) {
-  const url = `${API_BASE}/api/cache/daily?breakId=${breakId}&hours=${HOURS}`;
-  console.log(`→ Caching ${HOURS}h for ${breakName} (${region})...`);
+async function cacheForecastForBreak(brk) {
+  console.log(`→ Caching ${HOURS}h for ${brk.Name} (${brk.Region})...`);
 
   try {
-    const res = await fetch(url);
-    if (!res.ok) {
-      const msg = await res.text();
-      console.error(`✖ Failed for ${breakName} (${res.status}): ${msg}`);
-      return;
-    }
-
-    const json = await res.json();
-    console.log(`✔ Cached ${json.items || 0} entries for ${breakName}`);
+    const result = await refreshForecast(brk, { hours: HOURS });
+    console.log(`✔ Cached ${result.hours} entries for ${brk.Name} via ${result.provider}`);
   } catch (err) {
-    console.error(`✖ Error for ${breakName}: ${err.message}`);
+    console.error(`✖ Error for ${brk.Name}: ${err.message}`);
   }
 }
 
 async function main() {
-  const breaks = await getAllBreaks();
+  const breaks = await listBreaksWithCoords();
   console.log(`Found ${breaks.length} breaks to cache`);
 
   for (const brk of breaks) {
-    await cacheForecastForBreak(brk.Id, brk.Name, brk.Region);
+    await cacheForecastForBreak(brk);
   }
 
   console.log('✅ All done.');
@@ -0,0 +1,25 @@
+// scripts/ingest-observations.js
+// Pull every registered station feed into dbo.Observations.
+import { ingestStation, listStations } from '../services/observations.js';
+
+async function main() {
+  const stations = await listStations();
+  console.log(`Found ${stations.length} stations to ingest`);
+
+  for (const st of stations) {
+    try {
+      const r = await ingestStation(st);
+      console.log(`✔ ${st.StationCode}: ${r.inserted} new of ${r.parsed}`);
+    } catch (err) {
+      console.error(`✖ ${st.StationCode}: ${err.message}`);
+    }
+  }
+
+  console.log('✅ All done.');
+  process.exit(0);
+}
+
+main().catch(err => {
+  console.error('Fatal error:', err);
+  process.exit(1);
+});
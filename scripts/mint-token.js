@@ -0,0 +1,33 @@
+// scripts/mint-token.js
+// Usage: node scripts/mint-token.js --sub=dev-1 [--email=dev@example.com] [--scope=user_impersonation] [--expires=1h]
+// Prints a token from the local issuer. Needs { "type": "local" } in AUTH_ISSUERS and AUTH_LOCAL_SECRET.
+// Local tokens are never admin tokens; use an ADMIN_API_KEYS key for /api/cache.
+import { mintLocalToken } from '../auth/issuers.js';
+
+function parseArgs(argv) {
+  const opts = { sub: null, email: null, scope: null, expires: '1h' };
+  for (const arg of argv) {
+    if (arg.startsWith('--sub=')) opts.sub = arg.slice('--sub='.length);
+    else if (arg.startsWith('--email=')) opts.email = arg.slice('--email='.length);
+    else if (arg.startsWith('--scope=')) opts.scope = arg.slice('--scope='.length);
+    else if (arg.startsWith('--expires=')) opts.expires = arg.slice('--expires='.length);
+    else throw new Error(`Unknown argument ${arg}`);
+  }
+  if (!opts.sub) throw new Error('--sub is required');
+  return opts;
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const claims = { sub: opts.sub };
+  if (opts.email) claims.email = opts.email;
+  if (opts.scope) claims.scp = opts.scope;
+
+  console.log(mintLocalToken(claims, { expiresIn: opts.expires }));
+  process.exit(0);
+}
+
+main().catch(err => {
+  console.error('Fatal error:', err);
+  process.exit(1);
+});
@@ -0,0 +1,36 @@
+// scripts/prune-forecast-cache.js
+// Usage: node scripts/prune-forecast-cache.js [--apply] [--keep-latest=3] [--daily-days=90]
+// Without --apply this only prints the dry-run report.
+import { runRetention } from '../services/retention.js';
+
+function parseArgs(argv) {
+  const opts = { dryRun: true };
+  for (const arg of argv) {
+    if (arg === '--apply') opts.dryRun = false;
+    else if (arg.startsWith('--keep-latest=')) opts.keepLatest = parseInt(arg.split('=')[1], 10);
+    else if (arg.startsWith('--daily-days=')) opts.dailyDays = parseInt(arg.split('=')[1], 10);
+    else if (arg.startsWith('--compact-limit=')) opts.compactLimit = parseInt(arg.split('=')[1], 10);
+    else throw new Error(`Unknown argument ${arg}`);
+  }
+  return opts;
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  console.log(opts.dryRun ? 'Dry run, nothing will be deleted' : 'Applying retention policy');
+
+  const report = await runRetention(opts);
+  console.log(JSON.stringify(report, null, 2));
+
+  console.log(
+    opts.dryRun
+      ? `→ Would delete ${report.deleted} of ${report.scanned} rows (${report.bytesFreed} bytes)`
+      : `✔ Deleted ${report.deleted} rows, compacted ${report.compacted}`
+  );
+  process.exit(0);
+}
+
+main().catch(err => {
+  console.error('Fatal error:', err);
+  process.exit(1);
+});
@@ -0,0 +1,160 @@
+// services/accounts.js
+import JSZip from "jszip";
+import { sql, poolPromise } from "../db.js";
+import { recordAudit } from "./audit.js";
+
+/**
+ * Data-subject requests: everything we hold for one user (dbo.Users.Id), as
+ * an export or as one erasure.
+ *
+ * USER_DATA lists every table with rows owned by a user, children before
+ * their parents so erasure can delete in order. A new table keyed by UserId
+ * belongs here, otherwise it is neither exported nor erased.
+ *
+ * dbo.AuditLog is kept on erasure (it records what admins did); rows the
+ * user made as an admin are exported and lose their ActorName.
+ */
+const USER_DATA = [
+  {
+    key: "alertDeliveries",
+    table: "dbo.SurfAlertDeliveries",
+    owner: "AlertId IN (SELECT Id FROM dbo.SurfAlerts WHERE UserId = @UserId)",
+  },
+  { key: "alerts", table: "dbo.SurfAlerts", owner: "UserId = @UserId" },
+  { key: "availability", table: "dbo.UserAvailability", owner: "UserId = @UserId" },
+  { key: "breakPrefs", table: "dbo.UserBreakPrefs", owner: "UserId = @UserId" },
+  { key: "boards", table: "dbo.UserBoards", owner: "UserId = @UserId" },
+  { key: "profile", table: "dbo.UserProfiles", owner: "UserId = @UserId" },
+];
+
+async function findAccount(request, userId) {
+  const result = await request.input("UserId", sql.Int, userId).query(`
+    SELECT Id, Tenant, Subject, Email, CreatedAt, LastSeenAt FROM dbo.Users WHERE Id = @UserId
+  `);
+  return result.recordset[0] || null;
+}
+
+/**
+ * Every row held for the user, keyed as in USER_DATA, plus their account
+ * row and any admin audit entries they made. Null when the user is unknown.
+ */
+export async function exportUserData(userId) {
+  const pool = await poolPromise;
+  const account = await findAccount(pool.request(), userId);
+  if (!account) return null;
+
+  const data = {};
+  for (const { key, table, owner } of USER_DATA) {
+    const result = await pool
+      .request()
+      .input("UserId", sql.Int, userId)
+      .query(`SELECT * FROM ${table} WHERE ${owner}`);
+    data[key] = result.recordset;
+  }
+
+  const audit = await pool
+    .request()
+    .input("Subject", sql.NVarChar(128), account.Subject).query(`
+      SELECT OccurredAt, ActorType, ActorName, Action, Target, Status, DetailJson
+      FROM dbo.AuditLog
+      WHERE ActorType = 'user' AND ActorId = @Subject
+      ORDER BY OccurredAt
+    `);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    account: {
+      id: account.Id,
+      tenant: account.Tenant,
+      subject: account.Subject,
+      email: account.Email,
+      createdAt: account.CreatedAt,
+      lastSeenAt: account.LastSeenAt,
+    },
+    data,
+    adminActions: audit.recordset,
+  };
+}
+
+/**
+ * Delete every row in USER_DATA and the dbo.Users row in one transaction,
+ * then count again and roll back if anything is left. The erasure's own
+ * audit row is written in the same transaction, so there is never an
+ * erasure without one. Returns { [key]: rows deleted }, or null when the
+ * user is unknown.
+ */
+export async function eraseUserData(userId) {
+  const pool = await poolPromise;
+  const tx = new sql.Transaction(pool);
+  await tx.begin();
+  try {
+    const account = await findAccount(new sql.Request(tx), userId);
+    if (!account) {
+      await tx.rollback();
+      return null;
+    }
+
+    const deleted = {};
+    for (const { key, table, owner } of USER_DATA) {
+      const result = await new sql.Request(tx)
+        .input("UserId", sql.Int, userId)
+        .query(`DELETE FROM ${table} WHERE ${owner}`);
+      deleted[key] = result.rowsAffected[0];
+    }
+
+    await new sql.Request(tx)
+      .input("Subject", sql.NVarChar(128), account.Subject).query(`
+        UPDATE dbo.AuditLog SET ActorName = NULL
+        WHERE ActorType = 'user' AND ActorId = @Subject
+      `);
+    await new sql.Request(tx)
+      .input("UserId", sql.Int, userId)
+      .query(`DELETE FROM dbo.Users WHERE Id = @UserId`);
+
+    const remaining = [];
+    for (const { key, table, owner } of USER_DATA) {
+      const result = await new sql.Request(tx)
+        .input("UserId", sql.Int, userId)
+        .query(`SELECT COUNT(*) AS Remaining FROM ${table} WHERE ${owner}`);
+      if (result.recordset[0].Remaining) remaining.push(key);
+    }
+    if (await findAccount(new sql.Request(tx), userId)) remaining.push("account");
+    if (remaining.length) {
+      throw new Error(`erasure left rows in ${remaining.join(", ")}`);
+    }
+
+    // subject only: the email and name are what was just erased
+    await recordAudit(
+      {
+        actor: { type: "user", id: account.Subject, name: null },
+        action: "DELETE /api/profile",
+        target: `user:${userId}`,
+        status: 200,
+        detail: { deleted },
+      },
+      { transaction: tx }
+    );
+
+    await tx.commit();
+    return deleted;
+  } catch (err) {
+    await tx.rollback();
+    throw err;
+  }
+}
+
+/**
+ * The export as a zip: account.json, one file per USER_DATA key and
+ * admin-actions.json, all under one folder named after the export date.
+ */
+export async function exportZip(archive) {
+  const folder = `corelord-export-${archive.exportedAt.slice(0, 10)}`;
+  const zip = new JSZip();
+  const write = (name, value) => zip.file(`${folder}/${name}.json`, JSON.stringify(value, null, 2));
+
+  write("account", { exportedAt: archive.exportedAt, ...archive.account });
+  for (const [key, rows] of Object.entries(archive.data)) write(key, rows);
+  write("admin-actions", archive.adminActions);
+
+  return zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+}
@@ -0,0 +1,325 @@
+// services/accuracy.js
+import { sql, poolPromise } from "../db.js";
+import { resolveParam } from "../forecast/blend.js";
+import { ITEM_FIELDS } from "../forecast/items.js";
+import { listSnapshots } from "./forecastCache.js";
+import { getObservations, listStationsForBreak } from "./observations.js";
+
+/**
+ * Forecast verification.
+ *
+ * Each cached snapshot is a forecast issued at its FetchedAt. When the break
+ * has an observation station, the nearest station's readings are the truth
+ * ("observation"). Every break also gets a "nowcast" truth: the snapshot
+ * fetched nearest the target hour, before or after it, as long as that is
+ * within NOWCAST_TOLERANCE_H. Breaks are refetched every few days, so a
+ * snapshot just before each hour rarely exists; the tolerance says how stale
+ * a nowcast may be. Every snapshot issued before the nowcast is paired with
+ * it, per model source, and stored with its lead time.
+ *
+ * Snapshots are decoded once per process: verifyBreak keeps the hours it
+ * needs from each, and remembers which forecast/nowcast snapshot pairs are
+ * already stored so a refresh only works through what the new snapshot adds.
+ *
+ * Table expected:
+ * CREATE TABLE dbo.ForecastVerification (
+ *   Id         BIGINT IDENTITY PRIMARY KEY,
+ *   BreakId    INT NOT NULL,
+ *   TargetTime DATETIME2 NOT NULL,
+ *   LeadHours  INT NOT NULL,
+ *   Variable   NVARCHAR(32) NOT NULL,   -- item field, e.g. waveHeightM
+ *   Source     NVARCHAR(32) NOT NULL,   -- model source, e.g. noaa
+ *   Truth      NVARCHAR(32) NOT NULL,   -- nowcast | observation
+ *   Forecast   FLOAT NOT NULL,
+ *   Observed   FLOAT NOT NULL,
+ *   Error      FLOAT NOT NULL,          -- forecast - observed, signed
+ *   CreatedAt  DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+ *   CONSTRAINT UQ_ForecastVerification
+ *     UNIQUE (BreakId, TargetTime, LeadHours, Variable, Source, Truth)
+ * );
+ */
+
+// furthest a nowcast snapshot may be fetched from its target hour
+export const NOWCAST_TOLERANCE_H = 24;
+
+// variables worth verifying, in item units
+export const VERIFY_FIELDS = ITEM_FIELDS.filter((f) =>
+  ["waveHeightM", "swellPeriodS", "windSpeedKt", "windDir"].includes(f.field)
+);
+
+function hourEpochOf(time) {
+  const ts = +new Date(time);
+  return Number.isNaN(ts) ? null : Math.floor(ts / 3600000);
+}
+
+function signedError(forecast, observed, circular) {
+  if (!circular) return forecast - observed;
+  // -180..180, positive = forecast clockwise of observed
+  return ((forecast - observed + 540) % 360) - 180;
+}
+
+/**
+ * The hours of a snapshot payload, keyed by hour epoch, with only the params
+ * VERIFY_FIELDS reads.
+ */
+export function indexHours(json) {
+  const map = new Map();
+  for (const h of json.hours) {
+    const hourEpoch = hourEpochOf(h.time);
+    if (hourEpoch == null) continue;
+    map.set(hourEpoch, Object.fromEntries(VERIFY_FIELDS.map((v) => [v.param, h[v.param]])));
+  }
+  return map;
+}
+
+const pairKey = (forecast, truth) => `${forecast.id}>${truth.id}`;
+
+/**
+ * Pair forecasts with nowcasts. Pure.
+ * snapshots: [{ id, fetchedAt: ms, byHour }] oldest first, byHour from indexHours.
+ * done: "forecastId>truthId" keys already stored, skipped.
+ * Returns { rows, pairs }: rows ready for storeVerificationRows and the
+ * pair keys they cover.
+ */
+export function pairWithNowcasts(
+  breakId,
+  snapshots,
+  { toleranceH = NOWCAST_TOLERANCE_H, done = new Set() } = {}
+) {
+  const rows = [];
+  const pairs = new Set();
+  const targets = new Set();
+  for (const s of snapshots) for (const h of s.byHour.keys()) targets.add(h);
+
+  for (const target of targets) {
+    const targetMs = target * 3600000;
+
+    // snapshot fetched nearest the target that covers it, within tolerance
+    let truthSnap = null;
+    for (const s of snapshots) {
+      const distance = Math.abs(targetMs - s.fetchedAt);
+      if (distance > toleranceH * 3600000 || !s.byHour.has(target)) continue;
+      if (!truthSnap || distance < Math.abs(targetMs - truthSnap.fetchedAt)) truthSnap = s;
+    }
+    if (!truthSnap) continue;
+    const truthEntry = truthSnap.byHour.get(target);
+
+    // only snapshots issued before the nowcast are forecasts of it
+    for (const f of snapshots) {
+      if (f.fetchedAt >= truthSnap.fetchedAt) continue;
+      const leadHours = Math.round((targetMs - f.fetchedAt) / 3600000);
+      if (leadHours < 1) continue;
+      const key = pairKey(f, truthSnap);
+      if (done.has(key)) continue;
+      pairs.add(key);
+      const entry = f.byHour.get(target);
+      if (!entry) continue;
+
+      for (const v of VERIFY_FIELDS) {
+        const observed = resolveParam(truthEntry[v.param], { circular: !!v.circular }).value;
+        const param = entry[v.param];
+        if (observed == null || !param) continue;
+
+        for (const [source, raw] of Object.entries(param)) {
+          if (typeof raw !== "number" || !Number.isFinite(raw)) continue;
+          const scale = v.scale || 1;
+          const forecast = raw * scale;
+          const obs = observed * scale;
+          rows.push({
+            breakId,
+            targetTime: new Date(targetMs).toISOString(),
+            leadHours,
+            variable: v.field,
+            source,
+            truth: "nowcast",
+            forecast,
+            observed: obs,
+            error: signedError(forecast, obs, v.circular),
+          });
+        }
+      }
+    }
+  }
+  return { rows, pairs };
+}
+
+/**
+ * Pair forecasts with station observations. Pure.
+ * snapshots: as for pairWithNowcasts.
+ * observations: normalized records (see observations/), any order. The
+ * reading closest to the top of each hour stands for that hour.
+ */
+export function pairWithObservations(breakId, snapshots, observations) {
+  const byHour = new Map();
+  for (const o of observations) {
+    const ts = Date.parse(o.observedAt);
+    if (Number.isNaN(ts)) continue;
+    const hour = Math.round(ts / 3600000);
+    const prev = byHour.get(hour);
+    if (!prev || Math.abs(ts - hour * 3600000) < Math.abs(Date.parse(prev.observedAt) - hour * 3600000)) {
+      byHour.set(hour, o);
+    }
+  }
+
+  const rows = [];
+  for (const f of snapshots) {
+    for (const [hour, obs] of byHour) {
+      const entry = f.byHour.get(hour);
+      const leadHours = Math.round((hour * 3600000 - f.fetchedAt) / 3600000);
+      if (!entry || leadHours < 1) continue;
+
+      for (const v of VERIFY_FIELDS) {
+        const observed = obs[v.field];
+        const param = entry[v.param];
+        if (observed == null || !param) continue;
+
+        for (const [source, raw] of Object.entries(param)) {
+          if (typeof raw !== "number" || !Number.isFinite(raw)) continue;
+          const forecast = raw * (v.scale || 1);
+          rows.push({
+            breakId,
+            targetTime: new Date(hour * 3600000).toISOString(),
+            leadHours,
+            variable: v.field,
+            source,
+            truth: "observation",
+            forecast,
+            observed,
+            error: signedError(forecast, observed, v.circular),
+          });
+        }
+      }
+    }
+  }
+  return rows;
+}
+
+/**
+ * Insert rows, skipping pairs already verified. One OPENJSON parameter per
+ * chunk keeps the round trips down.
+ */
+export async function storeVerificationRows(rows) {
+  if (!rows.length) return 0;
+  const pool = await poolPromise;
+  let inserted = 0;
+
+  for (let i = 0; i < rows.length; i += 2000) {
+    const chunk = rows.slice(i, i + 2000);
+    const result = await pool
+      .request()
+      .input("rows", sql.NVarChar(sql.MAX), JSON.stringify(chunk)).query(`
+        INSERT INTO dbo.ForecastVerification
+          (BreakId, TargetTime, LeadHours, Variable, Source, Truth, Forecast, Observed, Error)
+        SELECT r.breakId, r.targetTime, r.leadHours, r.variable, r.source, r.truth,
+               r.forecast, r.observed, r.error
+        FROM OPENJSON(@rows) WITH (
+          breakId INT, targetTime DATETIME2, leadHours INT,
+          variable NVARCHAR(32), source NVARCHAR(32), truth NVARCHAR(32),
+          forecast FLOAT, observed FLOAT, error FLOAT
+        ) AS r
+        WHERE NOT EXISTS (
+          SELECT 1 FROM dbo.ForecastVerification v
+          WHERE v.BreakId = r.breakId AND v.TargetTime = r.targetTime
+            AND v.LeadHours = r.leadHours AND v.Variable = r.variable
+            AND v.Source = r.source AND v.Truth = r.truth
+        )
+      `);
+    inserted += result.rowsAffected[0] || 0;
+  }
+  return inserted;
+}
+
+// breakId -> { snapshots: Map<id, { id, fetchedAt, byHour }>, done: Set<pair key> }
+const verified = new Map();
+
+/**
+ * Verify one break over the snapshots of the last `days` days. Snapshots
+ * seen by an earlier run in this process are not decoded again, and
+ * nowcast pairs already stored are not rebuilt.
+ */
+export async function verifyBreak(breakId, { days = 10 } = {}) {
+  const state = verified.get(breakId) || { snapshots: new Map(), done: new Set() };
+  const listed = await listSnapshots(breakId, days, { known: [...state.snapshots.keys()] });
+
+  // anything no longer listed aged out of the window or was pruned
+  const current = new Map();
+  for (const s of listed) {
+    const held = state.snapshots.get(s.id);
+    if (held) current.set(s.id, held);
+    else if (s.json) current.set(s.id, { id: s.id, fetchedAt: s.fetchedAt, byHour: indexHours(s.json) });
+  }
+  const snapshots = [...current.values()];
+  const ids = new Set(current.keys());
+  const done = new Set(
+    [...state.done].filter((key) => key.split(">").every((id) => ids.has(Number(id))))
+  );
+
+  const nowcasts = pairWithNowcasts(breakId, snapshots, { done });
+  const rows = nowcasts.rows;
+
+  const [nearest] = await listStationsForBreak(breakId);
+  if (nearest) {
+    const observations = await getObservations(nearest.Id, days * 24);
+    rows.push(...pairWithObservations(breakId, snapshots, observations));
+  }
+
+  const inserted = await storeVerificationRows(rows);
+  for (const key of nowcasts.pairs) done.add(key);
+  verified.set(breakId, { snapshots: current, done });
+  console.log(
+    `[Accuracy] Break ${breakId}: ${snapshots.length} snapshots, ${rows.length} pairs, ${inserted} new`
+  );
+  return { breakId, snapshots: snapshots.length, pairs: rows.length, inserted };
+}
+
+/**
+ * Error statistics by variable, source and lead day (1 = 0..24h ahead).
+ * Returns { [variable]: { [source]: [{ leadDay, n, bias, mae, rmse }] } }.
+ */
+export async function getAccuracySummary(breakId, { days = 30, variable = null, source = null, truth = null } = {}) {
+  const pool = await poolPromise;
+  const request = pool
+    .request()
+    .input("BreakId", sql.Int, breakId)
+    .input("Days", sql.Int, days);
+
+  let where = "WHERE BreakId = @BreakId AND TargetTime > DATEADD(DAY, -@Days, SYSUTCDATETIME())";
+  if (variable) {
+    request.input("Variable", sql.NVarChar(32), variable);
+    where += " AND Variable = @Variable";
+  }
+  if (source) {
+    request.input("Source", sql.NVarChar(32), source);
+    where += " AND Source = @Source";
+  }
+  if (truth) {
+    request.input("Truth", sql.NVarChar(32), truth);
+    where += " AND Truth = @Truth";
+  }
+
+  const result = await request.query(`
+    SELECT Variable, Source, (LeadHours - 1) / 24 + 1 AS LeadDay,
+      COUNT(*) AS N,
+      AVG(Error) AS Bias,
+      AVG(ABS(Error)) AS Mae,
+      SQRT(AVG(Error * Error)) AS Rmse
+    FROM dbo.ForecastVerification
+    ${where}
+    GROUP BY Variable, Source, (LeadHours - 1) / 24 + 1
+    ORDER BY Variable, Source, LeadDay
+  `);
+
+  const out = {};
+  const round = (x) => (x == null ? null : Math.round(x * 1000) / 1000);
+  for (const r of result.recordset) {
+    const byVar = (out[r.Variable] ||= {});
+    (byVar[r.Source] ||= []).push({
+      leadDay: r.LeadDay,
+      n: r.N,
+      bias: round(r.Bias),
+      mae: round(r.Mae),
+      rmse: round(r.Rmse),
+    });
+  }
+  return out;
+}
@@ -0,0 +1,315 @@
+// services/alerts.js
+import { sql, poolPromise } from "../db.js";
+import { getBreaksByIds } from "./breaks.js";
+import { cachedItemsFor, loadPlannerContext } from "./sessions.js";
+import { scoreWindows, sortWindows } from "../forecast/sessions.js";
+import { dowHourInTZ } from "../forecast/time.js";
+import { buildAlertMessage, deliver, isQuietHour } from "../alerts/index.js";
+
+/**
+ * Saved surf alerts. After a cache run each alert covering a refreshed break
+ * re-scores the user's planner windows and sends the ones that newly clear
+ * its threshold.
+ *
+ * Tables expected:
+ * CREATE TABLE dbo.SurfAlerts (
+ *   Id         INT IDENTITY PRIMARY KEY,
+ *   UserId     INT NOT NULL,             -- dbo.Users.Id
+ *   UserEmail  NVARCHAR(256) NULL,       -- legacy, see services/users.js
+ *   BreakId    INT NULL,                 -- one break, or
+ *   Region     NVARCHAR(64) NULL,        -- every break the user has prefs for there
+ *   MinScore   INT NOT NULL,             -- 0..100, same scale as planner sessions
+ *   LeadHours  INT NOT NULL,             -- only windows starting within this many hours
+ *   QuietStart TINYINT NULL,             -- local hours in UserProfiles.TimeZone,
+ *   QuietEnd   TINYINT NULL,             -- 22..7 wraps midnight
+ *   Channel    NVARCHAR(16) NOT NULL,    -- webhook | email | push
+ *   Target     NVARCHAR(MAX) NOT NULL,   -- URL, address or push subscription JSON
+ *   Enabled    BIT NOT NULL DEFAULT 1,
+ *   CreatedAt  DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+ *   UpdatedAt  DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME()
+ * );
+ * CREATE TABLE dbo.SurfAlertDeliveries (
+ *   Id          INT IDENTITY PRIMARY KEY,
+ *   AlertId     INT NOT NULL,
+ *   BreakId     INT NOT NULL,
+ *   WindowStart DATETIME2 NOT NULL,
+ *   Score       INT NOT NULL,
+ *   Status      NVARCHAR(16) NOT NULL,   -- sent | failed
+ *   Detail      NVARCHAR(400) NULL,
+ *   SentAt      DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+ *   INDEX IX_SurfAlertDeliveries_Alert (AlertId, WindowStart)
+ * );
+ */
+
+// most windows listed in one notification
+const MAX_WINDOWS_PER_MESSAGE = 5;
+
+const ALERT_COLUMNS = `
+  Id, UserId, BreakId, Region, MinScore, LeadHours, QuietStart, QuietEnd,
+  Channel, Target, Enabled, CreatedAt, UpdatedAt
+`;
+
+function toApiAlert(row) {
+  return {
+    id: row.Id,
+    breakId: row.BreakId ?? null,
+    region: row.Region ?? null,
+    minScore: row.MinScore,
+    leadHours: row.LeadHours,
+    quietStart: row.QuietStart ?? null,
+    quietEnd: row.QuietEnd ?? null,
+    channel: row.Channel,
+    target: row.Target,
+    enabled: !!row.Enabled,
+    createdAt: row.CreatedAt,
+    updatedAt: row.UpdatedAt,
+  };
+}
+
+function bindAlert(request, alert) {
+  return request
+    .input("BreakId", sql.Int, alert.breakId)
+    .input("Region", sql.NVarChar(64), alert.region)
+    .input("MinScore", sql.Int, alert.minScore)
+    .input("LeadHours", sql.Int, alert.leadHours)
+    .input("QuietStart", sql.TinyInt, alert.quietStart)
+    .input("QuietEnd", sql.TinyInt, alert.quietEnd)
+    .input("Channel", sql.NVarChar(16), alert.channel)
+    .input("Target", sql.NVarChar(sql.MAX), alert.target)
+    .input("Enabled", sql.Bit, alert.enabled);
+}
+
+export async function listAlerts(userId) {
+  const pool = await poolPromise;
+  const result = await pool
+    .request()
+    .input("UserId", sql.Int, userId).query(`
+      SELECT ${ALERT_COLUMNS}
+      FROM dbo.SurfAlerts
+      WHERE UserId = @UserId
+      ORDER BY Id
+    `);
+  return result.recordset.map(toApiAlert);
+}
+
+export async function createAlert(userId, alert) {
+  const pool = await poolPromise;
+  const result = await bindAlert(pool.request().input("UserId", sql.Int, userId), alert)
+    .query(`
+      INSERT INTO dbo.SurfAlerts
+        (UserId, UserEmail, BreakId, Region, MinScore, LeadHours, QuietStart, QuietEnd,
+         Channel, Target, Enabled)
+      OUTPUT ${ALERT_COLUMNS.replace(/(\w+)/g, "inserted.$1")}
+      VALUES
+        (@UserId, (SELECT Email FROM dbo.Users WHERE Id = @UserId), @BreakId, @Region,
+         @MinScore, @LeadHours, @QuietStart, @QuietEnd,
+         @Channel, @Target, @Enabled)
+    `);
+  return toApiAlert(result.recordset[0]);
+}
+
+/**
+ * Replace an alert the user owns. Returns null when there is no such alert.
+ */
+export async function updateAlert(userId, id, alert) {
+  const pool = await poolPromise;
+  const result = await bindAlert(
+    pool.request().input("UserId", sql.Int, userId).input("Id", sql.Int, id),
+    alert
+  ).query(`
+      UPDATE dbo.SurfAlerts
+      SET BreakId = @BreakId, Region = @Region, MinScore = @MinScore,
+          LeadHours = @LeadHours, QuietStart = @QuietStart, QuietEnd = @QuietEnd,
+          Channel = @Channel, Target = @Target, Enabled = @Enabled,
+          UpdatedAt = SYSUTCDATETIME()
+      OUTPUT ${ALERT_COLUMNS.replace(/(\w+)/g, "inserted.$1")}
+      WHERE Id = @Id AND UserId = @UserId
+    `);
+  return result.recordset[0] ? toApiAlert(result.recordset[0]) : null;
+}
+
+export async function deleteAlert(userId, id) {
+  const pool = await poolPromise;
+  const result = await pool
+    .request()
+    .input("UserId", sql.Int, userId)
+    .input("Id", sql.Int, id).query(`
+      DELETE FROM dbo.SurfAlertDeliveries
+      WHERE AlertId IN (SELECT Id FROM dbo.SurfAlerts WHERE Id = @Id AND UserId = @UserId);
+      DELETE FROM dbo.SurfAlerts WHERE Id = @Id AND UserId = @UserId;
+    `);
+  return result.rowsAffected[1] > 0;
+}
+
+/**
+ * Delivery history for one of the user's alerts, newest first.
+ */
+export async function listDeliveries(userId, alertId, limit = 50) {
+  const pool = await poolPromise;
+  const result = await pool
+    .request()
+    .input("UserId", sql.Int, userId)
+    .input("AlertId", sql.Int, alertId)
+    .input("Limit", sql.Int, limit).query(`
+      SELECT TOP (@Limit) d.BreakId, d.WindowStart, d.Score, d.Status, d.Detail, d.SentAt
+      FROM dbo.SurfAlertDeliveries d
+      INNER JOIN dbo.SurfAlerts a ON a.Id = d.AlertId
+      WHERE d.AlertId = @AlertId AND a.UserId = @UserId
+      ORDER BY d.SentAt DESC
+    `);
+  return result.recordset.map((r) => ({
+    breakId: r.BreakId,
+    windowStart: new Date(r.WindowStart).toISOString(),
+    score: r.Score,
+    status: r.Status,
+    detail: r.Detail ?? null,
+    sentAt: new Date(r.SentAt).toISOString(),
+  }));
+}
+
+/* ---------- Evaluation ---------- */
+
+async function loadAlertsFor(pool, breaks) {
+  const result = await pool
+    .request()
+    .input("ids", sql.NVarChar(sql.MAX), JSON.stringify(breaks.map((b) => b.Id)))
+    .input("regions", sql.NVarChar(sql.MAX), JSON.stringify([...new Set(breaks.map((b) => b.Region))]))
+    .query(`
+      SELECT ${ALERT_COLUMNS}
+      FROM dbo.SurfAlerts
+      WHERE Enabled = 1 AND UserId IS NOT NULL
+        AND (BreakId IN (SELECT value FROM OPENJSON(@ids))
+             OR Region IN (SELECT value FROM OPENJSON(@regions)))
+      ORDER BY UserId, Id
+    `);
+  return result.recordset;
+}
+
+async function sentWindowKeys(pool, alertId) {
+  const result = await pool
+    .request()
+    .input("AlertId", sql.Int, alertId).query(`
+      SELECT BreakId, WindowStart
+      FROM dbo.SurfAlertDeliveries
+      WHERE AlertId = @AlertId AND Status = 'sent'
+        AND WindowStart >= DATEADD(HOUR, -2, SYSUTCDATETIME())
+    `);
+  return new Set(
+    result.recordset.map((r) => `${r.BreakId}@${new Date(r.WindowStart).toISOString()}`)
+  );
+}
+
+async function recordDeliveries(pool, alertId, windows, status, detail) {
+  const rows = windows.map((w) => ({
+    alertId,
+    breakId: w.breakId,
+    windowStart: w.start,
+    score: w.score,
+  }));
+  await pool
+    .request()
+    .input("rows", sql.NVarChar(sql.MAX), JSON.stringify(rows))
+    .input("Status", sql.NVarChar(16), status)
+    .input("Detail", sql.NVarChar(400), detail ? String(detail).slice(0, 400) : null).query(`
+      INSERT INTO dbo.SurfAlertDeliveries (AlertId, BreakId, WindowStart, Score, Status, Detail)
+      SELECT r.alertId, r.breakId, r.windowStart, r.score, @Status, @Detail
+      FROM OPENJSON(@rows) WITH (
+        alertId INT, breakId INT, windowStart DATETIME2, score INT
+      ) AS r
+    `);
+}
+
+/**
+ * Windows for one alert over the breaks refreshed in this run. A break alert
+ * without prefs for that break scores against neutral prefs; a region alert
+ * only covers breaks the user has prefs for, like the sessions planner.
+ */
+function windowsForAlert(alert, breaks, user, itemsByBreak, now) {
+  const targets = alert.BreakId
+    ? breaks.filter((b) => b.Id === alert.BreakId)
+    : breaks.filter((b) => b.Region === alert.Region && user.prefs.has(b.Id));
+
+  const until = now + alert.LeadHours * 3600000;
+  const out = [];
+  for (const brk of targets) {
+    const items = itemsByBreak.get(brk.Id);
+    if (!items?.length) continue;
+
+    const pref = user.prefs.get(brk.Id) || { BreakId: brk.Id, BreakName: brk.Name, Region: brk.Region };
+    const windows = scoreWindows(items, pref, {
+      tz: user.tz,
+      availability: user.availability,
+      days: Math.ceil(alert.LeadHours / 24),
+      brk,
+    });
+    for (const w of windows) {
+      const start = Date.parse(w.start);
+      if (start >= now && start <= until && w.score >= alert.MinScore) out.push(w);
+    }
+  }
+  return sortWindows(out);
+}
+
+/**
+ * Evaluate every enabled alert that covers one of breakIds and deliver new
+ * qualifying windows. Alerts inside their quiet hours are left for the next
+ * run; nothing is recorded for them so the windows still go out later.
+ */
+export async function evaluateAlerts(breakIds, { now = Date.now() } = {}) {
+  const summary = { alerts: 0, sent: 0, failed: 0, quiet: 0, nothingNew: 0 };
+  if (!breakIds.length) return summary;
+
+  const pool = await poolPromise;
+  const breaks = await getBreaksByIds(breakIds);
+  if (!breaks.length) return summary;
+
+  const alerts = await loadAlertsFor(pool, breaks);
+  summary.alerts = alerts.length;
+  if (!alerts.length) return summary;
+
+  // forecast items per break, built once for every alert that needs them
+  const itemsByBreak = new Map();
+  for (const brk of breaks) {
+    itemsByBreak.set(brk.Id, await cachedItemsFor(brk));
+  }
+
+  const users = new Map();
+  for (const alert of alerts) {
+    if (!users.has(alert.UserId)) {
+      const ctx = await loadPlannerContext(alert.UserId);
+      users.set(alert.UserId, { ...ctx, tz: ctx.tz || "UTC" });
+    }
+    const user = users.get(alert.UserId);
+
+    const { hour } = dowHourInTZ(new Date(now), user.tz);
+    if (isQuietHour(hour, alert.QuietStart, alert.QuietEnd)) {
+      summary.quiet++;
+      continue;
+    }
+
+    const sent = await sentWindowKeys(pool, alert.Id);
+    const fresh = windowsForAlert(alert, breaks, user, itemsByBreak, now)
+      .filter((w) => !sent.has(`${w.breakId}@${w.start}`))
+      .slice(0, MAX_WINDOWS_PER_MESSAGE);
+    if (!fresh.length) {
+      summary.nothingNew++;
+      continue;
+    }
+
+    const message = buildAlertMessage(alert, fresh, user.units);
+    try {
+      await deliver(alert.Channel, alert.Target, message);
+      await recordDeliveries(pool, alert.Id, fresh, "sent", null);
+      summary.sent++;
+    } catch (err) {
+      console.error(`[Alerts] Alert ${alert.Id} via ${alert.Channel} failed: ${err.message}`);
+      await recordDeliveries(pool, alert.Id, fresh, "failed", err.message);
+      summary.failed++;
+    }
+  }
+
+  console.log(
+    `[Alerts] ${summary.alerts} alerts for ${breaks.length} breaks: sent=${summary.sent} failed=${summary.failed} quiet=${summary.quiet}`
+  );
+  return summary;
+}
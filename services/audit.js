@@ -0,0 +1,77 @@
+// services/audit.js
+import { sql, poolPromise } from "../db.js";
+
+/**
+ * Who triggered which admin or refresh call, and how it ended.
+ *
+ * Table expected:
+ * CREATE TABLE dbo.AuditLog (
+ *   Id          BIGINT IDENTITY PRIMARY KEY,
+ *   OccurredAt  DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+ *   ActorType   NVARCHAR(16) NOT NULL,   -- user | app | apikey
+ *   ActorId     NVARCHAR(128) NOT NULL,  -- oid, appid or key name
+ *   ActorName   NVARCHAR(256) NULL,
+ *   Action      NVARCHAR(128) NOT NULL,  -- e.g. POST /api/cache/admin/retention
+ *   Target      NVARCHAR(256) NULL,      -- e.g. break:12
+ *   Status      INT NULL,                -- HTTP status returned
+ *   DetailJson  NVARCHAR(MAX) NULL
+ * );
+ * CREATE INDEX IX_AuditLog_OccurredAt ON dbo.AuditLog (OccurredAt DESC);
+ */
+
+const MAX_DETAIL = 4000;
+
+/**
+ * Pass { transaction } to write the row as part of a caller's transaction.
+ */
+export async function recordAudit({ actor, action, target = null, status = null, detail = null }, { transaction = null } = {}) {
+  let detailJson = detail != null ? JSON.stringify(detail) : null;
+  if (detailJson && detailJson.length > MAX_DETAIL) detailJson = detailJson.slice(0, MAX_DETAIL);
+
+  const request = transaction ? new sql.Request(transaction) : (await poolPromise).request();
+  await request
+    .input("ActorType", sql.NVarChar(16), actor.type)
+    .input("ActorId", sql.NVarChar(128), String(actor.id).slice(0, 128))
+    .input("ActorName", sql.NVarChar(256), actor.name ? String(actor.name).slice(0, 256) : null)
+    .input("Action", sql.NVarChar(128), action.slice(0, 128))
+    .input("Target", sql.NVarChar(256), target ? String(target).slice(0, 256) : null)
+    .input("Status", sql.Int, status)
+    .input("DetailJson", sql.NVarChar(sql.MAX), detailJson).query(`
+      INSERT INTO dbo.AuditLog (ActorType, ActorId, ActorName, Action, Target, Status, DetailJson)
+      VALUES (@ActorType, @ActorId, @ActorName, @Action, @Target, @Status, @DetailJson)
+    `);
+}
+
+/**
+ * Newest entries first, optionally for one actor.
+ */
+export async function listAudit({ limit = 100, actorId = null } = {}) {
+  const pool = await poolPromise;
+  const result = await pool
+    .request()
+    .input("Limit", sql.Int, limit)
+    .input("ActorId", sql.NVarChar(128), actorId).query(`
+      SELECT TOP (@Limit) Id, OccurredAt, ActorType, ActorId, ActorName, Action, Target, Status, DetailJson
+      FROM dbo.AuditLog
+      WHERE @ActorId IS NULL OR ActorId = @ActorId
+      ORDER BY OccurredAt DESC, Id DESC
+    `);
+
+  return result.recordset.map((r) => {
+    let detail = null;
+    try {
+      detail = r.DetailJson ? JSON.parse(r.DetailJson) : null;
+    } catch {
+      detail = r.DetailJson;
+    }
+    return {
+      id: r.Id,
+      occurredAt: r.OccurredAt,
+      actor: { type: r.ActorType, id: r.ActorId, name: r.ActorName },
+      action: r.Action,
+      target: r.Target,
+      status: r.Status,
+      detail,
+    };
+  });
+}
@@ -0,0 +1,47 @@
+// services/availability.js
+import { sql, poolPromise } from "../db.js";
+
+/**
+ * Weekly availability, two-hour slots as { Dow, StartHour } in the user's
+ * profile timezone.
+ */
+export async function getAvailability(userId) {
+  const pool = await poolPromise;
+  const result = await pool
+    .request()
+    .input("userId", sql.Int, userId).query(`
+      SELECT Dow, StartHour
+      FROM dbo.UserAvailability
+      WHERE UserId = @userId
+      ORDER BY Dow, StartHour
+    `);
+  return result.recordset;
+}
+
+/**
+ * Replace every slot for the user. slots: [{ dow, startHour }]
+ */
+export async function replaceAvailability(userId, slots) {
+  const pool = await poolPromise;
+  const tx = new sql.Transaction(pool);
+  await tx.begin();
+  try {
+    await new sql.Request(tx)
+      .input("userId", sql.Int, userId)
+      .query(`DELETE FROM dbo.UserAvailability WHERE UserId = @userId`);
+
+    if (slots.length > 0) {
+      await new sql.Request(tx)
+        .input("userId", sql.Int, userId)
+        .input("slots", sql.NVarChar(sql.MAX), JSON.stringify(slots)).query(`
+          INSERT INTO dbo.UserAvailability (UserId, UserEmail, Dow, StartHour)
+          SELECT @userId, (SELECT Email FROM dbo.Users WHERE Id = @userId), s.dow, s.startHour
+          FROM OPENJSON(@slots) WITH (dow TINYINT, startHour TINYINT) AS s
+        `);
+    }
+    await tx.commit();
+  } catch (err) {
+    await tx.rollback();
+    throw err;
+  }
+}
@@ -0,0 +1,94 @@
+// services/breaks.js
+import { sql, poolPromise } from "../db.js";
+
+/**
+ * dbo.SurfBreaks reads and writes. Every read returns the full column set so
+ * a row can go straight to the forecast modules (timezone, exposure).
+ */
+const BREAK_COLUMNS = `
+  Id, Name, Region, Latitude, Longitude, ForecastProvider, TimeZone,
+  CoastFacingDeg, SwellWindowMinDeg, SwellWindowMaxDeg, SwellShadowFactor
+`;
+
+export async function getBreakById(breakId) {
+  const pool = await poolPromise;
+  const result = await pool
+    .request()
+    .input("id", sql.Int, breakId).query(`
+      SELECT TOP 1 ${BREAK_COLUMNS}
+      FROM dbo.SurfBreaks
+      WHERE Id = @id
+    `);
+  return result.recordset[0] || null;
+}
+
+export async function getBreaksByIds(breakIds) {
+  if (!breakIds.length) return [];
+  const pool = await poolPromise;
+  const result = await pool
+    .request()
+    .input("ids", sql.NVarChar(sql.MAX), JSON.stringify(breakIds)).query(`
+      SELECT ${BREAK_COLUMNS}
+      FROM dbo.SurfBreaks
+      WHERE Id IN (SELECT value FROM OPENJSON(@ids))
+    `);
+  return result.recordset;
+}
+
+export async function listBreaks() {
+  const pool = await poolPromise;
+  const result = await pool.request().query(`
+    SELECT ${BREAK_COLUMNS}
+    FROM dbo.SurfBreaks
+    ORDER BY Region, Name
+  `);
+  return result.recordset;
+}
+
+export async function listBreaksByRegion(region) {
+  const pool = await poolPromise;
+  const result = await pool
+    .request()
+    .input("region", sql.NVarChar, region).query(`
+      SELECT ${BREAK_COLUMNS}
+      FROM dbo.SurfBreaks
+      WHERE Region = @region
+      ORDER BY Name ASC
+    `);
+  return result.recordset;
+}
+
+export async function listBreaksWithCoords() {
+  const pool = await poolPromise;
+  const result = await pool.request().query(`
+    SELECT ${BREAK_COLUMNS}
+    FROM dbo.SurfBreaks
+    WHERE Latitude IS NOT NULL AND Longitude IS NOT NULL
+    ORDER BY Id
+  `);
+  return result.recordset;
+}
+
+export async function listBreaksMissingCoords() {
+  const pool = await poolPromise;
+  const result = await pool.request().query(`
+    SELECT Id, Name, Region
+    FROM dbo.SurfBreaks
+    WHERE Latitude IS NULL OR Longitude IS NULL
+    ORDER BY Id
+  `);
+  return result.recordset;
+}
+
+export async function updateBreakCoords(id, lat, lng) {
+  const pool = await poolPromise;
+  await pool
+    .request()
+    .input("id", sql.Int, id)
+    .input("lat", sql.Float, lat)
+    .input("lng", sql.Float, lng).query(`
+      UPDATE dbo.SurfBreaks
+      SET Latitude = @lat, Longitude = @lng
+      WHERE Id = @id
+    `);
+}
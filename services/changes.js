@@ -0,0 +1,74 @@
+// services/changes.js
+import { sql, poolPromise } from "../db.js";
+import { diffForecasts } from "../forecast/changes.js";
+
+/**
+ * Change summaries between consecutive cache runs.
+ *
+ * Table expected:
+ * CREATE TABLE dbo.ForecastChanges (
+ *   Id                INT IDENTITY PRIMARY KEY,
+ *   BreakId           INT NOT NULL,
+ *   FetchedAt         DATETIME2 NOT NULL,  -- the new snapshot
+ *   PreviousFetchedAt DATETIME2 NOT NULL,
+ *   ChangedDays       INT NOT NULL,
+ *   Headline          NVARCHAR(1000) NOT NULL,
+ *   SummaryJson       NVARCHAR(MAX) NOT NULL,
+ *   CreatedAt         DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME()
+ * );
+ */
+
+/**
+ * Diff two snapshots ({ fetchedAt, json }) and persist the result.
+ * Returns the stored summary.
+ */
+export async function recordForecastChange(brk, previous, next) {
+  const diff = diffForecasts(previous.json, next.json, brk);
+  const pool = await poolPromise;
+  await pool
+    .request()
+    .input("BreakId", sql.Int, brk.Id)
+    .input("FetchedAt", sql.DateTime2, new Date(next.fetchedAt))
+    .input("PreviousFetchedAt", sql.DateTime2, new Date(previous.fetchedAt))
+    .input("ChangedDays", sql.Int, diff.changed)
+    .input("Headline", sql.NVarChar(1000), diff.headline.slice(0, 1000))
+    .input("SummaryJson", sql.NVarChar(sql.MAX), JSON.stringify(diff.days)).query(`
+      INSERT INTO dbo.ForecastChanges
+        (BreakId, FetchedAt, PreviousFetchedAt, ChangedDays, Headline, SummaryJson)
+      VALUES
+        (@BreakId, @FetchedAt, @PreviousFetchedAt, @ChangedDays, @Headline, @SummaryJson)
+    `);
+  return diff;
+}
+
+/**
+ * Most recent change summaries for a break, newest first.
+ */
+export async function listForecastChanges(breakId, limit = 5) {
+  const pool = await poolPromise;
+  const result = await pool
+    .request()
+    .input("BreakId", sql.Int, breakId)
+    .input("Limit", sql.Int, limit).query(`
+      SELECT TOP (@Limit) FetchedAt, PreviousFetchedAt, ChangedDays, Headline, SummaryJson
+      FROM dbo.ForecastChanges
+      WHERE BreakId = @BreakId
+      ORDER BY FetchedAt DESC
+    `);
+
+  return result.recordset.map((r) => {
+    let days = [];
+    try {
+      days = JSON.parse(r.SummaryJson);
+    } catch (err) {
+      console.warn(`[listForecastChanges] Bad SummaryJson for BreakId ${breakId}: ${err.message}`);
+    }
+    return {
+      fetchedAt: new Date(r.FetchedAt).toISOString(),
+      previousFetchedAt: new Date(r.PreviousFetchedAt).toISOString(),
+      changedDays: r.ChangedDays,
+      headline: r.Headline,
+      days,
+    };
+  });
+}
@@ -0,0 +1,192 @@
+// services/forecastCache.js
+import zlib from "zlib";
+import { sql, poolPromise } from "../db.js";
+
+/**
+ * dbo.ForecastCache access. Payloads are stored gzip-compressed in DataGz;
+ * rows written before compression still have DataJson and are read as-is
+ * until compaction rewrites them.
+ *
+ * The gzip stream holds UTF-16LE text, the same bytes SQL Server's COMPRESS
+ * produces for NVARCHAR, so ad-hoc queries can read it with
+ *   CAST(DECOMPRESS(DataGz) AS NVARCHAR(MAX))
+ *
+ * Table expected:
+ * CREATE TABLE dbo.ForecastCache (
+ *   Id        INT IDENTITY PRIMARY KEY,
+ *   BreakId   INT NOT NULL,
+ *   Hours     INT NOT NULL,
+ *   DataJson  NVARCHAR(MAX) NULL,       -- legacy, uncompressed
+ *   DataGz    VARBINARY(MAX) NULL,
+ *   FetchedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME()
+ * );
+ */
+
+// horizon every cache run stores; readers ask for this snapshot
+export const CACHE_HOURS = 168;
+
+export function encodePayload(json) {
+  return zlib.gzipSync(Buffer.from(JSON.stringify(json), "utf16le"));
+}
+
+export function decodePayload(row) {
+  if (row.DataGz) return JSON.parse(zlib.gunzipSync(row.DataGz).toString("utf16le"));
+  if (row.DataJson) return JSON.parse(row.DataJson);
+  return null;
+}
+
+export async function storeCachedForecast(breakId, hours, json) {
+  const pool = await poolPromise;
+  const gz = encodePayload(json);
+  console.log(
+    `[SQL] Storing forecast: BreakId=${breakId}, Size=${gz.length} (gzip), Hours=${hours}`
+  );
+  await pool
+    .request()
+    .input("BreakId", sql.Int, breakId)
+    .input("Hours", sql.Int, hours)
+    .input("DataGz", sql.VarBinary(sql.MAX), gz).query(`
+      INSERT INTO dbo.ForecastCache (BreakId, Hours, DataGz)
+      VALUES (@BreakId, @Hours, @DataGz)
+    `);
+}
+
+/**
+ * Newest snapshot for a break within the last 7 days as
+ * { id, fetchedAt: ms, json }, or null.
+ */
+export async function getLatestSnapshot(breakId, hours) {
+  const pool = await poolPromise;
+  const result = await pool
+    .request()
+    .input("BreakId", sql.Int, breakId)
+    .input("Hours", sql.Int, hours).query(`
+      SELECT TOP 1 Id, DataJson, DataGz, FetchedAt
+      FROM dbo.ForecastCache
+      WHERE BreakId = @BreakId AND Hours = @Hours
+        AND FetchedAt > DATEADD(DAY, -7, SYSUTCDATETIME())
+      ORDER BY FetchedAt DESC
+    `);
+
+  const record = result.recordset[0];
+  if (!record) return null;
+
+  try {
+    const json = decodePayload(record);
+    return json ? { id: record.Id, fetchedAt: new Date(record.FetchedAt).getTime(), json } : null;
+  } catch (err) {
+    console.error(
+      `[getCachedForecast] Failed to parse cached JSON for BreakId ${breakId}:`,
+      err.message
+    );
+    return null;
+  }
+}
+
+/**
+ * Newest payload for a break within the last 7 days, or null.
+ */
+export async function getCachedForecast(breakId, hours) {
+  const snapshot = await getLatestSnapshot(breakId, hours);
+  return snapshot ? snapshot.json : null;
+}
+
+/**
+ * Metadata for every cached row, no payloads. Used by retention.
+ */
+export async function listCacheRows() {
+  const pool = await poolPromise;
+  const result = await pool.request().query(`
+    SELECT Id, BreakId, Hours, FetchedAt,
+      DATALENGTH(DataJson) AS JsonBytes,
+      DATALENGTH(DataGz) AS GzBytes
+    FROM dbo.ForecastCache
+    ORDER BY BreakId, Hours, FetchedAt DESC
+  `);
+  return result.recordset;
+}
+
+export async function deleteCacheRows(ids) {
+  if (!ids.length) return 0;
+  const pool = await poolPromise;
+  let deleted = 0;
+  // OPENJSON keeps this to one parameter however many ids there are
+  for (let i = 0; i < ids.length; i += 1000) {
+    const chunk = ids.slice(i, i + 1000);
+    const result = await pool
+      .request()
+      .input("ids", sql.NVarChar(sql.MAX), JSON.stringify(chunk)).query(`
+        DELETE FROM dbo.ForecastCache
+        WHERE Id IN (SELECT CAST(value AS INT) FROM OPENJSON(@ids))
+      `);
+    deleted += result.rowsAffected[0] || 0;
+  }
+  return deleted;
+}
+
+/**
+ * Rewrite one legacy row as compressed. Returns bytes before and after.
+ */
+export async function compactCacheRow(id) {
+  const pool = await poolPromise;
+  const result = await pool
+    .request()
+    .input("Id", sql.Int, id).query(`
+      SELECT DataJson FROM dbo.ForecastCache WHERE Id = @Id AND DataJson IS NOT NULL
+    `);
+  const row = result.recordset[0];
+  if (!row) return null;
+
+  // parse first so a corrupt legacy row is left alone rather than compressed
+  const gz = encodePayload(JSON.parse(row.DataJson));
+  await pool
+    .request()
+    .input("Id", sql.Int, id)
+    .input("DataGz", sql.VarBinary(sql.MAX), gz).query(`
+      UPDATE dbo.ForecastCache
+      SET DataGz = @DataGz, DataJson = NULL
+      WHERE Id = @Id
+    `);
+  return { before: row.DataJson.length * 2, after: gz.length };
+}
+
+/**
+ * Every snapshot for a break fetched in the last `days` days, oldest first,
+ * decoded. Rows that fail to parse are skipped. Ids in `known` are listed
+ * with json null and their payload is neither read nor decoded.
+ */
+export async function listSnapshots(breakId, days, { known = [] } = {}) {
+  const pool = await poolPromise;
+  const result = await pool
+    .request()
+    .input("BreakId", sql.Int, breakId)
+    .input("Days", sql.Int, days)
+    .input("Known", sql.NVarChar(sql.MAX), JSON.stringify(known)).query(`
+      SELECT c.Id, c.Hours, c.FetchedAt,
+        CASE WHEN k.Id IS NULL THEN c.DataJson END AS DataJson,
+        CASE WHEN k.Id IS NULL THEN c.DataGz END AS DataGz,
+        CAST(CASE WHEN k.Id IS NULL THEN 0 ELSE 1 END AS BIT) AS Known
+      FROM dbo.ForecastCache c
+      LEFT JOIN (SELECT CAST(value AS INT) AS Id FROM OPENJSON(@Known)) k ON k.Id = c.Id
+      WHERE c.BreakId = @BreakId
+        AND c.FetchedAt > DATEADD(DAY, -@Days, SYSUTCDATETIME())
+      ORDER BY c.FetchedAt ASC
+    `);
+
+  const snapshots = [];
+  for (const row of result.recordset) {
+    if (row.Known) {
+      snapshots.push({ id: row.Id, fetchedAt: new Date(row.FetchedAt).getTime(), json: null });
+      continue;
+    }
+    try {
+      const json = decodePayload(row);
+      if (Array.isArray(json?.hours)) {
+        snapshots.push({ id: row.Id, fetchedAt: new Date(row.FetchedAt).getTime(), json });
+      }
+    } catch (err) {
+      console.warn(`[listSnapshots] Skipping unreadable row ${row.Id}: ${err.message}`);
+    }
+  }
+  return snapshots;
+}
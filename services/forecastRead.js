@@ -0,0 +1,32 @@
+// services/forecastRead.js
+import { getBreakById } from "./breaks.js";
+import { CACHE_HOURS, getLatestSnapshot } from "./forecastCache.js";
+import { toForecastItems } from "../forecast/items.js";
+
+/**
+ * Cached forecast for a break as items, shared by the v1 and v2 routes.
+ * Returns { brk, json, fetchedAt, items } or { error: { status, message } }.
+ */
+export async function readForecast(breakId, { sources = [], blend = null } = {}) {
+  const brk = await getBreakById(breakId);
+  if (!brk) return { error: { status: 404, message: "break not found" } };
+  if (brk.Latitude == null || brk.Longitude == null) {
+    return { error: { status: 400, message: "Break has no coordinates" } };
+  }
+
+  const snapshot = await getLatestSnapshot(breakId, CACHE_HOURS);
+  if (!snapshot) {
+    return {
+      error: {
+        status: 503,
+        message: "Forecast data is not yet available. Please check back later.",
+      },
+    };
+  }
+  if (!Array.isArray(snapshot.json.hours)) {
+    return { error: { status: 500, message: "Invalid forecast data: missing hours array" } };
+  }
+
+  const items = toForecastItems(snapshot.json, { sources, blend, brk });
+  return { brk, json: snapshot.json, fetchedAt: snapshot.fetchedAt, items };
+}
@@ -0,0 +1,62 @@
+// services/forecastRefresh.js
+import { buildForecast } from "../providers/index.js";
+import { getLatestSnapshot, storeCachedForecast } from "./forecastCache.js";
+import { getTideModel } from "./tideConstituents.js";
+import { recordForecastChange } from "./changes.js";
+import { verifyBreak } from "./accuracy.js";
+import { evaluateAlerts } from "./alerts.js";
+
+/**
+ * One cache run for a break: fetch through the provider chain, store the
+ * snapshot, then the follow-ups that read it. Follow-ups are non-fatal; the
+ * fetch and store are not.
+ * Returns { break, hours, provider, fallbackFrom, changes, alertsSent }.
+ */
+export async function refreshForecast(brk, { hours = 168, provider = null } = {}) {
+  console.log(`[Daily] Fetching forecast for ${brk.Name} (${brk.Id})`);
+  // provider chain with fallback, tide merged in (non-fatal if tide unavailable),
+  // gaps filled from the break's harmonic constituents when it has them
+  const tideModel = await getTideModel(brk.Id);
+  const json = await buildForecast(brk, hours, { provider, tideModel });
+
+  const previous = await getLatestSnapshot(brk.Id, hours);
+  await storeCachedForecast(brk.Id, hours, json);
+
+  // score older snapshots against this fresh nowcast
+  try {
+    await verifyBreak(brk.Id);
+  } catch (e) {
+    console.warn(`[Daily] Verification failed for ${brk.Name}: ${e.message}`);
+  }
+
+  // what moved since the last run
+  let changes = null;
+  if (previous) {
+    try {
+      changes = await recordForecastChange(brk, previous, { fetchedAt: Date.now(), json });
+    } catch (e) {
+      console.warn(`[Daily] Change detection failed for ${brk.Name}: ${e.message}`);
+    }
+  }
+
+  // fresh data may push saved alerts over their threshold
+  let alerts = null;
+  try {
+    alerts = await evaluateAlerts([brk.Id]);
+  } catch (e) {
+    console.warn(`[Daily] Alert evaluation failed for ${brk.Name}: ${e.message}`);
+  }
+
+  const items = json.hours || [];
+  console.log(
+    `[Daily] Stored ${items.length} hours for ${brk.Name} via ${json._provider.name} (tide matched=${json._tideMeta?.hoursWithTide || 0}, harmonic=${json._tideMeta?.hoursHarmonic || 0})`
+  );
+  return {
+    break: brk.Name,
+    hours: items.length,
+    provider: json._provider.name,
+    fallbackFrom: json._provider.fallbackFrom,
+    changes: changes ? changes.headline : null,
+    alertsSent: alerts ? alerts.sent : null,
+  };
+}
@@ -0,0 +1,185 @@
+// services/observations.js
+import { sql, poolPromise } from "../db.js";
+import { OBSERVATION_FIELDS } from "../observations/generic.js";
+import { loadStationFeed } from "../observations/index.js";
+
+/**
+ * Buoy / station observations.
+ *
+ * Tables expected:
+ * CREATE TABLE dbo.ObservationStations (
+ *   Id          INT IDENTITY PRIMARY KEY,
+ *   StationCode NVARCHAR(32) NOT NULL UNIQUE,  -- e.g. NDBC 46026
+ *   Name        NVARCHAR(128) NULL,
+ *   Format      NVARCHAR(16) NOT NULL,         -- ndbc | csv | json
+ *   FeedUrl     NVARCHAR(512) NOT NULL,        -- http(s) URL or local path
+ *   Latitude    FLOAT NULL,
+ *   Longitude   FLOAT NULL,
+ *   CreatedAt   DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME()
+ * );
+ * CREATE TABLE dbo.BreakStations (
+ *   BreakId    INT NOT NULL,
+ *   StationId  INT NOT NULL,
+ *   DistanceKm FLOAT NULL,
+ *   CONSTRAINT PK_BreakStations PRIMARY KEY (BreakId, StationId)
+ * );
+ * CREATE TABLE dbo.Observations (
+ *   StationId    INT NOT NULL,
+ *   ObservedAt   DATETIME2 NOT NULL,
+ *   WaveHeightM  FLOAT NULL, SwellPeriodS FLOAT NULL, AvgPeriodS FLOAT NULL,
+ *   SwellDir     FLOAT NULL, WindSpeedKt  FLOAT NULL, GustKt     FLOAT NULL,
+ *   WindDir      FLOAT NULL, WaterTempC   FLOAT NULL, TideM      FLOAT NULL,
+ *   CONSTRAINT PK_Observations PRIMARY KEY (StationId, ObservedAt)
+ * );
+ */
+
+// normalized field -> column
+const COLUMNS = Object.fromEntries(
+  OBSERVATION_FIELDS.map((f) => [f, f.charAt(0).toUpperCase() + f.slice(1)])
+);
+
+/**
+ * Create the station if its code is new (otherwise update feed details) and
+ * link it to the break. Returns the station id.
+ */
+export async function registerStation(breakId, station, distanceKm = null) {
+  const pool = await poolPromise;
+  const result = await pool
+    .request()
+    .input("Code", sql.NVarChar(32), station.code)
+    .input("Name", sql.NVarChar(128), station.name || null)
+    .input("Format", sql.NVarChar(16), station.format)
+    .input("FeedUrl", sql.NVarChar(512), station.feedUrl)
+    .input("Lat", sql.Float, station.latitude ?? null)
+    .input("Lng", sql.Float, station.longitude ?? null).query(`
+      MERGE dbo.ObservationStations AS t
+      USING (SELECT @Code AS StationCode) AS s
+      ON t.StationCode = s.StationCode
+      WHEN MATCHED THEN UPDATE SET
+        Name = @Name, Format = @Format, FeedUrl = @FeedUrl,
+        Latitude = @Lat, Longitude = @Lng
+      WHEN NOT MATCHED THEN
+        INSERT (StationCode, Name, Format, FeedUrl, Latitude, Longitude)
+        VALUES (@Code, @Name, @Format, @FeedUrl, @Lat, @Lng)
+      OUTPUT inserted.Id;
+    `);
+  const stationId = result.recordset[0].Id;
+
+  await pool
+    .request()
+    .input("BreakId", sql.Int, breakId)
+    .input("StationId", sql.Int, stationId)
+    .input("DistanceKm", sql.Float, distanceKm).query(`
+      IF NOT EXISTS (SELECT 1 FROM dbo.BreakStations WHERE BreakId = @BreakId AND StationId = @StationId)
+        INSERT INTO dbo.BreakStations (BreakId, StationId, DistanceKm)
+        VALUES (@BreakId, @StationId, @DistanceKm)
+      ELSE
+        UPDATE dbo.BreakStations SET DistanceKm = @DistanceKm
+        WHERE BreakId = @BreakId AND StationId = @StationId
+    `);
+  return stationId;
+}
+
+/**
+ * Stations linked to a break, nearest first.
+ */
+export async function listStationsForBreak(breakId) {
+  const pool = await poolPromise;
+  const result = await pool
+    .request()
+    .input("BreakId", sql.Int, breakId).query(`
+      SELECT s.Id, s.StationCode, s.Name, s.Format, s.FeedUrl,
+             s.Latitude, s.Longitude, bs.DistanceKm
+      FROM dbo.BreakStations bs
+      INNER JOIN dbo.ObservationStations s ON s.Id = bs.StationId
+      WHERE bs.BreakId = @BreakId
+      ORDER BY CASE WHEN bs.DistanceKm IS NULL THEN 1 ELSE 0 END, bs.DistanceKm, s.Id
+    `);
+  return result.recordset;
+}
+
+export async function listStations() {
+  const pool = await poolPromise;
+  const result = await pool.request().query(`
+    SELECT Id, StationCode, Name, Format, FeedUrl, Latitude, Longitude
+    FROM dbo.ObservationStations
+    ORDER BY Id
+  `);
+  return result.recordset;
+}
+
+export async function getStationById(stationId) {
+  const pool = await poolPromise;
+  const result = await pool
+    .request()
+    .input("Id", sql.Int, stationId).query(`
+      SELECT Id, StationCode, Name, Format, FeedUrl, Latitude, Longitude
+      FROM dbo.ObservationStations
+      WHERE Id = @Id
+    `);
+  return result.recordset[0] || null;
+}
+
+/**
+ * Insert records not already stored for the station. Returns rows inserted.
+ */
+export async function storeObservations(stationId, records) {
+  if (!records.length) return 0;
+  const pool = await poolPromise;
+  const cols = Object.values(COLUMNS);
+  let inserted = 0;
+
+  for (let i = 0; i < records.length; i += 2000) {
+    const chunk = records.slice(i, i + 2000);
+    const result = await pool
+      .request()
+      .input("StationId", sql.Int, stationId)
+      .input("rows", sql.NVarChar(sql.MAX), JSON.stringify(chunk)).query(`
+        INSERT INTO dbo.Observations (StationId, ObservedAt, ${cols.join(", ")})
+        SELECT @StationId, r.observedAt, ${OBSERVATION_FIELDS.map((f) => `r.${f}`).join(", ")}
+        FROM OPENJSON(@rows) WITH (
+          observedAt DATETIME2,
+          ${OBSERVATION_FIELDS.map((f) => `${f} FLOAT`).join(",\n          ")}
+        ) AS r
+        WHERE NOT EXISTS (
+          SELECT 1 FROM dbo.Observations o
+          WHERE o.StationId = @StationId AND o.ObservedAt = r.observedAt
+        )
+      `);
+    inserted += result.rowsAffected[0] || 0;
+  }
+  return inserted;
+}
+
+/**
+ * Pull a station's feed and store what is new.
+ */
+export async function ingestStation(station) {
+  const records = await loadStationFeed(station);
+  const inserted = await storeObservations(station.Id, records);
+  console.log(`[Observations] ${station.StationCode}: parsed ${records.length}, stored ${inserted}`);
+  return { stationId: station.Id, code: station.StationCode, parsed: records.length, inserted };
+}
+
+/**
+ * Normalized observations for a station over the last `hours`, newest first.
+ */
+export async function getObservations(stationId, hours) {
+  const pool = await poolPromise;
+  const result = await pool
+    .request()
+    .input("StationId", sql.Int, stationId)
+    .input("Hours", sql.Int, hours).query(`
+      SELECT ObservedAt, ${Object.values(COLUMNS).join(", ")}
+      FROM dbo.Observations
+      WHERE StationId = @StationId
+        AND ObservedAt > DATEADD(HOUR, -@Hours, SYSUTCDATETIME())
+      ORDER BY ObservedAt DESC
+    `);
+
+  return result.recordset.map((r) => {
+    const rec = { observedAt: new Date(r.ObservedAt).toISOString() };
+    for (const [field, col] of Object.entries(COLUMNS)) rec[field] = r[col];
+    return rec;
+  });
+}
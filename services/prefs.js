@@ -0,0 +1,114 @@
+// services/prefs.js
+import { sql, poolPromise } from "../db.js";
+
+/**
+ * dbo.UserBreakPrefs, one row per user (dbo.Users.Id) and break.
+ */
+const PREF_COLUMNS = `
+  MinHeightM, MaxHeightM, MinPeriodS, MaxPeriodS,
+  AllowedSwellDirs, MaxWindKt, AllowedWindDirs, AllowedWindRelations,
+  MinTideM, MaxTideM, AllowedTidePhases, DawnPatrol, UpdatedAt
+`;
+
+export async function getPref(userId, breakId) {
+  const pool = await poolPromise;
+  const result = await pool
+    .request()
+    .input("userId", sql.Int, userId)
+    .input("breakId", sql.Int, breakId).query(`
+      SELECT TOP 1 ${PREF_COLUMNS}
+      FROM dbo.UserBreakPrefs
+      WHERE UserId = @userId AND BreakId = @breakId
+      ORDER BY UpdatedAt DESC
+    `);
+  return result.recordset[0] || null;
+}
+
+/**
+ * Every pref row for the user with its break's name and region, optionally
+ * limited to one region.
+ */
+export async function listPrefs(userId, region = null) {
+  const pool = await poolPromise;
+  const request = pool.request().input("userId", sql.Int, userId);
+  let where = "WHERE p.UserId = @userId";
+  if (region) {
+    request.input("region", sql.NVarChar, region);
+    where += " AND b.Region = @region";
+  }
+
+  const result = await request.query(`
+    SELECT
+      p.BreakId,
+      b.Name    AS BreakName,
+      b.Region  AS Region,
+      ${PREF_COLUMNS.replace(/(\w+)/g, "p.$1")}
+    FROM dbo.UserBreakPrefs p
+    INNER JOIN dbo.SurfBreaks b ON b.Id = p.BreakId
+    ${where}
+    ORDER BY b.Region, b.Name
+  `);
+  return result.recordset;
+}
+
+/**
+ * Insert or replace the user's prefs for pref.breakId. pref holds already
+ * validated values keyed like the columns, CSV lists joined.
+ */
+export async function savePref(userId, pref) {
+  const pool = await poolPromise;
+  await pool
+    .request()
+    .input("userId", sql.Int, userId)
+    .input("breakId", sql.Int, pref.breakId)
+    .input("minHeight", sql.Float, pref.minHeight ?? null)
+    .input("maxHeight", sql.Float, pref.maxHeight ?? null)
+    .input("minPeriod", sql.Float, pref.minPeriod ?? null)
+    .input("maxPeriod", sql.Float, pref.maxPeriod ?? null)
+    .input("swellDirs", sql.NVarChar, pref.swellDirs ?? null)
+    .input("maxWind", sql.Int, pref.maxWind ?? null)
+    .input("windDirs", sql.NVarChar, pref.windDirs ?? null)
+    .input("windRelations", sql.NVarChar, pref.windRelations ?? null)
+    .input("minTide", sql.Float, pref.minTide ?? null)
+    .input("maxTide", sql.Float, pref.maxTide ?? null)
+    .input("tidePhases", sql.NVarChar, pref.tidePhases ?? null)
+    .input("dawnPatrol", sql.Bit, pref.dawnPatrol === true).query(`
+      IF EXISTS (SELECT 1 FROM dbo.UserBreakPrefs WHERE UserId = @userId AND BreakId = @breakId)
+        UPDATE dbo.UserBreakPrefs
+        SET MinHeightM = @minHeight,
+            MaxHeightM = @maxHeight,
+            MinPeriodS = @minPeriod,
+            MaxPeriodS = @maxPeriod,
+            AllowedSwellDirs = @swellDirs,
+            MaxWindKt = @maxWind,
+            AllowedWindDirs = @windDirs,
+            AllowedWindRelations = @windRelations,
+            MinTideM = @minTide,
+            MaxTideM = @maxTide,
+            AllowedTidePhases = @tidePhases,
+            DawnPatrol = @dawnPatrol,
+            UpdatedAt = GETDATE()
+        WHERE UserId = @userId AND BreakId = @breakId
+      ELSE
+        INSERT INTO dbo.UserBreakPrefs
+          (UserId, UserEmail, BreakId, MinHeightM, MaxHeightM, MinPeriodS, MaxPeriodS,
+           AllowedSwellDirs, MaxWindKt, AllowedWindDirs, AllowedWindRelations,
+           MinTideM, MaxTideM, AllowedTidePhases, DawnPatrol, UpdatedAt)
+        VALUES
+          (@userId, (SELECT Email FROM dbo.Users WHERE Id = @userId), @breakId,
+           @minHeight, @maxHeight, @minPeriod, @maxPeriod,
+           @swellDirs, @maxWind, @windDirs, @windRelations,
+           @minTide, @maxTide, @tidePhases, @dawnPatrol, GETDATE())
+    `);
+}
+
+export async function deletePref(userId, breakId) {
+  const pool = await poolPromise;
+  await pool
+    .request()
+    .input("userId", sql.Int, userId)
+    .input("breakId", sql.Int, breakId).query(`
+      DELETE FROM dbo.UserBreakPrefs
+      WHERE UserId = @userId AND BreakId = @breakId
+    `);
+}
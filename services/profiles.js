@@ -0,0 +1,127 @@
+// services/profiles.js
+import { sql, poolPromise } from "../db.js";
+
+/**
+ * dbo.UserProfiles, one row per user, and the board quiver in dbo.UserBoards.
+ *
+ * Columns expected:
+ * ALTER TABLE dbo.UserProfiles ADD SkillLevel NVARCHAR(16) NULL;  -- beginner .. expert
+ * ALTER TABLE dbo.UserProfiles ADD Stance NVARCHAR(8) NULL;       -- regular | goofy
+ * ALTER TABLE dbo.UserProfiles ADD HomeRegion NVARCHAR(64) NULL;  -- dbo.SurfBreaks.Region
+ * ALTER TABLE dbo.UserProfiles ADD Units NVARCHAR(16) NULL;       -- forecast/units.js storeUnits
+ *
+ * Table expected:
+ * CREATE TABLE dbo.UserBoards (
+ *   Id         INT IDENTITY PRIMARY KEY,
+ *   UserId     INT NOT NULL,             -- dbo.Users.Id
+ *   SortOrder  TINYINT NOT NULL,         -- order the user listed them in
+ *   BoardType  NVARCHAR(16) NOT NULL,    -- forecast/surfer.js BOARD_TYPES
+ *   LengthCm   FLOAT NULL,
+ *   VolumeL    FLOAT NULL,
+ *   Name       NVARCHAR(64) NULL,
+ *   INDEX IX_UserBoards_User (UserId, SortOrder)
+ * );
+ */
+
+export async function getProfile(userId) {
+  const pool = await poolPromise;
+  const result = await pool
+    .request()
+    .input("userId", sql.Int, userId).query(`
+      SELECT TOP 1 FullName, Country, PhoneNumber, TimeZone, SkillLevel, Stance, HomeRegion, Units
+      FROM UserProfiles
+      WHERE UserId = @userId
+    `);
+  return result.recordset[0] || null;
+}
+
+/**
+ * Insert or update the user's profile. Email is copied from dbo.Users for
+ * readability only; rows are matched on UserId. timeZone, skillLevel,
+ * stance, homeRegion and units keep the saved value when undefined and are
+ * cleared by null.
+ */
+export async function saveProfile(userId, { name, country, phone, timeZone, skillLevel, stance, homeRegion, units }) {
+  const pool = await poolPromise;
+  await pool
+    .request()
+    .input("userId", sql.Int, userId)
+    .input("fullName", sql.NVarChar, name)
+    .input("country", sql.NVarChar, country)
+    .input("phoneNumber", sql.NVarChar, phone || null)
+    .input("timeZone", sql.NVarChar, timeZone || null)
+    .input("skillLevel", sql.NVarChar(16), skillLevel || null)
+    .input("stance", sql.NVarChar(8), stance || null)
+    .input("homeRegion", sql.NVarChar(64), homeRegion || null)
+    .input("units", sql.NVarChar(16), units || null)
+    .input("clearTimeZone", sql.Bit, timeZone === null)
+    .input("clearSkillLevel", sql.Bit, skillLevel === null)
+    .input("clearStance", sql.Bit, stance === null)
+    .input("clearHomeRegion", sql.Bit, homeRegion === null)
+    .input("clearUnits", sql.Bit, units === null).query(`
+      IF EXISTS (SELECT 1 FROM UserProfiles WHERE UserId = @userId)
+        UPDATE UserProfiles
+        SET FullName = @fullName,
+            Country = @country,
+            PhoneNumber = @phoneNumber,
+            TimeZone = CASE WHEN @clearTimeZone = 1 THEN NULL ELSE COALESCE(@timeZone, TimeZone) END,
+            SkillLevel = CASE WHEN @clearSkillLevel = 1 THEN NULL ELSE COALESCE(@skillLevel, SkillLevel) END,
+            Stance = CASE WHEN @clearStance = 1 THEN NULL ELSE COALESCE(@stance, Stance) END,
+            HomeRegion = CASE WHEN @clearHomeRegion = 1 THEN NULL ELSE COALESCE(@homeRegion, HomeRegion) END,
+            Units = CASE WHEN @clearUnits = 1 THEN NULL ELSE COALESCE(@units, Units) END
+        WHERE UserId = @userId
+      ELSE
+        INSERT INTO UserProfiles
+          (UserId, Email, FullName, Country, PhoneNumber, TimeZone,
+           SkillLevel, Stance, HomeRegion, Units, CreatedAt)
+        VALUES (@userId, (SELECT Email FROM dbo.Users WHERE Id = @userId),
+                @fullName, @country, @phoneNumber, @timeZone,
+                @skillLevel, @stance, @homeRegion, @units, GETDATE())
+    `);
+}
+
+/**
+ * The user's quiver in the order they listed it.
+ */
+export async function getBoards(userId) {
+  const pool = await poolPromise;
+  const result = await pool
+    .request()
+    .input("userId", sql.Int, userId).query(`
+      SELECT Id, BoardType, LengthCm, VolumeL, Name
+      FROM dbo.UserBoards
+      WHERE UserId = @userId
+      ORDER BY SortOrder, Id
+    `);
+  return result.recordset;
+}
+
+/**
+ * Replace the whole quiver. boards: [{ type, length, volume, name }]
+ */
+export async function replaceBoards(userId, boards) {
+  const pool = await poolPromise;
+  const tx = new sql.Transaction(pool);
+  await tx.begin();
+  try {
+    await new sql.Request(tx)
+      .input("userId", sql.Int, userId)
+      .query(`DELETE FROM dbo.UserBoards WHERE UserId = @userId`);
+
+    if (boards.length > 0) {
+      await new sql.Request(tx)
+        .input("userId", sql.Int, userId)
+        .input("boards", sql.NVarChar(sql.MAX), JSON.stringify(boards.map((b, i) => ({ ...b, sortOrder: i })))).query(`
+          INSERT INTO dbo.UserBoards (UserId, SortOrder, BoardType, LengthCm, VolumeL, Name)
+          SELECT @userId, b.sortOrder, b.type, b.length, b.volume, b.name
+          FROM OPENJSON(@boards)
+          WITH (sortOrder TINYINT, type NVARCHAR(16), length FLOAT, volume FLOAT, name NVARCHAR(64)) AS b
+        `);
+    }
+
+    await tx.commit();
+  } catch (err) {
+    await tx.rollback();
+    throw err;
+  }
+}
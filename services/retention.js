@@ -0,0 +1,117 @@
+// services/retention.js
+import config from "../config/index.js";
+import { compactCacheRow, deleteCacheRows, listCacheRows } from "./forecastCache.js";
+
+/**
+ * Retention for dbo.ForecastCache.
+ *
+ * Per (BreakId, Hours):
+ *   - the newest `keepLatest` snapshots are always kept
+ *   - the newest snapshot of each UTC day is kept for `dailyDays` days
+ *   - everything else is deleted
+ * Kept rows still stored as DataJson are compacted to DataGz.
+ */
+
+const DAY_MS = 86400000;
+
+export function retentionPolicy(overrides = {}) {
+  const int = (v, d) => {
+    const n = parseInt(v, 10);
+    return Number.isFinite(n) && n >= 0 ? n : d;
+  };
+  return {
+    keepLatest: int(overrides.keepLatest ?? config.retention.keepLatest, 3),
+    dailyDays: int(overrides.dailyDays ?? config.retention.dailyDays, 90),
+  };
+}
+
+/**
+ * Decide what happens to every row. Pure, so the dry run and the real run
+ * share it. rows: [{ Id, BreakId, Hours, FetchedAt, JsonBytes, GzBytes }]
+ * Returns { keep: [{ id, reason }], remove: [row], compact: [id], perBreak }.
+ */
+export function planRetention(rows, policy, now = Date.now()) {
+  const groups = new Map();
+  for (const r of rows) {
+    const key = `${r.BreakId}:${r.Hours}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(r);
+  }
+
+  const keep = [];
+  const remove = [];
+  const compact = [];
+  const perBreak = {};
+  const dailyCutoff = now - policy.dailyDays * DAY_MS;
+
+  for (const group of groups.values()) {
+    group.sort((a, b) => new Date(b.FetchedAt) - new Date(a.FetchedAt));
+    const daysSeen = new Set();
+
+    group.forEach((r, i) => {
+      const fetched = new Date(r.FetchedAt).getTime();
+      const day = Math.floor(fetched / DAY_MS);
+
+      let reason = null;
+      if (i < policy.keepLatest) reason = "latest";
+      else if (fetched >= dailyCutoff && !daysSeen.has(day)) reason = "daily";
+      daysSeen.add(day);
+
+      const stats = (perBreak[r.BreakId] ||= { kept: 0, deleted: 0, bytesFreed: 0 });
+      if (reason) {
+        keep.push({ id: r.Id, reason });
+        stats.kept += 1;
+        if (r.JsonBytes != null && r.GzBytes == null) compact.push(r.Id);
+      } else {
+        remove.push(r);
+        stats.deleted += 1;
+        stats.bytesFreed += (r.JsonBytes || 0) + (r.GzBytes || 0);
+      }
+    });
+  }
+
+  return { keep, remove, compact, perBreak };
+}
+
+/**
+ * Run the policy. With dryRun nothing is written, the report says what would
+ * happen. compactLimit caps how many legacy rows are rewritten per run.
+ */
+export async function runRetention({ dryRun = true, compactLimit = 200, ...overrides } = {}) {
+  const policy = retentionPolicy(overrides);
+  const rows = await listCacheRows();
+  const plan = planRetention(rows, policy);
+
+  const report = {
+    dryRun,
+    policy,
+    scanned: rows.length,
+    kept: plan.keep.length,
+    deleted: plan.remove.length,
+    bytesFreed: plan.remove.reduce((acc, r) => acc + (r.JsonBytes || 0) + (r.GzBytes || 0), 0),
+    compactPending: plan.compact.length,
+    compacted: 0,
+    bytesSavedByCompaction: 0,
+    perBreak: plan.perBreak,
+  };
+  if (dryRun) return report;
+
+  report.deleted = await deleteCacheRows(plan.remove.map((r) => r.Id));
+
+  for (const id of plan.compact.slice(0, compactLimit)) {
+    try {
+      const res = await compactCacheRow(id);
+      if (!res) continue;
+      report.compacted += 1;
+      report.bytesSavedByCompaction += res.before - res.after;
+    } catch (err) {
+      console.warn(`[Retention] compact ${id} failed: ${err.message}`);
+    }
+  }
+  report.compactPending -= report.compacted;
+
+  console.log(
+    `[Retention] scanned=${report.scanned} deleted=${report.deleted} compacted=${report.compacted}`
+  );
+  return report;
+}
@@ -0,0 +1,90 @@
+// services/sessions.js
+import { getBreaksByIds } from "./breaks.js";
+import { listPrefs } from "./prefs.js";
+import { getAvailability } from "./availability.js";
+import { getBoards, getProfile } from "./profiles.js";
+import { CACHE_HOURS, getCachedForecast } from "./forecastCache.js";
+import { toForecastItems } from "../forecast/items.js";
+import { scoreWindows, sortWindows } from "../forecast/sessions.js";
+import { suggestBoard } from "../forecast/surfer.js";
+import { isValidTimeZone } from "../forecast/time.js";
+import { METRIC, displayFields, loadUnits } from "../forecast/units.js";
+
+/**
+ * Session planning for a user, read in-process from the repositories and
+ * the forecast cache: three reads for the user, one for their breaks and one
+ * cache read per break.
+ */
+
+// hourly entry display block name -> [quantity, entry field]
+const HOUR_DISPLAY_FIELDS = {
+  wave: ["height", "wave"],
+  surf: ["height", "surf"],
+  wind: ["wind", "windKt"],
+  tide: ["height", "tide"],
+};
+
+/**
+ * Profile timezone (null when unset or not a valid IANA zone), skill level,
+ * default units (metric when unset), board quiver, weekly availability and
+ * prefs by break.
+ */
+export async function loadPlannerContext(userId, { region = null } = {}) {
+  const [profile, boards, availability, prefs] = await Promise.all([
+    getProfile(userId),
+    getBoards(userId),
+    getAvailability(userId),
+    listPrefs(userId, region),
+  ]);
+  return {
+    tz: isValidTimeZone(profile?.TimeZone) ? profile.TimeZone : null,
+    skillLevel: profile?.SkillLevel ?? null,
+    units: loadUnits(profile?.Units) || METRIC,
+    boards,
+    availability,
+    prefs: new Map(prefs.map((p) => [p.BreakId, p])),
+  };
+}
+
+/**
+ * Forecast items for a break from the newest cached snapshot, or [].
+ */
+export async function cachedItemsFor(brk) {
+  const json = await getCachedForecast(brk.Id, CACHE_HOURS);
+  return Array.isArray(json?.hours) ? toForecastItems(json, { brk }) : [];
+}
+
+/**
+ * Scored windows over the user's preferred breaks, best first, each with a
+ * board from the user's quiver (null without a quiver) and each hour's
+ * sizes in units (the profile's default when not given).
+ * opts: { region, days, daylightOnly, fallbackTz, units }
+ */
+export async function planSessions(
+  userId,
+  { region = null, days = 7, daylightOnly = true, fallbackTz = "UTC", units = null } = {}
+) {
+  const ctx = await loadPlannerContext(userId, { region });
+  const tz = ctx.tz || fallbackTz;
+  const shownIn = units || ctx.units;
+
+  const prefs = [...ctx.prefs.values()];
+  const breaks = await getBreaksByIds(prefs.map((p) => p.BreakId));
+  const byId = new Map(breaks.map((b) => [b.Id, b]));
+
+  const windows = [];
+  for (const pref of prefs) {
+    const brk = byId.get(pref.BreakId);
+    if (!brk || brk.Latitude == null || brk.Longitude == null) continue;
+    const items = await cachedItemsFor(brk);
+    if (!items.length) continue;
+    windows.push(...scoreWindows(items, pref, { tz, availability: ctx.availability, days, daylightOnly, brk }));
+  }
+
+  for (const w of windows) {
+    w.board = suggestBoard(ctx.boards, w, ctx.skillLevel);
+    for (const h of w.hourly) h.display = displayFields(h, HOUR_DISPLAY_FIELDS, shownIn);
+  }
+
+  return { timezone: tz, units: shownIn, breaks: byId, windows: sortWindows(windows) };
+}
@@ -0,0 +1,44 @@
+// services/tideConstituents.js
+import { sql, poolPromise } from "../db.js";
+import { toHarmonicModel } from "../forecast/harmonics.js";
+
+/**
+ * Harmonic tide model for a break, null when it has no constituents.
+ */
+export async function getTideModel(breakId) {
+  const pool = await poolPromise;
+  const result = await pool
+    .request()
+    .input("BreakId", sql.Int, breakId).query(`
+      SELECT Constituent, AmplitudeM, PhaseDeg
+      FROM dbo.TideConstituents
+      WHERE BreakId = @BreakId
+    `);
+  return toHarmonicModel(result.recordset);
+}
+
+export async function replaceTideConstituents(breakId, rows) {
+  const pool = await poolPromise;
+  const tx = new sql.Transaction(pool);
+  await tx.begin();
+  try {
+    await new sql.Request(tx)
+      .input("BreakId", sql.Int, breakId)
+      .query(`DELETE FROM dbo.TideConstituents WHERE BreakId = @BreakId`);
+
+    for (const r of rows) {
+      await new sql.Request(tx)
+        .input("BreakId", sql.Int, breakId)
+        .input("Constituent", sql.NVarChar(8), r.name)
+        .input("AmplitudeM", sql.Float, r.amplitudeM)
+        .input("PhaseDeg", sql.Float, r.phaseDeg).query(`
+          INSERT INTO dbo.TideConstituents (BreakId, Constituent, AmplitudeM, PhaseDeg)
+          VALUES (@BreakId, @Constituent, @AmplitudeM, @PhaseDeg)
+        `);
+    }
+    await tx.commit();
+  } catch (err) {
+    await tx.rollback();
+    throw err;
+  }
+}
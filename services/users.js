@@ -0,0 +1,186 @@
+// services/users.js
+import crypto from "crypto";
+import { sql, poolPromise } from "../db.js";
+
+/**
+ * Internal user identity. A user is the token's subject (oid, else sub)
+ * within its tenant (tid for AAD, else the configured issuer's name), which
+ * survives UPN and email changes and is the same in v1 and v2 AAD tokens. Everything the user owns
+ * is keyed by dbo.Users.Id; the email is kept only for display and for
+ * linking rows written before this table existed.
+ *
+ * Table expected:
+ * CREATE TABLE dbo.Users (
+ *   Id         INT IDENTITY PRIMARY KEY,
+ *   Tenant     NVARCHAR(256) NOT NULL,
+ *   Subject    NVARCHAR(128) NOT NULL,
+ *   Email      NVARCHAR(256) NULL,      -- last seen email claim
+ *   CreatedAt  DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+ *   LastSeenAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+ *   CONSTRAINT UQ_Users_Identity UNIQUE (Tenant, Subject)
+ * );
+ *
+ * Columns expected (calendar feed keys, see calendar/feedToken.js):
+ * ALTER TABLE dbo.Users ADD CalendarFeedKey NVARCHAR(64) NULL;
+ * CREATE UNIQUE INDEX UX_Users_CalendarFeedKey ON dbo.Users (CalendarFeedKey)
+ *   WHERE CalendarFeedKey IS NOT NULL;
+ *
+ * Columns expected (email-keyed tables, run once):
+ * ALTER TABLE dbo.UserProfiles ADD UserId INT NULL;
+ * ALTER TABLE dbo.UserBreakPrefs ADD UserId INT NULL;
+ * ALTER TABLE dbo.UserBreakPrefs ALTER COLUMN UserEmail NVARCHAR(256) NULL;
+ * ALTER TABLE dbo.SurfAlerts ADD UserId INT NULL;
+ * ALTER TABLE dbo.SurfAlerts ALTER COLUMN UserEmail NVARCHAR(256) NULL;
+ * ALTER TABLE dbo.UserAvailability ADD UserId INT NULL;
+ * -- after every active user has signed in once (UserId filled):
+ * ALTER TABLE dbo.UserAvailability DROP CONSTRAINT PK_UserAvailability;
+ * ALTER TABLE dbo.UserAvailability ALTER COLUMN UserEmail NVARCHAR(256) NULL;
+ * ALTER TABLE dbo.UserAvailability ALTER COLUMN UserId INT NOT NULL;
+ * ALTER TABLE dbo.UserAvailability ADD CONSTRAINT PK_UserAvailability PRIMARY KEY (UserId, Dow, StartHour);
+ */
+
+// email-keyed tables and their email column, linked on a user's first sign-in
+const LEGACY_TABLES = [
+  ["dbo.UserProfiles", "Email"],
+  ["dbo.UserBreakPrefs", "UserEmail"],
+  ["dbo.UserAvailability", "UserEmail"],
+  ["dbo.SurfAlerts", "UserEmail"],
+];
+
+// resolved identities, so a signed-in user costs one query per CACHE_MS
+const CACHE_MS = 10 * 60 * 1000;
+const cache = new Map();
+
+const DUPLICATE_KEY = new Set([2601, 2627]);
+
+async function findUser(pool, tenant, subject) {
+  const result = await pool
+    .request()
+    .input("Tenant", sql.NVarChar(256), tenant)
+    .input("Subject", sql.NVarChar(128), subject).query(`
+      SELECT Id, Email FROM dbo.Users WHERE Tenant = @Tenant AND Subject = @Subject
+    `);
+  return result.recordset[0] || null;
+}
+
+/**
+ * Create the user and, when linkEmail allows it (see auth/currentUser.js),
+ * claim every email-keyed row nobody has claimed yet.
+ */
+async function createUser(pool, { tenant, subject, email, linkEmail = false }) {
+  const tx = new sql.Transaction(pool);
+  await tx.begin();
+  try {
+    const inserted = await new sql.Request(tx)
+      .input("Tenant", sql.NVarChar(256), tenant)
+      .input("Subject", sql.NVarChar(128), subject)
+      .input("Email", sql.NVarChar(256), email).query(`
+        INSERT INTO dbo.Users (Tenant, Subject, Email)
+        OUTPUT inserted.Id
+        VALUES (@Tenant, @Subject, @Email)
+      `);
+    const id = inserted.recordset[0].Id;
+
+    const linked = {};
+    if (email && linkEmail) {
+      for (const [table, column] of LEGACY_TABLES) {
+        const result = await new sql.Request(tx)
+          .input("UserId", sql.Int, id)
+          .input("Email", sql.NVarChar(256), email).query(`
+            UPDATE ${table} SET UserId = @UserId
+            WHERE UserId IS NULL AND LOWER(${column}) = LOWER(@Email)
+          `);
+        if (result.rowsAffected[0]) linked[table] = result.rowsAffected[0];
+      }
+    }
+    await tx.commit();
+
+    if (Object.keys(linked).length) {
+      console.log(`[Users] linked email-keyed rows to user ${id}:`, linked);
+    }
+    return { id, email };
+  } catch (err) {
+    await tx.rollback();
+    throw err;
+  }
+}
+
+/**
+ * Internal user for a token identity ({ tenant, subject, email, linkEmail }),
+ * created and linked on first sign-in. Returns { id, email }.
+ */
+export async function resolveUser(identity) {
+  const key = `${identity.tenant}|${identity.subject}`;
+  const hit = cache.get(key);
+  if (hit && Date.now() - hit.at < CACHE_MS && hit.email === identity.email) return hit.user;
+
+  const pool = await poolPromise;
+  let row = await findUser(pool, identity.tenant, identity.subject);
+  let user;
+  if (row) {
+    user = { id: row.Id, email: identity.email || row.Email || null };
+    await pool
+      .request()
+      .input("Id", sql.Int, row.Id)
+      .input("Email", sql.NVarChar(256), user.email).query(`
+        UPDATE dbo.Users SET Email = @Email, LastSeenAt = SYSUTCDATETIME() WHERE Id = @Id
+      `);
+  } else {
+    try {
+      user = await createUser(pool, identity);
+    } catch (err) {
+      // a parallel first request created it
+      if (!DUPLICATE_KEY.has(err.number)) throw err;
+      row = await findUser(pool, identity.tenant, identity.subject);
+      if (!row) throw err;
+      user = { id: row.Id, email: identity.email || row.Email || null };
+    }
+  }
+
+  cache.set(key, { user, email: identity.email, at: Date.now() });
+  return user;
+}
+
+/**
+ * The user's calendar feed key, created on first use. rotate replaces it,
+ * which stops every feed URL issued with the old one.
+ */
+export async function calendarFeedKey(userId, { rotate = false } = {}) {
+  const pool = await poolPromise;
+  const key = crypto.randomBytes(24).toString("base64url");
+  const result = await pool
+    .request()
+    .input("Id", sql.Int, userId)
+    .input("Key", sql.NVarChar(64), key)
+    .input("Rotate", sql.Bit, rotate).query(`
+      UPDATE dbo.Users
+      SET CalendarFeedKey = CASE WHEN @Rotate = 1 OR CalendarFeedKey IS NULL
+        THEN @Key ELSE CalendarFeedKey END
+      OUTPUT inserted.CalendarFeedKey
+      WHERE Id = @Id
+    `);
+  return result.recordset[0]?.CalendarFeedKey || null;
+}
+
+/**
+ * Id of the user a calendar feed key belongs to, or null.
+ */
+export async function findUserIdByFeedKey(key) {
+  const pool = await poolPromise;
+  const result = await pool
+    .request()
+    .input("Key", sql.NVarChar(64), key).query(`
+      SELECT Id FROM dbo.Users WHERE CalendarFeedKey = @Key
+    `);
+  return result.recordset[0]?.Id ?? null;
+}
+
+/**
+ * Drop a user from the resolve cache, after their dbo.Users row is deleted.
+ * Their next request with a still-valid token starts a new, empty user.
+ */
+export function forgetUser(userId) {
+  for (const [key, hit] of cache) {
+    if (hit.user.id === userId) cache.delete(key);
+  }
+}
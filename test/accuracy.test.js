@@ -0,0 +1,67 @@
+// test/accuracy.test.js
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import "./env.js";
+import { indexHours, pairWithNowcasts } from "../services/accuracy.js";
+
+const H0 = Math.floor(Date.UTC(2026, 5, 1) / 3600000);
+
+// a snapshot fetched at hour `fetched` covering `hours` hours from then
+function snapshot(id, fetched, hours, wave, windDir = 270) {
+  const json = {
+    hours: Array.from({ length: hours }, (_, i) => ({
+      time: new Date((H0 + fetched + i) * 3600000).toISOString(),
+      waveHeight: { noaa: wave },
+      windDirection: { noaa: windDir },
+      tideHeight: 1,
+    })),
+  };
+  return { id, fetchedAt: (H0 + fetched) * 3600000, byHour: indexHours(json) };
+}
+
+describe("indexHours", () => {
+  test("keeps only the verified params", () => {
+    const { byHour } = snapshot(1, 0, 1, 1.5);
+    assert.deepEqual(Object.keys(byHour.get(H0)).sort(), ["swellPeriod", "waveHeight", "windDirection", "windSpeed"]);
+  });
+});
+
+describe("pairWithNowcasts", () => {
+  const older = snapshot(1, 0, 72, 1.5, 350);
+  const newer = snapshot(2, 48, 72, 1.2, 10);
+
+  test("pairs the older snapshot with the nearest nowcast within tolerance", () => {
+    const { rows, pairs } = pairWithNowcasts(7, [older, newer]);
+    assert.deepEqual([...pairs], ["1>2"]);
+
+    const waves = rows.filter((r) => r.variable === "waveHeightM");
+    // hours 48..71 are in both snapshots and within 24 h of the newer fetch
+    assert.equal(waves.length, 24);
+    assert.deepEqual(
+      waves.map((r) => r.leadHours),
+      Array.from({ length: 24 }, (_, i) => 48 + i)
+    );
+    for (const r of waves) {
+      assert.equal(r.truth, "nowcast");
+      assert.ok(Math.abs(r.error - 0.3) < 1e-9);
+    }
+  });
+
+  test("measures direction error the short way round", () => {
+    const { rows } = pairWithNowcasts(7, [older, newer]);
+    const dir = rows.find((r) => r.variable === "windDir");
+    assert.equal(dir.error, -20);
+  });
+
+  test("finds no nowcast past the tolerance", () => {
+    const stale = snapshot(3, 120, 24, 1.0);
+    assert.equal(pairWithNowcasts(7, [older, stale]).rows.length, 0);
+    assert.equal(pairWithNowcasts(7, [older, newer], { toleranceH: 0 }).rows.filter((r) => r.variable === "waveHeightM").length, 1);
+  });
+
+  test("skips pairs already stored", () => {
+    const { rows, pairs } = pairWithNowcasts(7, [older, newer], { done: new Set(["1>2"]) });
+    assert.equal(rows.length, 0);
+    assert.equal(pairs.size, 0);
+  });
+});
@@ -0,0 +1,57 @@
+// test/alerts.test.js
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import "./env.js";
+import { isBlocked, parsePublicUrl } from "../alerts/publicUrl.js";
+import webhook from "../alerts/webhook.js";
+import webpush from "../alerts/webpush.js";
+
+const subscription = (endpoint) =>
+  JSON.stringify({ endpoint, keys: { p256dh: "BNc-test-key", auth: "test-auth" } });
+
+describe("public address checks", () => {
+  test("block private, loopback, metadata and mapped addresses", () => {
+    for (const address of ["10.1.2.3", "127.0.0.1", "169.254.169.254", "168.63.129.16", "::1", "fd00::1", "::ffff:127.0.0.1"]) {
+      assert.equal(isBlocked(address), true, address);
+    }
+    assert.equal(isBlocked("93.184.216.34"), false);
+  });
+
+  test("need https", () => {
+    assert.deepEqual(parsePublicUrl("http://hooks.example.com/x", "webhook target"), {
+      error: "webhook target must be an https URL",
+    });
+    assert.equal(parsePublicUrl("https://hooks.example.com/x", "webhook target").host, "hooks.example.com");
+  });
+});
+
+describe("webhook targets", () => {
+  test("refuse literal private addresses when saved", () => {
+    assert.equal(webhook.validateTarget("https://[::1]/hook"), "webhook target must be a public address");
+    assert.equal(webhook.validateTarget("https://192.168.1.10/hook"), "webhook target must be a public address");
+    assert.equal(webhook.validateTarget("https://93.184.216.34/hook"), null);
+  });
+
+  test("refuse hosts that resolve to private addresses", async () => {
+    assert.equal(await webhook.checkTarget("https://localhost/hook"), "webhook target must be a public address");
+  });
+});
+
+describe("push subscriptions", () => {
+  test("need an https endpoint on a public address", () => {
+    assert.equal(webpush.validateTarget(subscription("https://fcm.googleapis.com/fcm/send/abc")), null);
+    assert.equal(webpush.validateTarget(subscription("http://fcm.googleapis.com/fcm/send/abc")), "push endpoint must be an https URL");
+    assert.equal(webpush.validateTarget(subscription("https://127.0.0.1:8080/")), "push endpoint must be a public address");
+  });
+
+  test("refuse endpoints that resolve to private addresses", async () => {
+    assert.equal(await webpush.checkTarget(subscription("https://localhost/push")), "push endpoint must be a public address");
+  });
+
+  test("still need keys", () => {
+    assert.equal(
+      webpush.validateTarget(JSON.stringify({ endpoint: "https://fcm.googleapis.com/x" })),
+      "push target must be a subscription with endpoint and keys"
+    );
+  });
+});
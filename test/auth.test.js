@@ -0,0 +1,75 @@
+// test/auth.test.js
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import "./env.js";
+
+// read when config loads, so set before the app is imported
+process.env.VAPID_PUBLIC_KEY = "test-vapid-public-key";
+
+const { server } = await import("../index.js");
+const { mintLocalToken } = await import("../auth/issuers.js");
+const { identityFromClaims } = await import("../auth/currentUser.js");
+
+let base;
+
+before(async () => {
+  if (!server.listening) await once(server, "listening");
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+function get(path, token) {
+  const headers = token ? { Authorization: `Bearer ${token}` } : {};
+  return fetch(`${base}${path}`, { headers });
+}
+
+describe("local tokens on an authenticated route", () => {
+  const route = "/api/planner/alerts/push-key";
+
+  test("a minted token is accepted", async () => {
+    const res = await get(route, mintLocalToken({ sub: "test-1", email: "test@example.com" }));
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { publicKey: "test-vapid-public-key" });
+  });
+
+  test("no token is a 401", async () => {
+    const res = await get(route);
+    assert.equal(res.status, 401);
+  });
+
+  test("an expired token is a 403", async () => {
+    const res = await get(route, mintLocalToken({ sub: "test-1" }, { expiresIn: -60 }));
+    assert.equal(res.status, 403);
+  });
+
+  test("a token signed with another secret is a 403", async () => {
+    const token = mintLocalToken({ sub: "test-1" });
+    const [header, payload] = token.split(".");
+    const res = await get(route, `${header}.${payload}.${"x".repeat(43)}`);
+    assert.equal(res.status, 403);
+  });
+});
+
+describe("identityFromClaims", () => {
+  const google = { name: "google", type: "google" };
+
+  test("keys non-AAD users by the issuer name, whatever the iss spelling", () => {
+    const a = identityFromClaims({ iss: "https://accounts.google.com", sub: "g-1" }, google);
+    const b = identityFromClaims({ iss: "accounts.google.com", sub: "g-1" }, google);
+    assert.equal(a.tenant, "google");
+    assert.deepEqual(a, b);
+  });
+
+  test("keys AAD users by tid", () => {
+    const id = identityFromClaims({ tid: "tenant-1", oid: "o-1", sub: "s-1" }, { name: "aad:tenant-1", type: "aad" });
+    assert.equal(id.tenant, "tenant-1");
+  });
+
+  test("links legacy rows by email only when the email is verified", () => {
+    const claims = { sub: "g-1", email: "surfer@example.com" };
+    assert.equal(identityFromClaims(claims, google).linkEmail, false);
+    assert.equal(identityFromClaims({ ...claims, email_verified: true }, google).linkEmail, true);
+  });
+});
@@ -0,0 +1,48 @@
+// test/blend.test.js
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { resolveParam } from "../forecast/blend.js";
+import { parseSourceQuery } from "../forecast/items.js";
+
+const close = (actual, expected, eps = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) < eps, `${actual} is not ${expected}`);
+
+describe("resolveParam", () => {
+  const param = { noaa: 1.0, sg: 1.4, icon: null, dwd: 2.0 };
+
+  test("takes the first source in preference order", () => {
+    assert.deepEqual(resolveParam(param, { sources: ["sg", "noaa"] }), { value: 1.4, sources: ["sg"] });
+  });
+
+  test("falls back to any source present unless strict", () => {
+    assert.deepEqual(resolveParam(param, { sources: ["icon"] }), { value: 1.0, sources: ["noaa"] });
+    assert.deepEqual(resolveParam(param, { sources: ["icon"], strict: true }), { value: null, sources: [] });
+  });
+
+  test("blends the listed sources", () => {
+    const mean = resolveParam(param, { sources: ["noaa", "sg", "icon"], blend: "mean" });
+    close(mean.value, 1.2);
+    assert.deepEqual(mean.sources, ["noaa", "sg"]);
+    assert.equal(resolveParam(param, { blend: "median" }).value, 1.4);
+  });
+
+  test("averages 359° and 1° to north, not south", () => {
+    const { value } = resolveParam({ noaa: 359, sg: 1 }, { blend: "mean", circular: true });
+    assert.ok(value < 1e-9 || 360 - value < 1e-9, `${value} is not 0°`);
+  });
+
+  test("takes the circular median across north", () => {
+    const { value } = resolveParam({ noaa: 350, sg: 5, dwd: 10 }, { blend: "median", circular: true });
+    assert.equal(value, 5);
+  });
+});
+
+describe("parseSourceQuery", () => {
+  test("splits and lowercases ?source=", () => {
+    assert.deepEqual(parseSourceQuery({ source: "SG, noaa,", blend: "Median" }), { sources: ["sg", "noaa"], blend: "median" });
+  });
+
+  test("rejects an unknown blend", () => {
+    assert.match(parseSourceQuery({ blend: "max" }).error, /blend must be one of/);
+  });
+});
@@ -0,0 +1,7 @@
+// test/env.js
+// Imported first by every suite, before anything reads config: the test
+// profile, no config.local.json (the file named here doesn't exist) and a
+// free port for the app.
+process.env.APP_ENV = "test";
+process.env.CONFIG_FILE = "test/no-config.json";
+process.env.PORT = "0";
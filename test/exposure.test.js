@@ -0,0 +1,51 @@
+// test/exposure.test.js
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { angleDelta, normDeg } from "../forecast/angles.js";
+import { applyExposure, breakerHeight, exposureFor, swellWindowFor } from "../forecast/exposure.js";
+
+describe("bearing helpers", () => {
+  test("normDeg wraps into 0..360", () => {
+    assert.equal(normDeg(-10), 350);
+    assert.equal(normDeg(370), 10);
+  });
+
+  test("angleDelta takes the short way round", () => {
+    assert.equal(angleDelta(359, 1), 2);
+    assert.equal(angleDelta(90, 270), 180);
+  });
+});
+
+describe("swell window", () => {
+  test("defaults to the coast bearing ±75°", () => {
+    assert.deepEqual(swellWindowFor({ CoastFacingDeg: 10 }), { min: 295, max: 85, shadow: 0.15 });
+  });
+
+  test("is null without exposure data", () => {
+    assert.equal(swellWindowFor({ Name: "Nowhere" }), null);
+  });
+
+  test("exposure is full inside a window through north and the shadow factor well outside it", () => {
+    const window = { min: 300, max: 30, shadow: 0.2 };
+    assert.equal(exposureFor(350, window), 1);
+    assert.equal(exposureFor(180, window), 0.2);
+    const edge = exposureFor(45, window);
+    assert.ok(edge > 0.2 && edge < 1, `${edge} should taper`);
+  });
+});
+
+describe("applyExposure", () => {
+  test("leaves a break without exposure data untouched", () => {
+    const swells = [{ heightM: 2, periodS: 12, dir: 90 }];
+    assert.equal(applyExposure(swells, {}), null);
+    assert.deepEqual(swells[0], { heightM: 2, periodS: 12, dir: 90, exposure: 1, breakingHeightM: null });
+  });
+
+  test("shrinks a shadowed swell before the breaker estimate", () => {
+    const brk = { CoastFacingDeg: 270, SwellShadowFactor: 0.1 };
+    const swells = [{ heightM: 2, periodS: 12, dir: 90 }];
+    const combined = applyExposure(swells, brk);
+    assert.equal(swells[0].exposure, 0.1);
+    assert.equal(combined, breakerHeight(0.2, 12));
+  });
+});
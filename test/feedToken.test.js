@@ -0,0 +1,34 @@
+// test/feedToken.test.js
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import "./env.js";
+
+// read when config loads, so set before the module is imported
+process.env.CALENDAR_FEED_SECRET = "test-calendar-feed-secret";
+
+const { calendarFeedsEnabled, createFeedToken, verifyFeedToken } = await import("../calendar/feedToken.js");
+
+describe("feed tokens", () => {
+  test("are enabled by CALENDAR_FEED_SECRET", () => {
+    assert.equal(calendarFeedsEnabled(), true);
+  });
+
+  test("verify to the feed key they were created for", () => {
+    const token = createFeedToken("k3y-abc");
+    assert.ok(token.startsWith("k3y-abc."));
+    assert.deepEqual(verifyFeedToken(token), { feedKey: "k3y-abc" });
+  });
+
+  test("are refused when the key or signature is changed", () => {
+    const [, sig] = createFeedToken("k3y-abc").split(".");
+    assert.equal(verifyFeedToken(`k3y-abd.${sig}`), null);
+    assert.equal(verifyFeedToken(`k3y-abc.${sig.slice(1)}`), null);
+    assert.equal(verifyFeedToken(`k3y-abc.${createFeedToken("other").split(".")[1]}`), null);
+  });
+
+  test("are refused when malformed", () => {
+    for (const token of [undefined, "", "k3y-abc", ".sig", "k3y-abc."]) {
+      assert.equal(verifyFeedToken(token), null);
+    }
+  });
+});
@@ -0,0 +1,63 @@
+// test/fixtureProvider.test.js
+import { after, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import "./env.js";
+
+// a recorded fixture for break 2; break 1 has none and gets the synthetic week
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "corelord-fixtures-"));
+process.env.FORECAST_FIXTURE_DIR = dir;
+delete process.env.STORMGLASS_API_KEY;
+const firstHour = Math.floor(Date.now() / 3600000) * 3600000;
+const recorded = Array.from({ length: 6 }, (_, i) => ({
+  time: new Date(firstHour + i * 3600000).toISOString(),
+  waveHeight: { noaa: 1.5 },
+  windSpeed: { noaa: 5 },
+  tideHeight: 0.5 - i * 0.1,
+}));
+fs.writeFileSync(path.join(dir, "forecast-2.json"), JSON.stringify({ hours: recorded }));
+
+const { buildForecast, providerChainFor } = await import("../providers/index.js");
+const { toForecastItems } = await import("../forecast/items.js");
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const synthetic = { Id: 1, Name: "Synthetic", Latitude: 38.96, Longitude: -9.42, CoastFacingDeg: 270 };
+const withFixture = { Id: 2, Name: "Recorded", Latitude: 38.96, Longitude: -9.42 };
+
+describe("fixture provider", () => {
+  test("is the test profile's only provider", () => {
+    assert.deepEqual(providerChainFor(synthetic).map((p) => p.name), ["fixture"]);
+  });
+
+  test("stands in for stormglass when it has no API key", () => {
+    assert.deepEqual(providerChainFor(synthetic, "stormglass").map((p) => p.name), ["fixture"]);
+  });
+
+  test("synthesizes a forecast with tide for a break without a recording", async () => {
+    const json = await buildForecast(synthetic, 48);
+    assert.equal(json.hours.length, 48);
+    assert.equal(json._provider.name, "fixture");
+    assert.deepEqual(json._provider.fallbackFrom, []);
+    assert.ok(json.hours.every((h) => typeof h.tideHeight === "number"));
+    assert.ok(json.tideExtremes.length > 0);
+
+    const items = toForecastItems(json, { brk: synthetic });
+    assert.equal(items.length, 48);
+    assert.ok(items.every((item) => item.waveHeightM > 0 && item.windSpeedKt > 0));
+    assert.ok(items.every((item) => item.windRelation != null));
+  });
+
+  test("serves a recorded fixture, trimmed to the hours asked for", async () => {
+    const json = await buildForecast(withFixture, 4);
+    assert.deepEqual(
+      json.hours.map((h) => h.tideHeight),
+      recorded.slice(0, 4).map((h) => h.tideHeight)
+    );
+
+    const items = toForecastItems(json, { brk: withFixture });
+    assert.deepEqual(items.map((item) => item.waveHeightM), [1.5, 1.5, 1.5, 1.5]);
+  });
+});
@@ -0,0 +1,50 @@
+// test/harmonics.test.js
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { predictTide, predictTideHours, toHarmonicModel } from "../forecast/harmonics.js";
+
+const MIDNIGHT = Date.UTC(2026, 5, 1);
+const close = (actual, expected, eps) =>
+  assert.ok(Math.abs(actual - expected) < eps, `${actual} is not ${expected}`);
+
+describe("toHarmonicModel", () => {
+  test("takes Z0 as the mean level and skips unknown constituents", () => {
+    const model = toHarmonicModel([
+      { Constituent: "z0", AmplitudeM: 2.1, PhaseDeg: 0 },
+      { Constituent: "M2", AmplitudeM: 1.2, PhaseDeg: 95 },
+      { Constituent: "XX9", AmplitudeM: 0.3, PhaseDeg: 10 },
+    ]);
+    assert.deepEqual(model, { z0: 2.1, terms: [{ name: "M2", amplitude: 1.2, phase: 95 }] });
+  });
+
+  test("is null with nothing to predict", () => {
+    assert.equal(toHarmonicModel([{ Constituent: "Z0", AmplitudeM: 2 }]), null);
+  });
+});
+
+describe("predictTide", () => {
+  // S2 is the solar semidiurnal: no nodal correction, high at 00:00 and 12:00 UTC for g = 0
+  const s2 = { z0: 1, terms: [{ name: "S2", amplitude: 0.5, phase: 0 }] };
+
+  test("puts S2 high water at its phase lag", () => {
+    close(predictTide(s2, MIDNIGHT), 1.5, 1e-6);
+    close(predictTide(s2, MIDNIGHT + 6 * 3600000), 0.5, 1e-6);
+    close(predictTide({ ...s2, terms: [{ ...s2.terms[0], phase: 90 }] }, MIDNIGHT + 3 * 3600000), 1.5, 1e-6);
+  });
+
+  test("repeats M2 every 12.42 hours within its nodal range", () => {
+    const m2 = { z0: 0, terms: [{ name: "M2", amplitude: 1, phase: 40 }] };
+    for (let h = 0; h < 12; h += 3) {
+      const t = MIDNIGHT + h * 3600000;
+      close(predictTide(m2, t), predictTide(m2, t + 12.4206 * 3600000), 1e-3);
+      assert.ok(Math.abs(predictTide(m2, t)) < 1.04);
+    }
+  });
+
+  test("predictTideHours keys metres by hour epoch", () => {
+    const first = MIDNIGHT / 3600000;
+    const hours = predictTideHours(s2, first, 3);
+    assert.deepEqual([...hours.keys()], [first, first + 1, first + 2]);
+    assert.equal(hours.get(first), 1.5);
+  });
+});
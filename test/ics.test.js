@@ -0,0 +1,92 @@
+// test/ics.test.js
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { buildCalendar, windowToEvent } from "../calendar/ics.js";
+import { loadUnits } from "../forecast/units.js";
+
+const NOW = Date.UTC(2026, 6, 1, 12);
+
+function sessionWindow(fields = {}) {
+  return {
+    breakId: 7,
+    breakName: "Ribeira d'Ilhas",
+    region: "Ericeira",
+    start: "2026-07-02T05:00:00Z",
+    end: "2026-07-02T07:00:00Z",
+    bestHour: "2026-07-02T06:00:00Z",
+    score: 82,
+    hourly: [
+      { ts: "2026-07-02T05:00:00Z", surf: 1.2, per: 11, swellDir: 300, windKt: 6, windDir: 90, tide: 1.1 },
+      { ts: "2026-07-02T06:00:00Z", surf: 1.5, per: 12, swellDir: 305, windKt: 4, windRelation: "offshore", tide: 1.4 },
+    ],
+    why: { dawnPatrol: true },
+    ...fields,
+  };
+}
+
+const field = (lines, name) => lines.find((l) => l.startsWith(`${name}:`))?.slice(name.length + 1);
+
+describe("windowToEvent", () => {
+  test("writes UTC times, the end hour inclusive, and a UID stable per break and start", () => {
+    const lines = windowToEvent(sessionWindow(), { now: NOW });
+    assert.equal(lines[0], "BEGIN:VEVENT");
+    assert.equal(lines.at(-1), "END:VEVENT");
+    assert.equal(field(lines, "UID"), "7-20260702T050000Z@corelord.app");
+    assert.equal(field(lines, "DTSTAMP"), "20260701T120000Z");
+    assert.equal(field(lines, "DTSTART"), "20260702T050000Z");
+    assert.equal(field(lines, "DTEND"), "20260702T080000Z");
+    assert.equal(field(lines, "X-CORELORD-BEST-HOUR"), "20260702T060000Z");
+
+    const again = windowToEvent(sessionWindow({ score: 60 }), { now: NOW + 3600000 });
+    assert.equal(field(again, "UID"), field(lines, "UID"));
+  });
+
+  test("describes the best hour in the break's zone and units", () => {
+    const lines = windowToEvent(sessionWindow(), { tz: "Europe/Lisbon", units: loadUnits("imperial"), now: NOW });
+    const description = field(lines, "DESCRIPTION").split("\\n");
+    assert.deepEqual(description, [
+      "Score 82/100",
+      "Best hour 07:00 (Europe/Lisbon)",
+      "Surf 4.9ft 12s from NW",
+      "Wind 5mph offshore",
+      "Tide 4.6ft",
+      "Dawn patrol",
+    ]);
+  });
+
+  test("escapes text values and adds GEO when the break has coordinates", () => {
+    const lines = windowToEvent(sessionWindow({ breakName: "Supertubos; Peniche", region: null }), {
+      brk: { Latitude: 39.34, Longitude: -9.36 },
+      now: NOW,
+    });
+    assert.equal(field(lines, "SUMMARY"), "Supertubos\\; Peniche · 82");
+    assert.equal(field(lines, "LOCATION"), "Supertubos\\; Peniche");
+    assert.equal(field(lines, "GEO"), "39.34;-9.36");
+    assert.equal(field(windowToEvent(sessionWindow(), { now: NOW }), "GEO"), undefined);
+  });
+});
+
+describe("buildCalendar", () => {
+  test("wraps events in a VCALENDAR with CRLF line endings", () => {
+    const text = buildCalendar([sessionWindow(), sessionWindow({ start: "2026-07-03T05:00:00Z" })], {
+      name: "Dawn, weekends",
+      refreshMinutes: 30,
+    });
+    assert.ok(text.endsWith("END:VCALENDAR\r\n"));
+    const lines = text.split("\r\n");
+    assert.equal(lines[0], "BEGIN:VCALENDAR");
+    assert.ok(lines.includes("X-WR-CALNAME:Dawn\\, weekends"));
+    assert.ok(lines.includes("REFRESH-INTERVAL;VALUE=DURATION:PT30M"));
+    assert.equal(lines.filter((l) => l === "BEGIN:VEVENT").length, 2);
+  });
+
+  test("folds lines longer than 75 octets without splitting a character", () => {
+    const text = buildCalendar([sessionWindow({ breakName: "Praia é ".repeat(20).trim() })]);
+    for (const line of text.split("\r\n")) {
+      assert.ok(Buffer.byteLength(line, "utf8") <= 75, line);
+      assert.ok(!line.includes("�"), line);
+    }
+    const unfolded = text.replace(/\r\n /g, "");
+    assert.ok(unfolded.includes(`SUMMARY:${"Praia é ".repeat(20).trim()} · 82`));
+  });
+});
@@ -0,0 +1,31 @@
+// test/items.test.js
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { toForecastItems } from "../forecast/items.js";
+
+const v = (x) => ({ noaa: x });
+
+describe("toForecastItems swells", () => {
+  test("lists each partition with a height and leaves the rest out", () => {
+    const json = {
+      hours: [
+        {
+          time: "2026-06-01T12:00:00Z",
+          waveHeight: v(1.6),
+          swellHeight: v(1.2),
+          swellPeriod: v(12),
+          swellDirection: v(280),
+          windWaveHeight: v(0.3),
+          windWavePeriod: v(4),
+          windWaveDirection: v(90),
+        },
+      ],
+    };
+    const [item] = toForecastItems(json);
+    const partitions = item.swells.map(({ heightM, periodS, dir, kind }) => ({ heightM, periodS, dir, kind }));
+    assert.deepEqual(partitions, [
+      { heightM: 1.2, periodS: 12, dir: 280, kind: "primary" },
+      { heightM: 0.3, periodS: 4, dir: 90, kind: "windWave" },
+    ]);
+  });
+});
@@ -0,0 +1,54 @@
+// test/observations.test.js
+import { after, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import "./env.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "corelord-feeds-"));
+process.env.FORECAST_FIXTURE_DIR = dir;
+fs.writeFileSync(
+  path.join(dir, "46026.txt"),
+  [
+    "#YY  MM DD hh mm WDIR WSPD GST  WVHT   DPD",
+    "#yr  mo dy hr mn degT m/s  m/s     m   sec",
+    "2026 06 01 01 00 270  5.0  7.0   1.6  12.0",
+    "2026 06 01 00 00 260  4.0  6.0   1.5  11.0",
+    "2026 06 01 00 00 250  3.0  5.0   1.4  10.0",
+    "2026 06 01 02 00 280   MM   MM   1.7  13.0",
+  ].join("\n")
+);
+
+const { checkFeedLocation, loadStationFeed } = await import("../observations/index.js");
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+describe("loadStationFeed", () => {
+  test("returns one record per time, newest first, keeping the first repeat", async () => {
+    const records = await loadStationFeed({ FeedUrl: "46026.txt", Format: "ndbc" });
+    assert.deepEqual(
+      records.map((r) => [r.observedAt, r.waveHeightM]),
+      [
+        ["2026-06-01T02:00:00.000Z", 1.7],
+        ["2026-06-01T01:00:00.000Z", 1.6],
+        ["2026-06-01T00:00:00.000Z", 1.5],
+      ]
+    );
+    assert.equal(records[0].windSpeedKt, null);
+  });
+});
+
+describe("checkFeedLocation", () => {
+  test("allows http(s) URLs and files in the fixture directory", () => {
+    assert.deepEqual(checkFeedLocation("https://www.ndbc.noaa.gov/data/realtime2/46026.txt"), {
+      value: "https://www.ndbc.noaa.gov/data/realtime2/46026.txt",
+    });
+    assert.deepEqual(checkFeedLocation("46026.txt"), { value: "46026.txt" });
+  });
+
+  test("refuses paths out of the fixture directory", () => {
+    assert.ok(checkFeedLocation("../../etc/passwd").error);
+    assert.ok(checkFeedLocation("/etc/passwd").error);
+  });
+});
@@ -0,0 +1,63 @@
+// test/sessions.test.js
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { SCORE_WEIGHTS, hourlyScore, scoreWindows, sortWindows } from "../forecast/sessions.js";
+
+// an hour with neutral wind and tide, so only the swell varies
+function hour(fields = {}) {
+  return { ts: Date.UTC(2026, 5, 1, 12) / 1000, windSpeedKt: 5, windDir: 90, tideM: 1, ...fields };
+}
+
+describe("swell partitions", () => {
+  const prefs = { MinHeightM: 1.0, MaxHeightM: 2.0, MinPeriodS: 10, MaxPeriodS: 16 };
+
+  test("scores the partition that matches best", () => {
+    const item = hour({
+      swells: [
+        { heightM: 0.4, periodS: 6, dir: 90, kind: "primary" },
+        { heightM: 1.5, periodS: 13, dir: 270, kind: "secondary" },
+      ],
+    });
+    const { subs } = hourlyScore(item, prefs, SCORE_WEIGHTS);
+    assert.equal(subs.partition, "secondary");
+    assert.equal(subs.height, 1);
+    assert.equal(subs.period, 1);
+  });
+
+  test("falls back to the aggregate fields without partitions", () => {
+    const item = hour({ waveHeightM: 1.5, swellPeriodS: 12, swellDir: 270 });
+    const { subs } = hourlyScore(item, prefs, SCORE_WEIGHTS);
+    assert.equal(subs.partition, "aggregate");
+    assert.equal(subs.height, 1);
+  });
+});
+
+describe("window scores", () => {
+  test("are the weighted mean of the sub-scores", () => {
+    // every pref met; tide has no pref and scores a neutral 0.75
+    const item = hour({ waveHeightM: 1.5, swellPeriodS: 12, swellDir: 270 });
+    const { score } = hourlyScore(item, { MinHeightM: 1, MaxHeightM: 2 }, SCORE_WEIGHTS);
+    assert.equal(score, (5.0 - 0.5 * 0.25) / 5.0);
+  });
+
+  test("rank a dawn patrol window above an otherwise equal midday one", () => {
+    const day = new Date(Date.now() + 86400000);
+    const at = (h) => Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), h);
+    const sun = { firstLight: new Date(at(6)).toISOString() };
+    // a fair hour, short of perfect so a boost can show
+    const item = (h) => hour({ ts: at(h) / 1000, waveHeightM: 0.8, swellPeriodS: 9, swellDir: 270, sun });
+    const items = [item(6), item(7), item(12), item(13)];
+    const dow = day.getUTCDay();
+    const pref = { BreakId: 1, MinHeightM: 1, MaxHeightM: 2, MinPeriodS: 10, DawnPatrol: true };
+
+    const windows = sortWindows(
+      scoreWindows(items, pref, { tz: "UTC", availability: [6, 12].map((h) => ({ Dow: dow, StartHour: h })) })
+    );
+    assert.equal(windows.length, 2);
+    assert.equal(windows[0].start, new Date(at(6)).toISOString());
+    assert.equal(windows[0].why.dawnPatrol, true);
+    assert.equal(windows[1].why.dawnPatrol, false);
+    assert.ok(windows[0].score > windows[1].score, `${windows[0].score} vs ${windows[1].score}`);
+    assert.ok(windows[0].score < 100);
+  });
+});
@@ -0,0 +1,51 @@
+// test/sun.test.js
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { isSurfableLight, sunCalculator, sunTimesAt } from "../forecast/sun.js";
+
+const MINUTE = 60000;
+const near = (ms, iso, minutes = 3) =>
+  assert.ok(Math.abs(ms - Date.parse(iso)) < minutes * MINUTE, `${new Date(ms).toISOString()} is not ${iso}`);
+
+describe("sunTimesAt", () => {
+  const midsummer = Date.UTC(2026, 5, 21, 12);
+
+  test("matches published London times at midsummer", () => {
+    const sun = sunTimesAt(midsummer, 51.5074, -0.1278);
+    near(sun.sunrise, "2026-06-21T03:43:00Z");
+    near(sun.sunset, "2026-06-21T20:21:00Z");
+    assert.ok(sun.firstLight < sun.sunrise && sun.lastLight > sun.sunset);
+    assert.equal(sun.polar, null);
+  });
+
+  test("reports polar day with no twilight crossing", () => {
+    const sun = sunTimesAt(midsummer, 69.65, 18.96);
+    assert.equal(sun.polar, "day");
+    assert.equal(sun.firstLight, null);
+  });
+
+  test("keeps civil twilight when the sun never rises", () => {
+    const sun = sunTimesAt(Date.UTC(2026, 11, 21, 12), 69.65, 18.96);
+    assert.equal(sun.sunrise, null);
+    assert.ok(sun.firstLight != null && sun.polar == null);
+  });
+
+  test("sunCalculator agrees with sunTimesAt", () => {
+    assert.deepEqual(sunCalculator(38.96, -9.42)(midsummer), sunTimesAt(midsummer, 38.96, -9.42));
+  });
+});
+
+describe("isSurfableLight", () => {
+  const sun = { firstLight: Date.UTC(2026, 5, 21, 5), lastLight: Date.UTC(2026, 5, 21, 21), polar: null };
+
+  test("needs most of the hour inside first and last light", () => {
+    assert.equal(isSurfableLight(Date.UTC(2026, 5, 21, 4, 40), sun), true);
+    assert.equal(isSurfableLight(Date.UTC(2026, 5, 21, 4, 0), sun), false);
+    assert.equal(isSurfableLight(Date.UTC(2026, 5, 21, 21, 0), sun), false);
+  });
+
+  test("follows polar day and night", () => {
+    assert.equal(isSurfableLight(0, { polar: "day" }), true);
+    assert.equal(isSurfableLight(0, { polar: "night" }), false);
+  });
+});
@@ -0,0 +1,44 @@
+// test/surfer.test.js
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { defaultPrefs, prefsDisplay, prefsFromUnits, prefsInUnits } from "../forecast/surfer.js";
+import { METRIC, loadUnits } from "../forecast/units.js";
+
+const ROW = { MinHeightM: 0.61, MaxHeightM: 1.83, MaxWindKt: 15, MinTideM: 0.4, MaxTideM: 2.75 };
+const COLUMNS = { minHeight: "MinHeightM", maxHeight: "MaxHeightM", maxWind: "MaxWindKt", minTide: "MinTideM", maxTide: "MaxTideM" };
+
+// the body fields a saved row holds, in metres and knots
+const canonical = (row) => Object.fromEntries(Object.entries(COLUMNS).map(([field, column]) => [field, row[column]]));
+
+describe("prefs units", () => {
+  test("show a saved row under the body's field names", () => {
+    assert.deepEqual(prefsDisplay(ROW, loadUnits("imperial")), {
+      minHeight: 2,
+      maxHeight: 6,
+      maxWind: 17.3,
+      minTide: 1.31,
+      maxTide: 9.02,
+    });
+  });
+
+  test("GET's display block posted back saves the same row", () => {
+    const custom = { system: "custom", height: "ft", wind: "ms", temperature: "c" };
+    for (const units of [METRIC, loadUnits("imperial"), custom, loadUnits("custom:m,kmh,f")]) {
+      const body = { breakId: 7, ...prefsDisplay(ROW, units) };
+      assert.deepEqual(prefsFromUnits(body, units), { breakId: 7, ...canonical(ROW) }, units.system);
+    }
+  });
+
+  test("read a body in the given units", () => {
+    const saved = prefsFromUnits({ maxHeight: 6, maxWind: 20, minTide: "" }, loadUnits("imperial"));
+    assert.deepEqual(saved, { maxHeight: 1.83, maxWind: 17, minTide: "" });
+  });
+
+  test("skill defaults round-trip through the user's units", () => {
+    const units = loadUnits("imperial");
+    for (const skill of ["beginner", "intermediate", "advanced", "expert"]) {
+      const prefs = defaultPrefs(skill);
+      assert.deepEqual(prefsFromUnits(prefsInUnits(prefs, units), units), prefs, skill);
+    }
+  });
+});
@@ -0,0 +1,67 @@
+// test/tides.test.js
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { deriveExtremes, parseTidePhases, tidePhaseAt, tidePhaseMatches } from "../forecast/tides.js";
+
+const PERIOD_H = 12.42;
+const START_HOUR = Math.floor(Date.UTC(2026, 5, 1) / 3600000);
+// first high water 3.3 h into the curve
+const HIGH_AT = START_HOUR + 3.3;
+
+function curve(hours) {
+  const map = new Map();
+  for (let h = START_HOUR; h < START_HOUR + hours; h++) {
+    map.set(h, Math.cos((2 * Math.PI * (h - HIGH_AT)) / PERIOD_H));
+  }
+  return map;
+}
+
+describe("deriveExtremes", () => {
+  const extremes = deriveExtremes(curve(30));
+
+  test("alternates high and low half a cycle apart", () => {
+    assert.deepEqual(extremes.map((e) => e.type), ["high", "low", "high", "low", "high"]);
+  });
+
+  test("places turning points between the hours", () => {
+    const firstHigh = Date.parse(extremes[0].time) / 3600000;
+    assert.ok(Math.abs(firstHigh - HIGH_AT) < 0.1, `high at ${firstHigh - START_HOUR}h`);
+    assert.ok(extremes[0].heightM > 0.99 && extremes[1].heightM < -0.99);
+  });
+
+  test("invents nothing across a gap", () => {
+    const gappy = curve(30);
+    gappy.delete(START_HOUR + 3);
+    assert.ok(deriveExtremes(gappy).every((e) => Math.abs(Date.parse(e.time) / 3600000 - HIGH_AT) > 1));
+  });
+});
+
+describe("tide phase", () => {
+  const extremes = [
+    { time: "2026-06-01T00:00:00Z", heightM: 0.2, type: "low" },
+    { time: "2026-06-01T06:00:00Z", heightM: 3.1, type: "high" },
+  ];
+  const at = (iso) => tidePhaseAt(Date.parse(iso), extremes);
+
+  test("splits the run between extremes into thirds", () => {
+    assert.deepEqual(at("2026-06-01T01:00:00Z"), { state: "rising", stage: "low", hoursToNextHigh: 5, hoursToNextLow: null });
+    assert.equal(at("2026-06-01T03:00:00Z").stage, "mid");
+    assert.equal(at("2026-06-01T05:00:00Z").stage, "high");
+  });
+
+  test("assumes a regular half cycle after the last extreme", () => {
+    assert.equal(at("2026-06-01T08:00:00Z").state, "falling");
+  });
+
+  test("matches state, stage or both", () => {
+    const phase = at("2026-06-01T03:00:00Z");
+    assert.ok(tidePhaseMatches(phase, "rising"));
+    assert.ok(tidePhaseMatches(phase, "mid-rising"));
+    assert.ok(!tidePhaseMatches(phase, "mid-falling"));
+  });
+
+  test("parses phase prefs and rejects two stages", () => {
+    assert.deepEqual(parseTidePhases("Mid-Rising, low"), { phases: ["mid-rising", "low"] });
+    assert.deepEqual(parseTidePhases("low-high"), { error: "unknown tide phase low-high" });
+  });
+});
@@ -0,0 +1,51 @@
+// test/time.test.js
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { dowHourInTZ, isValidTimeZone, localIso, timeZoneForBreak } from "../forecast/time.js";
+import { availabilityKeys } from "../forecast/sessions.js";
+
+const LISBON = "Europe/Lisbon";
+// 2026-03-29 01:00 UTC Lisbon goes from 01:00 WET to 02:00 WEST;
+// 2026-10-25 01:00 UTC it goes from 02:00 WEST back to 01:00 WET
+const SPRING = Date.UTC(2026, 2, 29, 1);
+const AUTUMN = Date.UTC(2026, 9, 25, 1);
+
+describe("time zones", () => {
+  test("validates IANA names", () => {
+    assert.equal(isValidTimeZone("Australia/Melbourne"), true);
+    assert.equal(isValidTimeZone("Mars/Olympus"), false);
+    assert.equal(isValidTimeZone(""), false);
+  });
+
+  test("picks the break's zone, then the region's, then UTC", () => {
+    assert.equal(timeZoneForBreak({ TimeZone: "Pacific/Honolulu", Region: "Ericeira" }), "Pacific/Honolulu");
+    assert.equal(timeZoneForBreak({ TimeZone: "bogus", Region: "Ericeira" }), LISBON);
+    assert.equal(timeZoneForBreak({ Region: "Nowhere" }), "UTC");
+  });
+
+  test("localIso carries the offset in force", () => {
+    assert.equal(localIso(SPRING - 3600000, LISBON), "2026-03-29T00:00:00+00:00");
+    assert.equal(localIso(SPRING, LISBON), "2026-03-29T02:00:00+01:00");
+    assert.equal(localIso(Date.UTC(2026, 0, 4, 19), "Australia/Melbourne"), "2026-01-05T06:00:00+11:00");
+  });
+
+  test("dowHourInTZ reads the local day and hour", () => {
+    // Sunday 23:00 UTC is Monday 10:00 in Melbourne
+    assert.deepEqual(dowHourInTZ(new Date(Date.UTC(2026, 0, 4, 23)), "Australia/Melbourne"), { dow: 1, hour: 10 });
+  });
+});
+
+describe("availabilityKeys across DST", () => {
+  test("the first hour after spring forward also answers for the skipped 01:00", () => {
+    assert.deepEqual(availabilityKeys(SPRING, LISBON).sort(), ["0@1", "0@2"]);
+  });
+
+  test("an ordinary hour has only its own key", () => {
+    assert.deepEqual(availabilityKeys(SPRING + 3600000, LISBON), ["0@3"]);
+  });
+
+  test("both 01:00 hours after fall back keep the 01:00 key", () => {
+    assert.deepEqual(availabilityKeys(AUTUMN - 3600000, LISBON), ["0@1"]);
+    assert.deepEqual(availabilityKeys(AUTUMN, LISBON), ["0@1"]);
+  });
+});
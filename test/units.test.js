@@ -0,0 +1,107 @@
+// test/units.test.js
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  METRIC,
+  formatValue,
+  fromCanonical,
+  loadUnits,
+  parseUnitsSetting,
+  storeUnits,
+  toCanonical,
+  unitsFromQuery,
+} from "../forecast/units.js";
+
+const IMPERIAL = { system: "imperial", height: "ft", wind: "mph", temperature: "f" };
+
+describe("unitsFromQuery", () => {
+  test("falls back without ?units", () => {
+    assert.deepEqual(unitsFromQuery({}), { units: METRIC });
+    assert.deepEqual(unitsFromQuery({}, IMPERIAL), { units: IMPERIAL });
+  });
+
+  test("takes a preset over the fallback", () => {
+    assert.deepEqual(unitsFromQuery({ units: " Imperial " }, METRIC), { units: IMPERIAL });
+  });
+
+  test("starts custom units from metric", () => {
+    assert.deepEqual(unitsFromQuery({ units: "custom", windUnit: "kmh" }), {
+      units: { system: "custom", height: "m", wind: "kmh", temperature: "c" },
+    });
+  });
+
+  test("refuses unknown units and overrides without units=custom", () => {
+    assert.match(unitsFromQuery({ units: "nautical" }).error, /^units must be one of/);
+    assert.equal(unitsFromQuery({ heightUnit: "ft" }).error, "heightUnit needs units=custom");
+    assert.equal(unitsFromQuery({ units: "metric", tempUnit: "f" }).error, "tempUnit needs units=custom");
+    assert.match(unitsFromQuery({ units: "custom", heightUnit: "yd" }).error, /^heightUnit must be one of/);
+  });
+});
+
+describe("parseUnitsSetting", () => {
+  test("takes a preset name, a custom choice or nothing", () => {
+    assert.deepEqual(parseUnitsSetting("metric"), { value: METRIC });
+    assert.deepEqual(parseUnitsSetting({ height: "ft" }), {
+      value: { system: "custom", height: "ft", wind: "kt", temperature: "c" },
+    });
+    assert.deepEqual(parseUnitsSetting(null), { value: null });
+    assert.deepEqual(parseUnitsSetting(""), { value: null });
+  });
+
+  test("names the bad field", () => {
+    assert.match(parseUnitsSetting("custom").error, /^units must be metric or imperial/);
+    assert.match(parseUnitsSetting({ wind: "knots" }).error, /^units\.wind must be one of/);
+  });
+});
+
+describe("storeUnits and loadUnits", () => {
+  test("round-trip presets and custom choices", () => {
+    const custom = { system: "custom", height: "ft", wind: "kmh", temperature: "c" };
+    assert.equal(storeUnits(custom), "custom:ft,kmh,c");
+    for (const units of [METRIC, IMPERIAL, custom]) {
+      assert.deepEqual(loadUnits(storeUnits(units)), units);
+    }
+  });
+
+  test("load nothing from empty or unreadable columns", () => {
+    assert.equal(storeUnits(null), null);
+    for (const stored of [null, "", "nautical", "custom", "custom:yd,kt,c"]) {
+      assert.equal(loadUnits(stored), null);
+    }
+  });
+});
+
+describe("fromCanonical and toCanonical", () => {
+  test("convert heights, winds and temperatures", () => {
+    assert.equal(fromCanonical("height", 1.83, IMPERIAL), 6);
+    assert.equal(fromCanonical("wind", 10, IMPERIAL), 11.5);
+    assert.equal(fromCanonical("temperature", 20, IMPERIAL), 68);
+    assert.equal(toCanonical("temperature", 68, IMPERIAL), 20);
+    assert.equal(fromCanonical("wind", 1.5, METRIC), 1.5);
+  });
+
+  test("are inverses up to display rounding", () => {
+    const units = { system: "custom", height: "ft", wind: "ms", temperature: "f" };
+    for (const [kind, value, within] of [["height", 2.4, 0.005], ["wind", 17, 0.1], ["temperature", 16.5, 0.05]]) {
+      const back = toCanonical(kind, fromCanonical(kind, value, units), units);
+      assert.ok(Math.abs(back - value) < within, `${kind} ${value} came back as ${back}`);
+    }
+  });
+
+  test("leave missing values alone", () => {
+    assert.equal(fromCanonical("height", null, IMPERIAL), null);
+    assert.equal(fromCanonical("height", "n/a", IMPERIAL), null);
+    assert.equal(toCanonical("height", null, IMPERIAL), null);
+    assert.equal(toCanonical("height", "", IMPERIAL), "");
+  });
+});
+
+describe("formatValue", () => {
+  test("rounds heights to a tenth and the rest to whole units", () => {
+    assert.equal(formatValue("height", 1.5), "1.5m");
+    assert.equal(formatValue("height", 1.5, IMPERIAL), "4.9ft");
+    assert.equal(formatValue("wind", 12, { ...METRIC, wind: "kmh" }), "22km/h");
+    assert.equal(formatValue("temperature", 17.4), "17°C");
+    assert.equal(formatValue("wind", null), null);
+  });
+});
@@ -0,0 +1,53 @@
+// test/wind.test.js
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { classifyWind, parseWindRelations } from "../forecast/wind.js";
+import { SCORE_WEIGHTS, hourlyScore } from "../forecast/sessions.js";
+
+describe("classifyWind", () => {
+  // a west-facing beach: easterlies blow offshore
+  const facing = 270;
+
+  test("labels each band by the angle off dead offshore", () => {
+    assert.deepEqual(classifyWind(90, facing), { relation: "offshore", angle: 0 });
+    assert.equal(classifyWind(140, facing).relation, "cross-offshore");
+    assert.equal(classifyWind(180, facing).relation, "cross");
+    assert.equal(classifyWind(225, facing).relation, "cross-onshore");
+    assert.deepEqual(classifyWind(270, facing), { relation: "onshore", angle: 180 });
+  });
+
+  test("puts a band edge in the lower band", () => {
+    assert.equal(classifyWind(120, facing).relation, "offshore");
+  });
+
+  test("works across north", () => {
+    assert.equal(classifyWind(350, 175).relation, "offshore");
+  });
+
+  test("is null without a coast bearing", () => {
+    assert.equal(classifyWind(90, null), null);
+  });
+});
+
+describe("parseWindRelations", () => {
+  test("accepts a list or CSV and drops duplicates", () => {
+    assert.deepEqual(parseWindRelations("Offshore, cross-offshore,offshore"), { relations: ["offshore", "cross-offshore"] });
+    assert.deepEqual(parseWindRelations(null), { relations: [] });
+  });
+
+  test("names an unknown relation", () => {
+    assert.deepEqual(parseWindRelations(["offshore", "sideshore"]), { error: "unknown wind relation sideshore" });
+  });
+});
+
+describe("wind relation prefs", () => {
+  const prefs = { AllowedWindRelations: "offshore,cross-offshore" };
+  const windDir = (angle) => hourlyScore({ windRelationAngle: angle, windSpeedKt: 5 }, prefs, SCORE_WEIGHTS).subs.windDir;
+
+  test("score fully inside an allowed band and fall off past it", () => {
+    assert.equal(windDir(50), 1);
+    const cross = windDir(80);
+    assert.ok(cross > 0 && cross < 1, `${cross} should taper`);
+    assert.equal(windDir(170), 0);
+  });
+});